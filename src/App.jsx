@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 import { createRoot } from "react-dom/client";
 // Fix #9: sub-components for render isolation (React.memo prevents re-renders
@@ -6,14 +6,31 @@ import { createRoot } from "react-dom/client";
 import TimerFooter from "./components/TimerFooter";
 import TaskList from "./components/TaskList";
 import PipOverlay from "./components/PipOverlay";
+import SessionHistory from "./components/SessionHistory";
+import CommandPalette from "./components/CommandPalette";
+import Timeline from "./components/Timeline";
+import Playlists from "./components/Playlists";
+import NewFromTemplate from "./components/NewFromTemplate";
+import TemplateGallery from "./components/TemplateGallery";
+import SetResultSheet from "./components/SetResultSheet";
+import ExerciseProgress from "./components/ExerciseProgress";
+import { saveStored } from "./storage";
 
 /* ------------------------- App metadata ------------------------- */
 const APP_VERSION = __APP_VERSION__;
 const REPO_URL = "https://github.com/woodtho/TimeTallyToo";
 
 /* ------------------------- Persistence helpers ------------------------- */
+// State lives in IndexedDB (see storage.js). These two localStorage keys are
+// where it was kept before; they're read once, imported, and removed.
 const LS_KEY = "timetally_v2_cssmatch";
+const SESSIONS_KEY = "timetally_sessions_v1";
+// The meta record — with the run — written synchronously when the page goes
+// away, since the IndexedDB write started then may not finish. Dropped by
+// the next write that does; see loadState() and saveNow().
+const UNLOAD_KEY = "timetally_unload_v1";
 const SYNC_CH = "timetally_bc_sync"; // BroadcastChannel name for cross-tab sync
+const TIMER_LOCK = "timetally_timer_owner"; // Web Lock held by the tab that runs the timer
 
 const defaultConfig = () => ({
   // Audio
@@ -21,15 +38,31 @@ const defaultConfig = () => ({
   beepVolume: 0.3,
   beepTone: "medium",          // "low" | "medium" | "high"
   beepCount: 1,                // 1 | 2 | 3
+  beepSound: "sine",           // "sine" | "triangle" | "square" — tells lists running side by side apart
   // TTS
   ttsEnabled: false,
   selectedVoiceName: "",
   ttsMode: "taskNamePlusDurationStart",
   ttsCustomMessage: "Task completed!",
+  // System notifications (opt-in; need browser permission)
+  notifyEnabled: false,
+  notifyTaskStart: true,
+  notifyTaskComplete: true,
+  notifyListComplete: true,
+  notifyOnlyHidden: true,      // skip them while TimeTally is the visible tab
   // Timer behaviour
   autoAdvance: true,
   timerDirection: "countdown", // "countdown" | "countup"
+  repeat: 1,                   // list rounds — play the whole list N times
+  groups: {},                  // { [groupId]: { repeat } } — blocks of consecutive tasks
+  sections: {},                // { [sectionId]: { name, collapsed } } — headed runs of tasks
   warningThreshold: 0,         // seconds; 0 = disabled
+  overtime: false,             // tasks keep counting past zero until Complete; per task `t.overtime` overrides
+  overtimeReminder: 0,         // minutes between beeps while in overtime; 0 = off
+  leadIn: 0,                   // seconds of "Get ready" before the first task; 0 = off — see "Lead-in"
+  leadInEachTask: false,       // …and before every task after it, and on resuming
+  leadInExcluded: false,       // leave lead-in time out of time worked
+  finishBy: "",                // "HH:MM" target end time for the list; "" = none
   // Progress / footer display
   progressBarMode: "list",     // "list" | "task"
   timerShowTaskName: true,
@@ -39,6 +72,11 @@ const defaultConfig = () => ({
   // Task list display
   showEta: true,
   showTaskRowRemaining: true,
+  showClockTimes: false,       // start time on each row; always on while a task is pinned
+  taskView: "list",            // "list" | "timeline" — see components/Timeline
+  // Scheduled start — see "Scheduled starts"
+  autoStart: null,
+  autoStartCountdown: 60,      // seconds of on-screen countdown (and a spoken heads-up) before it
   compactTasks: false,
   // Input
   defaultTimeUnit: "minutes",
@@ -51,11 +89,15 @@ const defaultConfig = () => ({
   whimsyCompletionChord: true,
 });
 
+// Notification kind → the per-list config flag that gates it
+const NOTIFY_KINDS = { start: "notifyTaskStart", complete: "notifyTaskComplete", list: "notifyListComplete" };
+
 const defaultListStats = () => ({
   tasksCompleted: 0,
   timeWorked: 0,        // cumulative seconds
   sessionsCompleted: 0,
   tasksSkipped: 0,      // times skip was pressed on this list
+  overtime: 0,          // cumulative seconds tasks ran past zero
   lastSession: null,    // ISO 8601 datetime string
   firstSession: null,   // ISO 8601 datetime string — set once, never overwritten
   lastSessionDate: null,// YYYY-MM-DD for streak tracking
@@ -68,31 +110,168 @@ const defaultListStats = () => ({
 // real breaks, lunch, admin time, and a shutdown ritual. Total: 6h 30m.
 // Only seeded for users with no existing localStorage (loadState short-circuits
 // to this when LS_KEY is missing).
+// Also the bundled "Workday" template.
 const EXAMPLE_LIST_NAME = "Workday";
-const exampleWorkdayTasks = () => {
-  const mk = (name, secs) => ({
-    id: crypto.randomUUID(),
-    name,
-    time: secs,
-    remaining: secs,
-    enabled: true,
-    editing: false,
-  });
-  return [
-    mk("Morning intention & plan today's wins",   10 * 60),
-    mk("Deep work — block 1",                     50 * 60),
-    mk("Stretch & water",                         10 * 60),
-    mk("Deep work — block 2",                     50 * 60),
-    mk("Coffee & email triage",                   20 * 60),
-    mk("Deep work — block 3",                     50 * 60),
-    mk("Lunch & walk away",                       45 * 60),
-    mk("Admin & messages",                        30 * 60),
-    mk("Deep work — block 4",                     50 * 60),
-    mk("Short break",                             10 * 60),
-    mk("Deep work — block 5",                     50 * 60),
-    mk("Shutdown ritual — review & plan tomorrow", 15 * 60),
-  ];
-};
+const EXAMPLE_WORKDAY = [
+  ["Morning intention & plan today's wins",   10 * 60],
+  ["Deep work — block 1",                     50 * 60],
+  ["Stretch & water",                         10 * 60],
+  ["Deep work — block 2",                     50 * 60],
+  ["Coffee & email triage",                   20 * 60],
+  ["Deep work — block 3",                     50 * 60],
+  ["Lunch & walk away",                       45 * 60],
+  ["Admin & messages",                        30 * 60],
+  ["Deep work — block 4",                     50 * 60],
+  ["Short break",                             10 * 60],
+  ["Deep work — block 5",                     50 * 60],
+  ["Shutdown ritual — review & plan tomorrow", 15 * 60],
+];
+const exampleWorkdayTasks = () => EXAMPLE_WORKDAY.map(([name, secs]) => ({
+  id: crypto.randomUUID(),
+  name,
+  time: secs,
+  remaining: secs,
+  enabled: true,
+  editing: false,
+}));
+
+/* ----------------------------- List generators ------------------------------
+   "New from template" builds interval lists from a few numbers instead of
+   task by task. Each generator lists its `fields` — { key, label, unit
+   ("s" | "min" | ""), min, max } — with their `defaults`, and `build(p)`
+   returns { tasks, config } for a new list: rounds become a repeating
+   block (see "Rounds"), cycles one block after another. */
+const mkTask = (name, secs, extra) => ({ ...normalizeTaskFromName(name, secs), ...extra });
+
+/* Warm-up, `cycles` blocks of `round` tasks repeated `p.rounds` times with a
+   rest between cycles, then a cool-down. */
+function intervalList(p, round) {
+  const tasks = [];
+  const groups = {};
+  if (p.warmup > 0) tasks.push(mkTask("Warm-up", p.warmup * 60));
+  for (let c = 1; c <= p.cycles; c++) {
+    const groupId = crypto.randomUUID();
+    groups[groupId] = { repeat: p.rounds };
+    for (const [name, secs] of round) if (secs > 0) tasks.push(mkTask(p.cycles > 1 ? `${name} · cycle ${c}` : name, secs, { groupId }));
+    if (c < p.cycles && p.cycleRest > 0) tasks.push(mkTask("Rest between cycles", p.cycleRest));
+  }
+  if (p.cooldown > 0) tasks.push(mkTask("Cool-down", p.cooldown * 60));
+  return {
+    tasks,
+    config: {
+      ...defaultConfig(),
+      beepEnabled: true,
+      beepCount: 2,
+      ttsEnabled: true,
+      ttsMode: "durationStart",
+      timerDirection: "countdown",
+      autoAdvance: true,
+      warningThreshold: 3,
+      leadIn: 10,
+      defaultTimeUnit: "seconds",
+      groups,
+    },
+  };
+}
+
+const CYCLE_FIELDS = [
+  { key: "cycles",    label: "Cycles",              unit: "",    min: 1, max: 10 },
+  { key: "cycleRest", label: "Rest between cycles", unit: "s",   min: 0, max: 600 },
+  { key: "warmup",    label: "Warm-up",             unit: "min", min: 0, max: 30 },
+  { key: "cooldown",  label: "Cool-down",           unit: "min", min: 0, max: 30 },
+];
+
+const LIST_GENERATORS = [
+  {
+    id: "tabata",
+    name: "Tabata",
+    icon: "fa-fire",
+    blurb: "All-out work, short rest, eight rounds a cycle.",
+    fields: [
+      { key: "work",   label: "Work",   unit: "s", min: 5, max: 120 },
+      { key: "rest",   label: "Rest",   unit: "s", min: 0, max: 120 },
+      { key: "rounds", label: "Rounds", unit: "",  min: 1, max: 30 },
+      ...CYCLE_FIELDS,
+    ],
+    defaults: { work: 20, rest: 10, rounds: 8, cycles: 1, cycleRest: 60, warmup: 0, cooldown: 0 },
+    build: (p) => intervalList(p, [["Work", p.work], ["Rest", p.rest]]),
+  },
+  {
+    id: "emom",
+    name: "EMOM",
+    icon: "fa-stopwatch",
+    blurb: "Every minute on the minute — do the reps, rest what's left.",
+    fields: [
+      { key: "interval", label: "Every",   unit: "s", min: 15, max: 300 },
+      { key: "rounds",   label: "Rounds",  unit: "",  min: 1, max: 60 },
+      ...CYCLE_FIELDS,
+    ],
+    defaults: { interval: 60, rounds: 10, cycles: 1, cycleRest: 120, warmup: 0, cooldown: 0 },
+    build: (p) => intervalList(p, [[p.interval === 60 ? "Minute" : "Interval", p.interval]]),
+  },
+  {
+    id: "hiit",
+    name: "HIIT",
+    icon: "fa-heart-pulse",
+    blurb: "Work and rest intervals in rounds, with a warm-up and cool-down.",
+    fields: [
+      { key: "work",   label: "Work",   unit: "s", min: 5, max: 600 },
+      { key: "rest",   label: "Rest",   unit: "s", min: 0, max: 600 },
+      { key: "rounds", label: "Rounds", unit: "",  min: 1, max: 50 },
+      ...CYCLE_FIELDS,
+    ],
+    defaults: { work: 40, rest: 20, rounds: 10, cycles: 2, cycleRest: 90, warmup: 5, cooldown: 5 },
+    build: (p) => intervalList(p, [["Work", p.work], ["Rest", p.rest]]),
+  },
+  {
+    id: "pomodoro",
+    name: "Pomodoro",
+    icon: "fa-clock",
+    blurb: "Focus blocks with short breaks and a long break every few.",
+    fields: [
+      { key: "focus",      label: "Focus",            unit: "min", min: 5, max: 120 },
+      { key: "shortBreak", label: "Short break",      unit: "min", min: 0, max: 30 },
+      { key: "longBreak",  label: "Long break",       unit: "min", min: 0, max: 60 },
+      { key: "every",      label: "Long break every", unit: "",    min: 2, max: 10 },
+      { key: "count",      label: "Pomodoros",        unit: "",    min: 1, max: 16 },
+    ],
+    defaults: { focus: 25, shortBreak: 5, longBreak: 15, every: 4, count: 4 },
+    build: (p) => {
+      const tasks = [];
+      for (let k = 1; k <= p.count; k++) {
+        tasks.push(mkTask(`Focus ${k}`, p.focus * 60));
+        if (k === p.count) break;
+        const long = k % p.every === 0;
+        const secs = (long ? p.longBreak : p.shortBreak) * 60;
+        if (secs > 0) tasks.push(mkTask(long ? "Long break" : "Short break", secs));
+      }
+      return {
+        tasks,
+        config: {
+          ...defaultConfig(),
+          beepEnabled: true,
+          beepCount: 2,
+          ttsEnabled: true,
+          ttsMode: "taskNameStart",
+          timerDirection: "countdown",
+          autoAdvance: true,
+          defaultTimeUnit: "minutes",
+        },
+      };
+    },
+  },
+];
+
+/* Build a generator's list from the form's values, each clamped into its
+   field's range (an empty or unreadable one falls back to the default). */
+function buildFromGenerator(gen, values) {
+  const p = {};
+  for (const f of gen.fields) {
+    const v = values?.[f.key] === "" ? NaN : Math.floor(Number(values?.[f.key]));
+    p[f.key] = Number.isFinite(v) ? Math.min(f.max, Math.max(f.min, v)) : gen.defaults[f.key];
+  }
+  return gen.build(p);
+}
 
 const defaultState = () => ({
   lists: { [EXAMPLE_LIST_NAME]: exampleWorkdayTasks() },
@@ -106,6 +285,14 @@ const defaultState = () => ({
   showOptions: false,
   isListCreating: false,
   tutorialSeen: false,
+  shortcuts: {},        // keyboard shortcut overrides — see SHORTCUT_ACTIONS
+  run: null,            // active session anchor — see "Run engine" below
+  backgroundRuns: {},   // runs left going on other lists — see "Background runs"
+  sessions: [],         // session history records, persisted under SESSIONS_KEY
+  playlists: [],        // lists chained into one run — see "Playlists"
+  templates: [],        // the user's saved list templates — see "Templates"
+  playlistRun: null,    // the playlist being played, if any
+  runRecovery: null,    // transient: set by loadState when a run was restored
 });
 
 // First-run tutorial steps. Plain content; no anchors needed because the
@@ -203,81 +390,160 @@ function normalizeTaskFromName(rawName, timeSeconds) {
   return { id: crypto.randomUUID(), name, time: timeSeconds, remaining: timeSeconds, enabled: true, editing: false };
 }
 
-/* Migration to ensure all tasks have a stable id field */
-function migrateTaskIds(state) {
-  const next = structuredClone(state);
-  let changed = false;
-  for (const listName of Object.keys(next.lists || {})) {
-    const arr = next.lists[listName] || [];
-    for (let i = 0; i < arr.length; i++) {
-      if (!arr[i].id) {
-        arr[i] = { ...arr[i], id: crypto.randomUUID() };
-        changed = true;
-      }
-    }
+/* Saved state carries a `schema` number. STATE_MIGRATIONS[n] upgrades a
+   parsed state from schema n to n + 1; hydrateState() runs the steps it
+   needs, whether the state came from IndexedDB, the old localStorage blob
+   or a backup file. Append a step and the schema follows. */
+const STATE_MIGRATIONS = [
+  // 0 → 1: every task gets a stable id
+  (state) => mapStoredTasks(state, (t) => (t.id ? t : { ...t, id: crypto.randomUUID() })),
+  // 1 → 2: tasks named with a YouTube URL get the meta that embeds them
+  (state) => mapStoredTasks(state, (t) => {
+    if (t.meta?.ytId || !isYouTubeUrl(t.name)) return t;
+    const ytId = parseYouTubeId(t.name);
+    return ytId ? { ...t, meta: { ...(t.meta || {}), ytId, ytUrl: t.name } } : t; // keep remaining as-is
+  }),
+];
+const STATE_SCHEMA = STATE_MIGRATIONS.length;
+
+function mapStoredTasks(state, fn) {
+  const lists = {};
+  for (const [name, arr] of Object.entries(state.lists || {})) lists[name] = (arr || []).map(fn);
+  return { ...state, lists };
+}
+
+function migrateState(parsed) {
+  const from = Number.isInteger(parsed.schema) ? parsed.schema : 0;
+  let state = parsed;
+  for (let v = from; v < STATE_SCHEMA; v++) state = STATE_MIGRATIONS[v](state);
+  return { ...state, schema: STATE_SCHEMA };
+}
+
+/* What to tell the user when IndexedDB won't open or a write fails */
+function storageErrorMessage(err) {
+  if (err?.name === "QuotaExceededError") return "Browser storage is full, so recent changes weren't saved.";
+  return "Your browser's storage isn't available, so recent changes weren't saved.";
+}
+
+/* The meta record saved on the way out, { at, meta }, or null. */
+function readUnloadCopy() {
+  try {
+    const copy = JSON.parse(localStorage.getItem(UNLOAD_KEY) || "null");
+    return copy?.meta && typeof copy.meta === "object" ? copy : null;
+  } catch {
+    return null;
   }
-  return changed ? next : state;
 }
 
-/* Migration to ensure previously-saved or imported tasks infer YT meta
-   so embeds appear without manual edits. */
-function migrateYouTubeMeta(state) {
-  const next = structuredClone(state);
-  let changed = false;
-  for (const listName of Object.keys(next.lists || {})) {
-    const arr = next.lists[listName] || [];
-    for (let i = 0; i < arr.length; i++) {
-      const t = arr[i];
-      // If no meta.ytId but the name is a YT URL, infer meta
-      if ((!t.meta || !t.meta.ytId) && isYouTubeUrl(t.name)) {
-        const ytId = parseYouTubeId(t.name);
-        if (ytId) {
-          arr[i] = { ...t, meta: { ...(t.meta || {}), ytId, ytUrl: t.name } }; // keep remaining as-is
-          changed = true;
-        }
-      }
-    }
+function loadSessions() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SESSIONS_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/* Turn a parsed state blob — from storage or a restored backup — into a
+   full app state: run the data migrations it hasn't had yet, then fill in
+   defaults for fields added since it was written. */
+function hydrateState(stored, sessions) {
+  const parsed = migrateState(stored);
+  // Deep-merge each per-list config with defaultConfig() so any fields added
+  // after the state was first saved pick up their correct default values.
+  const parsedConfigs = parsed?.listConfigs || {};
+  const mergedConfigs = {};
+  for (const [k, cfg] of Object.entries(parsedConfigs)) {
+    mergedConfigs[k] = { ...defaultConfig(), ...cfg };
+  }
+  if (!mergedConfigs.default) mergedConfigs.default = defaultConfig();
+  // Same deep-merge for listStats so new stat fields get defaults automatically.
+  const parsedStats = parsed?.listStats || {};
+  const mergedStats = {};
+  for (const [k, s] of Object.entries(parsedStats)) {
+    mergedStats[k] = { ...defaultListStats(), ...s };
   }
-  return changed ? next : state;
+  if (!mergedStats.default) mergedStats.default = defaultListStats();
+  const merged = {
+    ...defaultState(),
+    ...parsed,
+    listConfigs: mergedConfigs,
+    listStats: mergedStats,
+    sessions: Array.isArray(sessions) ? sessions : [],
+    // Existing users never auto-see the tutorial — only true first-run users
+    // (nothing stored at all, see loadState) start with tutorialSeen: false.
+    tutorialSeen: parsed.tutorialSeen ?? true,
+  };
+  return merged;
 }
 
-function loadState() {
+/* Initial state from what main.jsx read out of IndexedDB, or — the first
+   time this version runs — from the old localStorage keys. */
+function loadState(stored) {
   try {
-    const raw = localStorage.getItem(LS_KEY);
-    if (!raw) return defaultState();
-    const parsed = JSON.parse(raw);
-    // Deep-merge each per-list config with defaultConfig() so any fields added
-    // after the state was first saved pick up their correct default values.
-    const parsedConfigs = parsed?.listConfigs || {};
-    const mergedConfigs = {};
-    for (const [k, cfg] of Object.entries(parsedConfigs)) {
-      mergedConfigs[k] = { ...defaultConfig(), ...cfg };
-    }
-    if (!mergedConfigs.default) mergedConfigs.default = defaultConfig();
-    // Same deep-merge for listStats so new stat fields get defaults automatically.
-    const parsedStats = parsed?.listStats || {};
-    const mergedStats = {};
-    for (const [k, s] of Object.entries(parsedStats)) {
-      mergedStats[k] = { ...defaultListStats(), ...s };
-    }
-    if (!mergedStats.default) mergedStats.default = defaultListStats();
-    const merged = {
-      ...defaultState(),
-      ...parsed,
-      listConfigs: mergedConfigs,
-      listStats: mergedStats,
-      // Existing users never auto-see the tutorial — only true first-run users
-      // (the !raw branch above) start with tutorialSeen: false.
-      tutorialSeen: parsed.tutorialSeen ?? true,
-    };
-    // Run migrations so any old data with YT URLs but no meta still embeds,
-    // and any tasks missing a stable id get one assigned.
-    return migrateYouTubeMeta(migrateTaskIds(merged));
+    let hydrated;
+    if (stored) {
+      const { lists, configs, stats, sessions } = stored;
+      // The last write before the page closed may not have landed
+      const meta = { ...stored.meta, ...readUnloadCopy()?.meta };
+      hydrated = hydrateState(
+        { ...meta, lists, listConfigs: configs, listStats: stats },
+        [...sessions].sort((a, b) => a.endedAt - b.endedAt)
+      );
+    } else {
+      const raw = localStorage.getItem(LS_KEY);
+      if (!raw) return defaultState();
+      hydrated = hydrateState(JSON.parse(raw), loadSessions());
+    }
+    // Fast-forward a session that was running when the page went away.
+    const now = Date.now();
+    return restoreBackgroundRuns(restoreRun({ ...hydrated, runRecovery: null }, now), now);
   } catch {
     return defaultState();
   }
 }
 
+/* The records saveStored() writes. Task arrays are stored without the
+   transient `editing` flag; the stripped copy is cached per array so an
+   unchanged list keeps its identity and isn't rewritten. */
+const storedTaskArrays = new WeakMap();
+
+function storedSnapshot(state) {
+  const lists = {};
+  for (const [name, arr] of Object.entries(state.lists)) {
+    if (!storedTaskArrays.has(arr)) {
+      storedTaskArrays.set(arr, arr.map((t) => {
+        const rest = { ...t };
+        delete rest.editing;
+        return rest;
+      }));
+    }
+    lists[name] = storedTaskArrays.get(arr);
+  }
+  return {
+    meta: {
+      schema: STATE_SCHEMA,
+      listOrder: state.listOrder,
+      currentList: state.currentList,
+      currentTaskIndex: state.currentTaskIndex,
+      dark: state.dark,
+      showHelp: state.showHelp,
+      showOptions: state.showOptions,
+      tutorialSeen: state.tutorialSeen,
+      shortcuts: state.shortcuts,
+      run: state.run,
+      backgroundRuns: state.backgroundRuns,
+      playlists: state.playlists,
+      playlistRun: state.playlistRun,
+      templates: state.templates,
+    },
+    lists,
+    configs: state.listConfigs,
+    stats: state.listStats,
+    sessions: state.sessions,
+  };
+}
+
 function serializeState(state) {
   // Strip transient UI flags: editing on tasks, isListCreating
   // showHelp / showOptions / dark are intentionally persisted (user preference)
@@ -286,6 +552,7 @@ function serializeState(state) {
     lists[k] = arr.map(({ editing: _editing, ...rest }) => rest);
   }
   return JSON.stringify({
+    schema: STATE_SCHEMA,
     lists,
     listOrder: state.listOrder,
     currentList: state.currentList,
@@ -296,10 +563,494 @@ function serializeState(state) {
     showHelp: state.showHelp,
     showOptions: state.showOptions,
     tutorialSeen: state.tutorialSeen,
-    // isListCreating intentionally omitted — always starts false
+    shortcuts: state.shortcuts,
+    run: state.run,
+    backgroundRuns: state.backgroundRuns,
+    playlists: state.playlists,
+    playlistRun: state.playlistRun,
+    templates: state.templates,
+    // isListCreating / runRecovery intentionally omitted — always start empty
   });
 }
 
+/* Copy-on-write update used by every edit: shallow-copies the containers and
+   the current list's array, config and stats, then lets `fn` mutate the copy. */
+function patchedState(s, fn) {
+  const next = {
+    ...s,
+    lists: { ...s.lists },
+    listConfigs: { ...s.listConfigs },
+    listStats: { ...s.listStats },
+  };
+  // Shallow-copy the current list's array, config, and stats to avoid mutating
+  // the previous state — required by React's immutability contract.
+  const cl = s.currentList;
+  if (next.lists[cl]) next.lists[cl] = [...next.lists[cl]];
+  if (next.listConfigs[cl]) next.listConfigs[cl] = { ...next.listConfigs[cl] };
+  if (next.listStats[cl]) next.listStats[cl] = { ...next.listStats[cl] };
+  fn(next);
+  return next;
+}
+
+/* ----------------------------- Undo history ------------------------------
+   Each undoable edit is recorded as the slice of state it could touch, just
+   before and just after. Undo moves the live state from `after` back to
+   `before` — but only for the parts the edit actually changed, so timer
+   progress and unrelated edits made since are kept. Timer ticks go through
+   plain patch() and never reach the history. */
+const HISTORY_FIELDS = ["lists", "listOrder", "listConfigs", "listStats", "currentList", "currentTaskIndex", "sessions", "playlists", "templates"];
+const HISTORY_MAPS = new Set(["lists", "listConfigs", "listStats"]);
+const HISTORY_LIMIT = 50;
+const HISTORY_MERGE_MS = 1500; // repeats of one edit (a drag, +/- clicks) fold into one step
+
+function historySlice(s) {
+  const out = {};
+  for (const f of HISTORY_FIELDS) out[f] = s[f];
+  return out;
+}
+
+/* Same array items / object values by reference — patch() re-copies the
+   current list's containers even when an edit leaves them alone. */
+function sameShallow(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  const ka = Object.keys(a);
+  if (ka.length !== Object.keys(b).length) return false;
+  return ka.every((k) => a[k] === b[k]);
+}
+
+/* Did an edit change anything the history tracks? */
+function sliceChanged(a, b) {
+  return HISTORY_FIELDS.some((f) => (HISTORY_MAPS.has(f)
+    ? Object.keys({ ...a[f], ...b[f] }).some((k) => !sameShallow(a[f]?.[k], b[f]?.[k]))
+    : !sameShallow(a[f], b[f])));
+}
+
+/* Move `curr` across a recorded edit, from its `from` side to its `to` side. */
+function applyHistory(curr, from, to) {
+  const next = { ...curr };
+  for (const f of HISTORY_FIELDS) {
+    if (HISTORY_MAPS.has(f)) {
+      let map = null;
+      for (const k of new Set([...Object.keys(from[f] || {}), ...Object.keys(to[f] || {})])) {
+        if (sameShallow(from[f]?.[k], to[f]?.[k])) continue;
+        map = map || { ...curr[f] };
+        if (to[f]?.[k] === undefined) delete map[k];
+        else map[k] = to[f][k];
+      }
+      if (map) next[f] = map;
+    } else if (!sameShallow(from[f], to[f])) {
+      next[f] = to[f];
+    }
+  }
+  if (next.lists !== curr.lists) {
+    const lists = {};
+    for (const [name, arr] of Object.entries(next.lists)) {
+      // Restored rows never come back mid-edit; the running list keeps its live countdown
+      const live = curr.run?.list === name && arr !== curr.lists[name]
+        ? new Map((curr.lists[name] || []).map((t) => [t.id, t.remaining]))
+        : null;
+      lists[name] = arr.some((t) => t.editing || live?.has(t.id))
+        ? arr.map((t) => ({ ...t, editing: false, remaining: live?.has(t.id) ? live.get(t.id) : t.remaining }))
+        : arr;
+    }
+    next.lists = lists;
+  }
+  // Keep listOrder and lists in step whichever of the two the edit touched
+  next.listOrder = [
+    ...next.listOrder.filter((name) => next.lists[name]),
+    ...Object.keys(next.lists).filter((name) => !next.listOrder.includes(name)),
+  ];
+  if (!next.lists[next.currentList]) next.currentList = next.listOrder[0];
+  if (next.currentTaskIndex >= (next.lists[next.currentList] || []).length) next.currentTaskIndex = 0;
+  // A session on a list that no longer exists ends here
+  if (next.run && !next.lists[next.run.list]) {
+    next.sessions = withAbandoned(next.sessions, next.run, Date.now());
+    next.run = null;
+  }
+  // So does a background run whose list went, or whose task moved under it
+  for (const [name, run] of Object.entries(next.backgroundRuns || {})) {
+    if (next.lists[name]?.[run.taskIndex]?.id === run.taskId) continue;
+    const { [name]: _gone, ...runs } = next.backgroundRuns;
+    next.sessions = withAbandoned(next.sessions, run, Date.now());
+    next.backgroundRuns = runs;
+  }
+  return next;
+}
+
+/* ----------------------------- Cross-tab sync ------------------------------
+   Every open tab mirrors the same state over SYNC_CH, but only the tab holding
+   the TIMER_LOCK Web Lock runs the interval. The rest follow its countdown
+   and forward Start / Pause / Skip to it as COMMAND messages. */
+
+/* Fold a serialized STATE_UPDATE from another tab into `curr`. Per-tab UI
+   state (open editors, menus, the restored-session prompt) stays put. When
+   this tab's timer is `live`, it keeps its own run and countdown, and an
+   update from a tab that hadn't yet seen the latest step can't pull the
+   current task, or its stats, back. The same holds for its background runs
+   while they are `liveBackground`. */
+function mergeRemoteState(curr, incoming, live, liveBackground = false) {
+  const keep = live && curr.run ? curr.run : null;
+  const side = liveBackground ? curr.backgroundRuns : null;
+  const ticking = (name) => keep?.list === name || !!side?.[name];
+  const lists = {};
+  for (const [name, arr] of Object.entries(incoming.lists || curr.lists)) {
+    const mine = new Map((curr.lists[name] || []).map((t) => [t.id, t]));
+    lists[name] = arr.map((t) => {
+      const own = mine.get(t.id);
+      if (!own || (!own.editing && !ticking(name))) return t;
+      return { ...t, editing: own.editing, remaining: ticking(name) ? own.remaining : t.remaining };
+    });
+  }
+  const next = {
+    ...curr,
+    ...incoming,
+    lists,
+    listConfigs: { default: defaultConfig(), ...(incoming.listConfigs || {}) },
+    // Session history travels through its own storage key, not this message
+    sessions: curr.sessions,
+    runRecovery: incoming.run && !incoming.run.pausedAt ? null : curr.runRecovery,
+  };
+  if (keep) {
+    next.run = keep;
+    next.playlistRun = curr.playlistRun; // moved on only by the tab that runs the timer
+    if (incoming.run?.anchorAt !== keep.anchorAt) {
+      next.currentList = curr.currentList;
+      next.currentTaskIndex = curr.currentTaskIndex;
+      next.listStats = { ...next.listStats, [keep.list]: curr.listStats[keep.list] };
+    }
+  }
+  if (side) {
+    next.backgroundRuns = side;
+    for (const [name, run] of Object.entries(side)) {
+      if (incoming.backgroundRuns?.[name]?.anchorAt !== run.anchorAt) {
+        next.listStats = { ...next.listStats, [name]: curr.listStats[name] };
+      }
+    }
+  }
+  return next;
+}
+
+/* ----------------------------- XML import ------------------------------
+   Parsing is separate from applying so the Data page can preview an import
+   and let the user decide, per list, what to do with it. */
+
+/* Parse an exported XML file into { name, repeat, groups, sections, tasks } records.
+   Lists repeated under one name are combined. Throws an Error whose message
+   is fit to show the user. */
+function parseTasksXML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("Invalid file format.");
+  const listNodes = [...doc.querySelectorAll("list")];
+  if (!listNodes.length) throw new Error("No tasks found in file.");
+  const byName = new Map();
+  for (const ln of listNodes) {
+    const name = (ln.getAttribute("name") || "").trim() || "imported";
+    const rec = byName.get(name) || { name, repeat: 1, groups: {}, sections: {}, tasks: [] };
+    rec.repeat = Math.max(rec.repeat, Math.min(99, Math.max(1, Math.floor(Number(ln.getAttribute("repeat"))) || 1)));
+    // Blocks and sections get fresh ids so tasks merged into an existing
+    // list never join one of its blocks or sections by accident
+    const groupIds = {};
+    const sectionIds = {};
+    for (const el of ln.querySelectorAll("task")) {
+      const time = Number(el.getAttribute("time") || 0);
+      const rem = Number(el.getAttribute("remaining") || 0) || time;
+      const importedName = el.getAttribute("name") || "Task";
+      // Start from normalization so YouTube URLs immediately get meta
+      const norm = normalizeTaskFromName(importedName, time);
+      // Respect explicit attributes if present (back-compat)
+      const ytIdAttr = el.getAttribute("ytId");
+      const ytUrlAttr = el.getAttribute("ytUrl");
+      // Fix #1: sanitise the ytId attribute from XML at import time so the
+      // unsanitised value never reaches localStorage or the BroadcastChannel.
+      const sanitisedYtIdAttr = safeYtId(ytIdAttr);
+      const meta = sanitisedYtIdAttr
+        ? { ytId: sanitisedYtIdAttr, ytUrl: ytUrlAttr || (isYouTubeUrl(importedName) ? importedName : "") }
+        : norm.meta;
+      const groupAttr = el.getAttribute("group");
+      let groupId;
+      if (groupAttr) {
+        if (!groupIds[groupAttr]) {
+          groupIds[groupAttr] = crypto.randomUUID();
+          rec.groups[groupIds[groupAttr]] = { repeat: Math.min(99, Math.max(1, Math.floor(Number(el.getAttribute("groupRepeat"))) || 1)) };
+        }
+        groupId = groupIds[groupAttr];
+      }
+      const sectionAttr = el.getAttribute("section");
+      if (sectionAttr && !sectionIds[sectionAttr]) {
+        sectionIds[sectionAttr] = crypto.randomUUID();
+        rec.sections[sectionIds[sectionAttr]] = { name: (el.getAttribute("sectionName") || "").trim() || "Section", collapsed: false };
+      }
+      rec.tasks.push({
+        ...norm,
+        remaining: rem,                  // keep imported remaining value
+        enabled: (el.getAttribute("enabled") || "1") === "1",
+        editing: false,
+        meta,
+        groupId,
+        sectionId: sectionAttr ? sectionIds[sectionAttr] : undefined,
+        overtime: el.hasAttribute("overtime") ? el.getAttribute("overtime") === "1" : undefined,
+        locked: el.getAttribute("locked") === "1" || undefined,
+        at: /^\d{1,2}:\d{2}$/.test(el.getAttribute("at") || "") ? el.getAttribute("at") : undefined,
+        checkpoint: el.getAttribute("checkpoint") === "1" || undefined,
+        exercise: el.getAttribute("exercise") ? {
+          name: el.getAttribute("exercise"),
+          set: Number(el.getAttribute("set")) || 1,
+          sets: Number(el.getAttribute("sets")) || 1,
+          reps: Number(el.getAttribute("reps")) || 0,
+          weight: el.hasAttribute("weight") ? Number(el.getAttribute("weight")) || 0 : null,
+          unit: el.getAttribute("unit") || "",
+        } : undefined,
+      });
+    }
+    byName.set(name, rec);
+  }
+  return [...byName.values()];
+}
+
+/* "Name", or "Name (2)", "Name (3)"… — the first that isn't in `taken`. */
+function uniqueListName(base, taken) {
+  if (!taken.has(base)) return base;
+  let k = 2;
+  while (taken.has(`${base} (${k})`)) k++;
+  return `${base} (${k})`;
+}
+
+/* Where an import row lands, or null when it is skipped. */
+function importTarget(row) {
+  if (row.action === "skip") return null;
+  return row.action === "rename" ? row.newName.trim() : row.name;
+}
+
+/* ----------------------------- JSON backup ------------------------------
+   A full-fidelity snapshot: the serialized state (lists, order, per-list
+   settings, stats, theme, any paused session) plus the session history,
+   wrapped in a versioned envelope. XML export stays the format for sharing
+   task sets; this one is for moving a whole setup between devices.
+
+   backup = { app: "timetally", schema, appVersion, exportedAt, state, sessions } */
+const BACKUP_SCHEMA = 1;
+
+/* BACKUP_MIGRATIONS[n] upgrades a backup from schema n to n + 1. Bump
+   BACKUP_SCHEMA and add a step here whenever the envelope or the serialized
+   state changes shape in a way hydrateState() can't absorb on its own. */
+const BACKUP_MIGRATIONS = {
+  // 0 → 1: a bare localStorage blob (copied out by hand) gets the envelope
+  0: (data) => ({ app: "timetally", schema: 1, appVersion: null, exportedAt: null, state: data.state, sessions: [] }),
+};
+
+function makeBackup(state) {
+  return {
+    app: "timetally",
+    schema: BACKUP_SCHEMA,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    state: JSON.parse(serializeState(state)),
+    sessions: state.sessions,
+  };
+}
+
+/* A task from a backup file with its basic fields in shape, or null when
+   it isn't one. Ids must be unique within the list (`ids`, mutated). */
+function backupTask(t, ids) {
+  if (!t || typeof t !== "object" || Array.isArray(t)) return null;
+  const time = Number(t.time);
+  if (!Number.isFinite(time) || time < 0) return null;
+  const remaining = Number(t.remaining);
+  const id = typeof t.id === "string" && t.id && !ids.has(t.id) ? t.id : crypto.randomUUID();
+  ids.add(id);
+  return {
+    ...t,
+    id,
+    name: typeof t.name === "string" ? t.name : String(t.name ?? ""),
+    time,
+    remaining: Number.isFinite(remaining) ? remaining : time,
+    enabled: t.enabled !== false,
+  };
+}
+
+/* A session record from a backup file in shape, or null when it isn't one. */
+function backupSession(rec) {
+  if (!rec || typeof rec !== "object" || typeof rec.list !== "string") return null;
+  const startedAt = Number(rec.startedAt);
+  const endedAt = Number(rec.endedAt);
+  if (!Number.isFinite(startedAt) || !Number.isFinite(endedAt)) return null;
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+  return {
+    ...rec,
+    id: typeof rec.id === "string" && rec.id ? rec.id : crypto.randomUUID(),
+    startedAt,
+    endedAt,
+    completed: !!rec.completed,
+    worked: num(rec.worked),
+    pauses: Array.isArray(rec.pauses) ? rec.pauses.filter((p) => Number.isFinite(p?.start) && Number.isFinite(p?.end)) : [],
+    tasks: Array.isArray(rec.tasks)
+      ? rec.tasks.filter((e) => e && typeof e === "object").map((e) => ({ ...e, name: String(e.name ?? ""), planned: num(e.planned), actual: num(e.actual) }))
+      : [],
+  };
+}
+
+/* Validate a parsed backup file and bring it up to BACKUP_SCHEMA. Throws an
+   Error whose message is fit to show the user. */
+function migrateBackup(data) {
+  if (!data || typeof data !== "object") throw new Error("Not a TimeTally backup.");
+  let backup = data;
+  if (data.app !== "timetally") {
+    if (!data.lists || !Array.isArray(data.listOrder)) throw new Error("Not a TimeTally backup.");
+    backup = { schema: 0, state: data };
+  }
+  const from = Number(backup.schema);
+  if (!Number.isInteger(from) || from < 0) throw new Error("Backup has an unknown schema version.");
+  if (from > BACKUP_SCHEMA) throw new Error("This backup was made by a newer version of TimeTally — update the app and try again.");
+  for (let v = from; v < BACKUP_SCHEMA; v++) backup = BACKUP_MIGRATIONS[v](backup);
+  const st = backup.state;
+  if (!st || typeof st.lists !== "object" || !Array.isArray(st.listOrder)) throw new Error("Backup is missing its lists.");
+  const listOrder = [...new Set(st.listOrder.filter((name) => typeof name === "string" && Array.isArray(st.lists[name])))];
+  if (!listOrder.length) throw new Error("Backup contains no lists.");
+  const currentList = listOrder.includes(st.currentList) ? st.currentList : listOrder[0];
+  // Entries that aren't tasks or sessions are dropped rather than crash the app later
+  const lists = {};
+  for (const name of listOrder) {
+    const ids = new Set();
+    lists[name] = st.lists[name].map((t) => backupTask(t, ids)).filter(Boolean);
+  }
+  const sessions = Array.isArray(backup.sessions) ? backup.sessions.map(backupSession).filter(Boolean) : [];
+  const idx = Number(st.currentTaskIndex);
+  const currentTaskIndex = Number.isInteger(idx) && idx >= 0 && idx < lists[currentList].length ? idx : 0;
+  return {
+    ...backup,
+    state: { ...st, lists, listOrder, currentList, currentTaskIndex },
+    sessions,
+  };
+}
+
+/* ----------------------------- Templates ------------------------------
+   A template is a list's tasks and settings kept to start new lists from:
+   state.templates = [{ id, name, tasks, config, savedAt }] for the user's
+   own, BUNDLED_TEMPLATES for the ones that ship. A template carries no run
+   state — remaining times, the schedule and the finish-by time are dropped
+   — and every list made from one gets fresh task, block and section ids.
+   Template files: { app: "timetally", kind: "templates", version,
+   exportedAt, templates }. */
+const TEMPLATE_FILE_VERSION = 1;
+
+const bundledTemplate = (id, name, icon, blurb, rows, config = {}) => ({
+  id: `bundled:${id}`,
+  name,
+  icon,
+  blurb,
+  tasks: rows.map(([taskName, time]) => ({ name: taskName, time, enabled: true })),
+  config,
+});
+
+const BUNDLED_TEMPLATES = [
+  bundledTemplate("workday", "Workday", "fa-briefcase", "Five deep-work blocks with real breaks, lunch and a shutdown ritual.", EXAMPLE_WORKDAY),
+  bundledTemplate("study", "Study session", "fa-book-open", "Review, three focus blocks with breaks, practice questions and a summary.", [
+    ["Review last session's notes", 10 * 60],
+    ["Focus block 1",               25 * 60],
+    ["Break — stand up",             5 * 60],
+    ["Focus block 2",               25 * 60],
+    ["Break — water",                5 * 60],
+    ["Focus block 3",               25 * 60],
+    ["Practice questions",          20 * 60],
+    ["Summarise what you learned",  10 * 60],
+  ], { ttsEnabled: true, ttsMode: "taskNameStart" }),
+  bundledTemplate("morning", "Morning routine", "fa-mug-hot", "Wake up, move, get ready and plan the day in an hour.", [
+    ["Glass of water",      2 * 60],
+    ["Make the bed",        3 * 60],
+    ["Stretch",            10 * 60],
+    ["Shower",             10 * 60],
+    ["Get dressed",         5 * 60],
+    ["Breakfast",          15 * 60],
+    ["Plan the day",        5 * 60],
+  ], { ttsEnabled: true, ttsMode: "taskNameStart" }),
+  bundledTemplate("stretching", "Stretching", "fa-person-walking", "A ten-minute full-body stretch, one side at a time.", [
+    ["Neck rolls",            45],
+    ["Shoulder circles",      45],
+    ["Chest opener",          45],
+    ["Cat–cow",               60],
+    ["Hamstring — left",      45],
+    ["Hamstring — right",     45],
+    ["Quad — left",           45],
+    ["Quad — right",          45],
+    ["Hip flexor — left",     45],
+    ["Hip flexor — right",    45],
+    ["Figure four — left",    45],
+    ["Figure four — right",   45],
+    ["Child's pose",          60],
+  ], { ttsEnabled: true, ttsMode: "taskNameStart", defaultTimeUnit: "seconds", warningThreshold: 5 }),
+];
+
+/* A task as a template keeps it — no run state, no edit flag. */
+function templateTask(t) {
+  const out = { ...t, time: t.plannedTime ?? t.time };
+  delete out.editing;
+  delete out.remaining;
+  delete out.plannedTime;
+  return out;
+}
+
+/* A template of list `name` as it stands. */
+function templateFromList(name, tasks, cfg) {
+  const config = { ...cfg };
+  delete config.autoStart;
+  delete config.finishBy;
+  return { id: crypto.randomUUID(), name, tasks: tasks.map(templateTask), config, savedAt: Date.now() };
+}
+
+/* { tasks, config } for a new list made from `tpl`. */
+function listFromTemplate(tpl) {
+  const ids = {};
+  const fresh = (id) => (id ? (ids[id] = ids[id] || crypto.randomUUID()) : undefined);
+  const tasks = tpl.tasks.map((t) => ({
+    ...t,
+    id: crypto.randomUUID(),
+    remaining: t.time,
+    enabled: t.enabled !== false,
+    editing: false,
+    groupId: fresh(t.groupId),
+    sectionId: fresh(t.sectionId),
+  }));
+  const remap = (byId) => Object.fromEntries(Object.entries(byId || {}).filter(([k]) => ids[k]).map(([k, v]) => [ids[k], v]));
+  return {
+    tasks,
+    config: {
+      ...defaultConfig(),
+      ...tpl.config,
+      groups: remap(tpl.config?.groups),
+      sections: remap(tpl.config?.sections),
+      autoStart: null,
+      finishBy: "",
+    },
+  };
+}
+
+/* Validate a parsed template file. Returns its templates with new ids, each
+   task reduced to what a template keeps. Throws an Error whose message is
+   fit to show the user. */
+function parseTemplateFile(data) {
+  if (data?.app !== "timetally" || data.kind !== "templates" || !Array.isArray(data.templates)) {
+    throw new Error("Not a TimeTally template file.");
+  }
+  if (Number(data.version) > TEMPLATE_FILE_VERSION) {
+    throw new Error("These templates were made by a newer version of TimeTally — update the app and try again.");
+  }
+  const out = data.templates
+    .filter((tpl) => tpl && typeof tpl.name === "string" && tpl.name.trim() && Array.isArray(tpl.tasks))
+    .map((tpl) => ({
+      id: crypto.randomUUID(),
+      name: tpl.name.trim(),
+      tasks: tpl.tasks
+        .filter((t) => t && typeof t.name === "string" && Number.isFinite(Number(t.time)) && Number(t.time) >= 0)
+        .map((t) => ({ ...templateTask(t), time: Number(t.time) })),
+      config: tpl.config && typeof tpl.config === "object" ? tpl.config : {},
+      savedAt: Number(tpl.savedAt) || Date.now(),
+    }))
+    .filter((tpl) => tpl.tasks.length);
+  if (!out.length) throw new Error("The file has no templates with tasks.");
+  return out;
+}
+
 /* ----------------------------- Utilities ------------------------------ */
 const affirmations = ["Great job!", "Well done!", "You did it!", "Keep it up!", "Nice work!"];
 
@@ -330,6 +1081,80 @@ function fromDisplayTime(value, unit) {
   return Number(value);
 }
 
+/* ---------- Bulk add: one task per pasted line ----------
+   A duration is a clock ("10:00", "1:15:00"), unit parts ("45s", "5 min",
+   "1h30", "1h 30m", "1.5h") or — at the end of a line only — a bare number
+   in the default unit. It may sit at either end of the line, optionally in
+   parentheses or after a dash, colon, comma or pipe. */
+const DURATION_UNITS = [
+  { re: /^(?:hours?|hrs?|h)$/i, seconds: 3600 },
+  { re: /^(?:minutes?|mins?|m|')$/i, seconds: 60 },
+  { re: /^(?:seconds?|secs?|s|")$/i, seconds: 1 },
+];
+const MAX_BULK_SECONDS = 24 * 3600;
+const BULK_SEPARATORS = /^[\s\-–—:,|]+|[\s\-–—:,|]+$/g;
+
+function parseDuration(token, defaultUnit, allowBare = true) {
+  const str = token.trim().replace(/^\((.*)\)$/, "$1").trim().toLowerCase();
+  if (!str) return null;
+  const clock = str.match(/^(\d+):([0-5]\d)(?::([0-5]\d))?$/);
+  if (clock) {
+    const [a, b, c] = clock.slice(1).map((x) => (x === undefined ? null : Number(x)));
+    return c === null ? a * 60 + b : a * 3600 + b * 60 + c;
+  }
+  if (/^\d+(?:[.,]\d+)?$/.test(str)) {
+    if (!allowBare) return null;
+    const toSeconds = defaultUnit === "seconds" ? secs : defaultUnit === "hours" ? hours : mins;
+    return Math.round(toSeconds(Number(str.replace(",", "."))));
+  }
+  // Unit parts, largest first; a trailing bare number means the next unit down ("1h30", "5m30")
+  const partRe = /(\d+(?:[.,]\d+)?)\s*([a-z]+|['"])\s*/gy;
+  let total = 0, last = Infinity, end = 0, m;
+  while ((m = partRe.exec(str))) {
+    const unit = DURATION_UNITS.find((u) => u.re.test(m[2]));
+    if (!unit || unit.seconds >= last) return null;
+    total += Number(m[1].replace(",", ".")) * unit.seconds;
+    last = unit.seconds;
+    end = partRe.lastIndex;
+  }
+  if (end === 0) return null;
+  const rest = str.slice(end);
+  if (rest) {
+    if (!/^\d+$/.test(rest) || last === 1) return null;
+    total += Number(rest) * (last / 60);
+  }
+  return Math.round(total);
+}
+
+/* Parse pasted text into preview rows: { line, text, name, time } or
+   { line, text, error }. Blank lines are dropped; list bullets are ignored. */
+function parseBulkTasks(input, defaultUnit) {
+  const rows = [];
+  const fail = (line, text, error) => rows.push({ line, text, error });
+  String(input || "").split(/\r?\n/).forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text) return;
+    const line = i + 1;
+    const body = text.replace(/^(?:[-*•·]|\d+[.)])\s+/, "");
+    const words = body.split(/\s+/);
+    let name = null, time = null;
+    // Longest duration first, so "5 min" wins over a bare "min"
+    for (let k = Math.min(4, words.length); k >= 1 && time === null; k--) {
+      const tail = parseDuration(words.slice(-k).join(" "), defaultUnit);
+      if (tail !== null) { time = tail; name = words.slice(0, -k).join(" "); break; }
+      const head = parseDuration(words.slice(0, k).join(" "), defaultUnit, false);
+      if (head !== null) { time = head; name = words.slice(k).join(" "); }
+    }
+    if (time === null) return fail(line, text, "No duration found — add one like 5m, 45s or 1h30.");
+    name = name.replace(BULK_SEPARATORS, "");
+    if (!name) return fail(line, text, "Missing task name.");
+    if (time <= 0) return fail(line, text, "Duration must be more than zero.");
+    if (time > MAX_BULK_SECONDS) return fail(line, text, "Duration is longer than 24 hours.");
+    rows.push({ line, text, name, time });
+  });
+  return rows;
+}
+
 function formatHMS(total) {
   const s = Math.max(0, Math.floor(total));
   const h = Math.floor(s / 3600);
@@ -352,8 +1177,52 @@ function ttsDuration(totalSeconds) {
   return parts.join(" ");
 }
 
-function sumEnabledRemaining(tasks) {
-  return tasks.reduce((acc, t) => acc + (t.enabled ? t.remaining : 0), 0);
+/* ----------------------------- Keyboard shortcuts ------------------------------
+   Bindings are stored as combo strings — "Space", "N", "Shift+N", "Mod+K",
+   "ArrowUp" — where Mod is Ctrl, or Cmd on a Mac. state.shortcuts only holds
+   the user's changes (null = unbound); everything else uses `key` below.
+   Number keys 1–9 always switch to that list. `anywhere` actions also work
+   while an overlay is open. */
+const SHORTCUT_ACTIONS = [
+  { id: "toggle",   label: "Start / pause",           key: "Space" },
+  { id: "skip",     label: "Skip task",               key: "N" },
+  { id: "complete", label: "Complete task",           key: "Enter" },
+  { id: "restart",  label: "Restart list",            key: "R" },
+  { id: "prevTask", label: "Previous task",           key: "ArrowUp" },
+  { id: "nextTask", label: "Next task",               key: "ArrowDown" },
+  { id: "prevList", label: "Previous list",           key: "ArrowLeft" },
+  { id: "nextList", label: "Next list",               key: "ArrowRight" },
+  { id: "undo",     label: "Undo",                    key: "Mod+Z",       anywhere: true },
+  { id: "redo",     label: "Redo",                    key: "Mod+Shift+Z", anywhere: true },
+  { id: "palette",  label: "Command palette",         key: "Mod+K" },
+];
+
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || "");
+
+/* action id → combo, with the user's overrides applied */
+function shortcutBindings(overrides = {}) {
+  const out = {};
+  for (const a of SHORTCUT_ACTIONS) out[a.id] = a.id in overrides ? overrides[a.id] : a.key;
+  return out;
+}
+
+/* Combo string for a keydown, or null for a lone modifier press. */
+function keyFromEvent(e) {
+  if (["Control", "Meta", "Shift", "Alt"].includes(e.key)) return null;
+  const key = e.key === " " ? "Space" : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push("Mod");
+  if (e.altKey) mods.push("Alt");
+  // Shift counts for letters and named keys; a symbol like "?" already implies it
+  if (e.shiftKey && (key.length > 1 || /^[A-Z]$/.test(key))) mods.push("Shift");
+  return [...mods, key].join("+");
+}
+
+const KEY_LABELS = { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→", Escape: "Esc" };
+
+function formatShortcut(combo) {
+  if (!combo) return "—";
+  return combo.split("+").map((k) => (k === "Mod" ? (IS_MAC ? "⌘" : "Ctrl") : KEY_LABELS[k] || k)).join(IS_MAC ? "" : "+");
 }
 
 /* ----------------------------- YouTube embed helpers ------------------------------ */
@@ -369,12 +1238,885 @@ function ytIframeSrc(id) {
   return `https://www.youtube.com/embed/${id}?enablejsapi=1&autoplay=1&rel=0&modestbranding=1&playsinline=1`;
 }
 
-/* Pure helper — takes an array directly, no state closure */
-function nextEnabledIndexFrom(arr, start) {
-  for (let k = start; k < arr.length; k++) if (arr[k].enabled) return k;
+/* Pure helper — takes an array directly, no state closure.
+   `end` bounds the search (exclusive), e.g. to the tasks of one block. */
+function nextEnabledIndexFrom(arr, start, end = arr.length) {
+  for (let k = start; k < end; k++) if (arr[k].enabled) return k;
   return -1;
 }
 
+/* ----------------------------- Rounds ------------------------------
+   A list can repeat as a whole (`config.repeat`), and consecutive tasks
+   sharing a `groupId` form a block that repeats on its own before the list
+   moves on (`config.groups[groupId].repeat`). A position in the run is
+   { idx, round, groupRound }: the task index, the pass through the list and
+   the pass through the current block, both 1-based. */
+function listRepeat(cfg) {
+  return Math.max(1, Math.floor(cfg?.repeat || 1));
+}
+
+function groupRepeat(cfg, groupId) {
+  return groupId ? Math.max(1, Math.floor(cfg?.groups?.[groupId]?.repeat || 1)) : 1;
+}
+
+/* Index range of the block containing `idx`, or null for an ungrouped task. */
+function blockBounds(arr, idx) {
+  const id = arr[idx]?.groupId;
+  if (!id) return null;
+  let start = idx;
+  let end = idx;
+  while (start > 0 && arr[start - 1].groupId === id) start--;
+  while (end < arr.length - 1 && arr[end + 1].groupId === id) end++;
+  return { start, end };
+}
+
+/* Position that follows `pos`, honouring block and list repeats, or null when
+   the last round is done. A step that loops back carries `wrap` — the index
+   range whose tasks start over and need their `remaining` reset. */
+function nextPosition(arr, cfg, pos) {
+  const round = pos.round ?? 1;
+  const groupRound = pos.groupRound ?? 1;
+  const t = arr[pos.idx];
+  const block = blockBounds(arr, pos.idx);
+  if (block && groupRound < groupRepeat(cfg, t.groupId) && nextEnabledIndexFrom(arr, pos.idx + 1, block.end + 1) === -1) {
+    const first = nextEnabledIndexFrom(arr, block.start, block.end + 1);
+    if (first !== -1) return { idx: first, round, groupRound: groupRound + 1, wrap: block };
+  }
+  const nxt = nextEnabledIndexFrom(arr, pos.idx + 1);
+  if (nxt !== -1) {
+    const sameBlock = !!t?.groupId && arr[nxt].groupId === t.groupId;
+    return { idx: nxt, round, groupRound: sameBlock ? groupRound : 1 };
+  }
+  if (round < listRepeat(cfg)) {
+    const first = nextEnabledIndexFrom(arr, 0);
+    if (first !== -1) return { idx: first, round: round + 1, groupRound: 1, wrap: { start: 0, end: arr.length - 1 } };
+  }
+  return null;
+}
+
+/* Reset `remaining` over a looped-back range (returns a new array). */
+function applyWrap(arr, wrap) {
+  if (!wrap) return arr;
+  return arr.map((t, i) => (i >= wrap.start && i <= wrap.end ? { ...t, remaining: t.time } : t));
+}
+
+/* Seconds of one full pass through the list, blocks counted at their repeat. */
+function passSeconds(arr, cfg) {
+  return arr.reduce((acc, t) => acc + (t.enabled ? t.time * groupRepeat(cfg, t.groupId) : 0), 0);
+}
+
+/* Seconds left from `pos` to the end of the last round. Every task counts
+   its `remaining` for the pass in progress (a single-pass list sums exactly
+   like summing enabled `remaining`); block and list rounds not yet begun add full
+   durations on top. */
+function roundsRemaining(arr, cfg, pos) {
+  const block = blockBounds(arr, pos.idx);
+  const ahead = block ? block.end + 1 : Math.max(0, pos.idx);
+  let total = 0;
+  for (let i = 0; i < arr.length; i++) {
+    const t = arr[i];
+    if (!t.enabled) continue;
+    total += Math.max(0, t.remaining);
+    if (i >= ahead) total += (groupRepeat(cfg, t.groupId) - 1) * t.time;
+    else if (block && i >= block.start) total += Math.max(0, groupRepeat(cfg, t.groupId) - (pos.groupRound ?? 1)) * t.time;
+  }
+  return total + Math.max(0, listRepeat(cfg) - (pos.round ?? 1)) * passSeconds(arr, cfg);
+}
+
+/* Spoken lead-in when `pos` begins a section or a round ("Main set, Round
+   3 of 8"), else "". */
+function roundCue(arr, cfg, pos) {
+  const parts = [];
+  const rounds = listRepeat(cfg);
+  if (rounds > 1 && (pos.groupRound ?? 1) === 1 && pos.idx === nextEnabledIndexFrom(arr, 0)) {
+    parts.push(`Round ${pos.round ?? 1} of ${rounds}`);
+  }
+  const block = blockBounds(arr, pos.idx);
+  const sets = block ? groupRepeat(cfg, arr[pos.idx].groupId) : 1;
+  if (sets > 1 && pos.idx === nextEnabledIndexFrom(arr, block.start, block.end + 1)) {
+    parts.push(`${parts.length ? "block round" : "Round"} ${pos.groupRound ?? 1} of ${sets}`);
+  }
+  const section = sectionBounds(arr, pos.idx);
+  if (section && (pos.groupRound ?? 1) === 1 && pos.idx === nextEnabledIndexFrom(arr, section.start, section.end + 1)) {
+    parts.unshift(sectionName(cfg, arr[pos.idx].sectionId));
+  }
+  return parts.join(", ");
+}
+
+/* Keep blocks contiguous after task `i` was moved: dropping it between two
+   tasks of one block joins that block, and dragging it clear of its own
+   block leaves it (a one-task block travels whole). */
+function regroupMoved(arr, i) {
+  const t = arr[i];
+  const prev = arr[i - 1]?.groupId;
+  const next = arr[i + 1]?.groupId;
+  if (prev && prev === next) return prev === t.groupId ? arr : arr.map((x, k) => (k === i ? { ...x, groupId: prev } : x));
+  if (!t.groupId || t.groupId === prev || t.groupId === next) return arr;
+  if (!arr.some((x, k) => k !== i && x.groupId === t.groupId)) return arr;
+  return arr.map((x, k) => (k === i ? { ...x, groupId: undefined } : x));
+}
+
+/* ----------------------------- Finish by ------------------------------
+   `config.finishBy` is a wall-clock target ("17:00") for the end of the
+   list. Fitting to it rescales what is left of every enabled task by one
+   factor so the ETA lands on the target; finished tasks, tasks with
+   `locked` set (lunch, a meeting) and pinned tasks keep their length. */
+
+/* Epoch ms of the next "HH:MM" — today's, unless that was more than twelve
+   hours ago (a 01:00 target set late in the evening means tonight). */
+function clockAt(hhmm, now) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
+  if (!m) return null;
+  const at = new Date(now);
+  at.setHours(Number(m[1]), Number(m[2]), 0, 0);
+  if (at.getTime() < now - 12 * 3600000) at.setDate(at.getDate() + 1);
+  return at.getTime();
+}
+
+/* Rescale the tasks so the rest of the run from `pos` takes `seconds`.
+   Returns { tasks, scale } — the new array and the factor applied — with
+   `tasks` null when it can't fit: `fixed` is then what the finished and
+   locked tasks alone still need. Returns null when nothing can be rescaled.
+   Rounds and blocks are accounted for: roundsRemaining() is linear in the
+   scale, so one probe at zero gives the exact factor. */
+function fitDeadline(arr, cfg, pos, seconds) {
+  const flexible = (t) => t.enabled && !t.locked && !t.at && t.remaining > 0;
+  const fixed = roundsRemaining(rescaleTasks(arr, flexible, 0, true), cfg, pos);
+  const flex = roundsRemaining(arr, cfg, pos) - fixed;
+  if (flex <= 0) return null;
+  const scale = (seconds - fixed) / flex;
+  if (scale <= 0) return { tasks: null, scale, fixed };
+  return { tasks: rescaleTasks(arr, flexible, scale, false), scale, fixed };
+}
+
+/* Copy of `arr` with what is left of each task picked by `pick(t, i)`
+   multiplied by `k`; `time` moves with it, so the part already done stays.
+   A task whose length changes keeps its first one as `plannedTime`, for
+   resetTasks() to bring back. `exact` skips rounding to whole seconds, for
+   probes. */
+function rescaleTasks(arr, pick, k, exact) {
+  return arr.map((t, i) => {
+    if (!pick(t, i)) return t;
+    if (exact) return { ...t, remaining: t.remaining * k, time: t.time - t.remaining + t.remaining * k };
+    const remaining = Math.max(1, Math.round(t.remaining * k));
+    const time = Math.max(1, Math.round(t.time - t.remaining + remaining));
+    if (time === t.time) return { ...t, remaining };
+    return { ...t, remaining, time, plannedTime: t.plannedTime ?? t.time };
+  });
+}
+
+/* ----------------------------- Pinned tasks ------------------------------
+   A task with `at` ("09:30") is pinned to the clock: it should start then.
+   Fitting rescales the flexible tasks between now and the first pin, and
+   between each pin and the next, so every pinned task starts on time;
+   pinned, locked and finished tasks keep their length. Pins count in the
+   pass in progress only — later rounds simply follow on. A task fitted this
+   way remembers its own length as `plannedTime`, which resetTasks() brings
+   back when the list starts over. */
+
+/* The rest of the current pass from `pos` in play order, block rounds
+   included: [{ idx, round, groupRound, secs }], each visit with the seconds
+   it will take. `allRounds` carries on through the later list rounds. */
+function playOrder(arr, cfg, pos, allRounds = false) {
+  const out = [];
+  const reset = new Set();
+  let p = arr[pos.idx] ? pos : null;
+  while (p && (allRounds || (p.round ?? 1) === (pos.round ?? 1))) {
+    const t = arr[p.idx];
+    out.push({ idx: p.idx, round: p.round ?? 1, groupRound: p.groupRound ?? 1, secs: reset.has(p.idx) ? t.time : Math.max(0, t.remaining) });
+    p = nextPosition(arr, cfg, p);
+    if (p?.wrap) for (let i = p.wrap.start; i <= p.wrap.end; i++) reset.add(i);
+  }
+  return out;
+}
+
+/* Epoch ms each task of the current pass starts at, { [idx]: ms }, if the
+   run carries on from `pos` at `now` (first visit of each task only). */
+function clockStarts(arr, cfg, pos, now) {
+  const starts = {};
+  const cur = arr[pos.idx];
+  let at = now;
+  for (const v of playOrder(arr, cfg, pos)) {
+    if (!(v.idx in starts)) starts[v.idx] = v.idx === pos.idx ? now - Math.max(0, cur.time - cur.remaining) * 1000 : at;
+    at += v.secs * 1000;
+  }
+  return starts;
+}
+
+/* Fit the flexible tasks around the pins ahead of `pos`. Returns { tasks,
+   missed }: the rescaled array, and for each pin that can't be met the ms
+   it will start late (positive) or early (negative — nothing before it to
+   stretch). Misses under a minute don't count. */
+function fitPins(arr, cfg, pos, now) {
+  let tasks = arr;
+  const missed = {};
+  const order = playOrder(arr, cfg, pos);
+  const seen = new Set([pos.idx]);
+  const settled = new Set(); // rescaled for an earlier pin
+  let from = 0;
+  let fromAt = now;
+  const span = (a, to) => playOrder(a, cfg, pos).slice(from, to).reduce((acc, v) => acc + v.secs, 0);
+  for (let v = 1; v < order.length; v++) {
+    const idx = order[v].idx;
+    if (seen.has(idx)) continue;
+    seen.add(idx);
+    if (!tasks[idx].at) continue;
+    const target = clockAt(tasks[idx].at, now);
+    const inSegment = new Set(order.slice(from, v).map((w) => w.idx));
+    const flexible = (t, i) => inSegment.has(i) && !settled.has(i) && t.enabled && !t.locked && !t.at && t.remaining > 0;
+    const fixed = span(rescaleTasks(tasks, flexible, 0, true), v);
+    const flex = span(tasks, v) - fixed;
+    const scale = flex > 0 ? ((target - fromAt) / 1000 - fixed) / flex : 0;
+    if (scale > 0) {
+      tasks = rescaleTasks(tasks, flexible, scale, false);
+      inSegment.forEach((i) => settled.add(i));
+    }
+    const lands = fromAt + span(tasks, v) * 1000;
+    if (Math.abs(lands - target) >= 60000) missed[idx] = lands - target;
+    fromAt = lands;
+    from = v;
+  }
+  return { tasks, missed };
+}
+
+/* `arr` ready for a run from the top: every task back at its planned length. */
+function resetTasks(arr) {
+  return arr.map((t) => {
+    const time = t.plannedTime ?? t.time;
+    const next = { ...t, time, remaining: time };
+    delete next.plannedTime;
+    return next;
+  });
+}
+
+/* `arr` fitted to its pins from `pos`, or `arr` itself when nothing is pinned. */
+function withPins(arr, cfg, pos, now) {
+  return arr.some((t) => t.at) ? fitPins(arr, cfg, pos, now).tasks : arr;
+}
+
+/* ----------------------------- Timeline ------------------------------
+   The agenda behind the timeline view: every visit still to come, laid
+   end to end on the clock. What already ran comes from the run's log. */
+
+/* The rest of the run from `pos` if it carries on at `from` (epoch ms):
+   [{ idx, round, groupRound, start, end }]. Tasks with nothing left to run
+   are left out. */
+function agenda(arr, cfg, pos, from) {
+  const out = [];
+  let at = from;
+  for (const v of playOrder(arr, cfg, pos, true)) {
+    if (v.secs <= 0) continue;
+    out.push({ idx: v.idx, round: v.round, groupRound: v.groupRound, start: at, end: at + v.secs * 1000 });
+    at += v.secs * 1000;
+  }
+  return out;
+}
+
+/* ----------------------------- Scheduled starts ------------------------------
+   `config.autoStart` = { time: "08:55", days: [1, 2, 3, 4, 5], date, handled }
+   starts the list on its own: every week on `days` (0 = Sunday), or once on
+   `date` ("2026-03-02") when no day is picked. `handled` is the epoch ms of
+   the last occurrence that was started, skipped or dismissed — anything at or
+   before it is done with. An occurrence missed while the app was closed is
+   offered for catch-up for CATCH_UP_MS; older ones are dropped. */
+const CATCH_UP_MS = 12 * 3600000;
+const START_GRACE_MS = 60000; // a start found this late (throttled tab) still just starts
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/* Epoch ms of every occurrence of `sched` in (from, to], in order. */
+function occurrences(sched, from, to) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(sched?.time || "");
+  if (!m || to <= from) return [];
+  if (!sched.days?.length) {
+    const d = /^(\d{4})-(\d{2})-(\d{2})$/.exec(sched.date || "");
+    if (!d) return [];
+    const at = new Date(Number(d[1]), Number(d[2]) - 1, Number(d[3]), Number(m[1]), Number(m[2])).getTime();
+    return at > from && at <= to ? [at] : [];
+  }
+  const out = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+    if (!sched.days.includes(day.getDay())) continue;
+    const at = new Date(day).setHours(Number(m[1]), Number(m[2]), 0, 0);
+    if (at > from && at <= to) out.push(at);
+  }
+  return out;
+}
+
+/* The next occurrence still to come after `now`, or null. */
+function nextStart(sched, now) {
+  return occurrences(sched, Math.max(now, sched?.handled || 0), now + 8 * 86400000)[0] ?? null;
+}
+
+/* The latest occurrence that came due and wasn't handled, or null. */
+function dueStart(sched, now) {
+  const due = occurrences(sched, Math.max(sched?.handled || 0, now - CATCH_UP_MS), now);
+  return due.length ? due[due.length - 1] : null;
+}
+
+/* "Mon 08:55", or "08:55" for today. */
+function startLabel(at, now) {
+  const d = new Date(at);
+  const hm = `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+  return d.toDateString() === new Date(now).toDateString() ? hm : `${WEEKDAYS[d.getDay()]} ${hm}`;
+}
+
+/* ----------------------------- Playlists ------------------------------
+   A playlist chains lists into one run: state.playlists = [{ id, name,
+   items: [{ list, repeat }], stats }]. While one plays, state.playlistRun =
+   { id, step, pass, startedAt, worked } says where it is — `step` indexes
+   `items` and `pass` counts that item's repeats from 1. Each list still runs
+   as its own session, with its own stats; when it ends the next one starts
+   from the top. Items whose list has been deleted are passed over. */
+const defaultPlaylistStats = () => ({ runsCompleted: 0, timeWorked: 0, longestRun: 0, lastRun: null });
+
+function itemRepeat(item) {
+  return Math.max(1, Math.floor(item?.repeat || 1));
+}
+
+/* Where the playlist goes after `pos` ({ step, pass }), or null at its end. */
+function nextPlaylistStep(pl, pos, lists) {
+  const item = pl.items[pos.step];
+  if (item && lists[item.list] && pos.pass < itemRepeat(item)) return { step: pos.step, pass: pos.pass + 1 };
+  for (let step = pos.step + 1; step < pl.items.length; step++) {
+    if (lists[pl.items[step].list]) return { step, pass: 1 };
+  }
+  return null;
+}
+
+/* Seconds one full run of list `name` takes, its rounds and blocks included. */
+function listSeconds(lists, configs, name) {
+  const arr = lists[name] || [];
+  return passSeconds(arr, configs[name]) * listRepeat(configs[name]);
+}
+
+/* Seconds the playlist has to go after the list playing at `pos` — that
+   item's passes still to come and every later item, each at full length.
+   From { step: 0, pass: 0 } it is the length of the whole playlist. */
+function playlistSecondsAfter(pl, pos, lists, configs) {
+  let total = 0;
+  pl.items.forEach((item, i) => {
+    if (i < pos.step || !lists[item.list]) return;
+    const passes = i === pos.step ? itemRepeat(item) - pos.pass : itemRepeat(item);
+    total += Math.max(0, passes) * listSeconds(lists, configs, item.list);
+  });
+  return total;
+}
+
+/* ----------------------------- Sections ------------------------------
+   A task's `sectionId` puts it under a collapsible header, named in
+   `config.sections[sectionId]`. A section runs from its header down to the
+   next one, so sectioned tasks are always consecutive and the only tasks
+   without a section are those above the first header. Sections don't
+   repeat — that's what blocks are for — they only organise a long list;
+   the engine sees them in the cues and the ETA. */
+function sectionBounds(arr, idx) {
+  const id = arr[idx]?.sectionId;
+  if (!id) return null;
+  let start = idx;
+  let end = idx;
+  while (start > 0 && arr[start - 1].sectionId === id) start--;
+  while (end < arr.length - 1 && arr[end + 1].sectionId === id) end++;
+  return { start, end };
+}
+
+function sectionName(cfg, sectionId) {
+  return cfg?.sections?.[sectionId]?.name || "Section";
+}
+
+/* After task `i` was moved: it stays in its own section while that is still
+   above or below it, and otherwise joins the section whose header is now
+   above it. */
+function resectionMoved(arr, i) {
+  const t = arr[i];
+  const prev = arr[i - 1]?.sectionId;
+  if (t.sectionId === prev || (t.sectionId && t.sectionId === arr[i + 1]?.sectionId)) return arr;
+  return arr.map((x, k) => (k === i ? { ...x, sectionId: prev } : x));
+}
+
+/* Move tasks start..end as one piece so they land at task `to` (an index
+   into `arr`). The piece never splits another section, or a block outside
+   sections: it goes before or after that whole run. Returns `arr` itself
+   when there's nothing to move. */
+function moveRange(arr, start, end, to) {
+  if (to >= start && to <= end) return arr;
+  const piece = arr.slice(start, end + 1);
+  const rest = [...arr.slice(0, start), ...arr.slice(end + 1)];
+  let at = to < start ? to : to - piece.length;
+  const unit = sectionBounds(rest, at) || blockBounds(rest, at) || { start: at, end: at };
+  at = to < start ? unit.start : unit.end + 1;
+  return [...rest.slice(0, at), ...piece, ...rest.slice(at)];
+}
+
+/* Give tasks appended at the end of a list the section of the task above
+   them, so they show under the last header rather than as a stray run. */
+function appendToSections(arr, added) {
+  const last = arr[arr.length - 1]?.sectionId;
+  if (!last) return [...arr, ...added];
+  let open = true;
+  return [...arr, ...added.map((t) => {
+    if (t.sectionId) open = false;
+    return open ? { ...t, sectionId: last } : t;
+  })];
+}
+
+/* ----------------------------- Run engine ------------------------------
+   A session is persisted as a wall-clock anchor instead of a value that is
+   decremented every tick: `anchorAt` is the epoch ms at which the current
+   task had `anchorRemaining` seconds left. Any moment's position can then be
+   reconstructed exactly — by the interval, after a reload, or after the OS
+   froze or evicted the tab — by walking forward from the anchor.
+
+   run = {
+     list, taskIndex, taskId,   // where the anchor sits
+     round, groupRound, groupId,// position in list / block rounds — see "Rounds"
+     anchorAt, anchorRemaining, // see above
+     startedAt,                 // epoch ms the session began
+     resumedAt,                 // start of the current running stretch
+     worked,                    // seconds run in earlier stretches
+     pausedAt,                  // epoch ms, null while running
+     readyUntil,                // epoch ms a lead-in ends, null without one — see "Lead-in"
+     overtime,                  // the anchored task is past zero and counting on — always on a checkpoint
+     pauses: [{ start, end }],  // closed pause intervals, epoch ms
+     log: [{ id, name, planned, actual, outcome, round, groupRound, startedAt, endedAt }], // per-task session log
+   } */
+function newRun(list, idx, task, now) {
+  const run = {
+    list,
+    taskIndex: idx,
+    taskId: task?.id ?? null,
+    round: 1,
+    groupRound: 1,
+    groupId: task?.groupId ?? null,
+    anchorAt: now,
+    ...anchorFor(task),
+    startedAt: now,
+    resumedAt: now,
+    worked: 0,
+    pausedAt: null,
+    readyUntil: null,
+    pauses: [],
+    log: [],
+  };
+  return { ...run, log: logEntry([], task, run, now) };
+}
+
+/* Session log — one entry per task per round the run touched. `actual` is
+   running time spent on the task; `outcome` is "completed" | "early" |
+   "skipped", or null while the task never finished. `groupRound` is null
+   for tasks outside a block. `startedAt` / `endedAt` are the epoch ms the
+   run reached the task and left it with an outcome. */
+function logEntry(log, task, pos, at) {
+  const round = pos.round ?? 1;
+  const groupRound = task?.groupId ? (pos.groupRound ?? 1) : null;
+  if (!task || log.some((e) => e.id === task.id && e.round === round && e.groupRound === groupRound)) return log;
+  return [...log, { id: task.id, name: task.name, planned: task.time, actual: 0, outcome: null, round, groupRound, startedAt: at, endedAt: null }];
+}
+
+/* Credit the latest entry for task `id` — the one for the current round.
+   An `outcome` closes the entry at `at`. */
+function creditLog(log, id, seconds, outcome, at) {
+  let i = log.length - 1;
+  while (i >= 0 && log[i].id !== id) i--;
+  if (i === -1) return log;
+  const next = [...log];
+  next[i] = {
+    ...log[i],
+    actual: log[i].actual + Math.max(0, seconds),
+    outcome: outcome ?? log[i].outcome,
+    endedAt: outcome ? at : log[i].endedAt ?? null,
+  };
+  return next;
+}
+
+/* Seconds the anchored task has run since the anchor (0 while paused).
+   Capped at what it had left, unless it is in overtime. */
+function anchorRan(run, at) {
+  if (run.pausedAt) return 0;
+  const ran = Math.max(0, (at - run.anchorAt) / 1000);
+  return run.overtime ? ran : Math.min(run.anchorRemaining, ran);
+}
+
+/* Move the anchor to `idx`. The task being left is credited with the time it
+   ran and, when given, tagged with `outcome`. Safe on paused runs too.
+   Landing outside the current block starts that block at its first round. */
+function anchorRun(run, idx, task, now, outcome = null) {
+  const log = creditLog(run.log, run.taskId, anchorRan(run, now), outcome, now);
+  const groupId = task?.groupId ?? null;
+  const next = {
+    ...run,
+    taskIndex: idx,
+    taskId: task?.id ?? null,
+    groupId,
+    groupRound: groupId && groupId === run.groupId ? run.groupRound ?? 1 : 1,
+    anchorAt: now,
+    ...anchorFor(task),
+    // Moving on cuts a lead-in short
+    readyUntil: null,
+    resumedAt: Math.min(run.resumedAt, now),
+  };
+  return { ...next, log: logEntry(log, task, next, now) };
+}
+
+/* Move the anchor to a nextPosition() result, taking on its rounds. */
+function stepRun(run, pos, task, now, outcome = null) {
+  return anchorRun({ ...run, round: pos.round, groupRound: pos.groupRound, groupId: task?.groupId ?? null }, pos.idx, task, now, outcome);
+}
+
+/* Paused → running. Closes the open pause interval and re-anchors at `idx`. */
+function resumeRun(run, idx, task, now) {
+  const pauses = run.pausedAt ? [...run.pauses, { start: run.pausedAt, end: now }] : run.pauses;
+  return { ...anchorRun(run, idx, task, now), pausedAt: null, resumedAt: now, pauses };
+}
+
+/* Running → paused at `at`. Folds the running stretch into `worked`. */
+function pauseRun(run, at) {
+  if (run.pausedAt) return run;
+  return {
+    ...run,
+    log: creditLog(run.log, run.taskId, anchorRan(run, at), null, at),
+    pausedAt: at,
+    worked: run.worked + Math.max(0, (at - run.resumedAt) / 1000),
+  };
+}
+
+/* Turn a finished (`completed`) or abandoned run into a history record. */
+function sessionRecord(run, endedAt, completed) {
+  const r = pauseRun(run, endedAt);
+  return {
+    id: crypto.randomUUID(),
+    list: r.list,
+    startedAt: r.startedAt,
+    endedAt: r.pausedAt,
+    completed,
+    worked: r.worked,
+    pauses: r.pauses,
+    tasks: r.log,
+  };
+}
+
+/* Append an abandoned run to the history, unless it never really got going. */
+function withAbandoned(sessions, run, at) {
+  const rec = sessionRecord(run, at, false);
+  return rec.worked >= 1 ? [...sessions, rec] : sessions;
+}
+
+/* Remaining seconds of the anchored task at `now` (may be ≤ 0 if overdue).
+   The anchor lies ahead during a lead-in; the task holds its time till then. */
+function anchoredRemaining(run, now) {
+  return run.anchorRemaining - Math.max(0, now - run.anchorAt) / 1000;
+}
+
+/* Overtime — a task whose time runs out keeps counting past zero, its
+   `remaining` going negative, and the run only moves on when the user
+   completes or skips it. `t.overtime` (true / false) overrides the list's
+   `config.overtime` for one task. */
+function overtimeOn(cfg, task) {
+  return !!(task?.checkpoint || (task?.overtime ?? cfg?.overtime));
+}
+
+/* Checkpoints — a task with `checkpoint: true` has no countdown. The run
+   holds on it, counting up, until the user marks it done; its `time` is an
+   optional estimate (0 for none) that only plans and ETAs count. To the
+   engine it is a task that starts out in overtime. */
+
+/* The anchor fields for a run arriving at (or resuming) `task`. */
+function anchorFor(task) {
+  const left = task?.remaining ?? 0;
+  if (task?.checkpoint) return { anchorRemaining: Math.min(0, left), overtime: true };
+  return { anchorRemaining: left, overtime: left < 0 };
+}
+
+/* Seconds the run's current task has gone past zero, 0 outside overtime.
+   Waiting on a checkpoint isn't overtime. */
+function overrun(run, task, now) {
+  if (!run?.overtime || task?.checkpoint) return 0;
+  return Math.max(0, -(run.pausedAt ? task?.remaining ?? 0 : anchoredRemaining(run, now)));
+}
+
+/* ---------------------------- Lead-in ------------------------------
+   "Get ready" — `config.leadIn` seconds held before the first task of a
+   session, with a spoken 3-2-1, and with `leadInEachTask` before every task
+   the run moves on to and on resuming too. The run parks its anchor where
+   the lead-in ends: `run.readyUntil` is that moment, and until then the
+   task keeps its full time. `leadInExcluded` starts the running stretch
+   there as well, so the wait is left out of time worked. */
+function leadInSeconds(cfg) {
+  return Math.min(60, Math.max(0, Math.floor(cfg?.leadIn || 0)));
+}
+
+/* Whole seconds of lead-in left at `now`, 0 when the run isn't getting ready. */
+function readyLeft(run, now) {
+  if (!run || run.pausedAt || !(run.readyUntil > now)) return 0;
+  return Math.ceil((run.readyUntil - now) / 1000);
+}
+
+/* Hold a run whose task (re)starts at `now` for the list's lead-in. */
+function withLeadIn(run, cfg, now) {
+  const secs = leadInSeconds(cfg);
+  if (!secs) return run;
+  const until = now + secs * 1000;
+  return {
+    ...run,
+    anchorAt: until,
+    readyUntil: until,
+    resumedAt: cfg.leadInExcluded ? until : run.resumedAt,
+    log: run.log.map((e) => (e.id === run.taskId && e.startedAt === now ? { ...e, startedAt: until } : e)),
+  };
+}
+
+/* ----------------------------- Sets ------------------------------
+   A strength exercise — "3 sets of 10 reps at 40 kg" — is added as one task
+   per set with a timed rest between them, under a section named for the
+   exercise. Each set carries its target as `exercise: { name, set, sets,
+   reps, weight, unit }`; `unit` is free text ("kg", "lb", "m", "cal") so
+   any metric fits, and `weight` is null when there is none. Sets wait for
+   Done like checkpoints unless they count down. What was actually done is
+   stored on the set's session log entry as `result: { exercise, reps,
+   weight, unit }`, which is what the Stats progression reads. */
+function setTasks(name, spec, sectionId) {
+  const { sets, reps, weight, unit, rest, time, timed } = spec;
+  const out = [];
+  for (let k = 1; k <= sets; k++) {
+    out.push({
+      ...normalizeTaskFromName(`${name} · set ${k} of ${sets}`, time),
+      sectionId,
+      checkpoint: timed && time > 0 ? undefined : true,
+      exercise: { name, set: k, sets, reps, weight, unit },
+    });
+    if (k < sets && rest > 0) out.push({ ...normalizeTaskFromName("Rest", rest), sectionId });
+  }
+  return out;
+}
+
+/* "10 reps × 40 kg", "12 reps", "5 km" — a target or a logged result.
+   `sep` joins reps and weight (" at " reads better aloud). */
+function formatSetAmount({ reps, weight, unit }, sep = " × ") {
+  return [reps ? `${reps} reps` : null, weight != null ? `${weight} ${unit || ""}`.trim() : null].filter(Boolean).join(sep);
+}
+
+/* Attach a result to the log entry for one set — `key` is { id, round, groupRound }. */
+function withSetResult(log, key, result) {
+  return log.map((e) => (e.id === key.id && e.round === key.round && e.groupRound === key.groupRound ? { ...e, result } : e));
+}
+
+/* The log entry for the set `key` — { list, startedAt, id, round,
+   groupRound } — in the run, a background run or the history, or null. */
+function findSetEntry(state, key) {
+  const match = (r) => r?.list === key.list && r.startedAt === key.startedAt;
+  const log = [state.run, state.backgroundRuns?.[key.list]].find(match)?.log ?? state.sessions.find(match)?.tasks;
+  return log?.find((e) => e.id === key.id && e.round === key.round && e.groupRound === key.groupRound) ?? null;
+}
+
+/* Logged sets across the history, per exercise name and oldest first: one
+   point per session with its set count, total reps, heaviest weight (null
+   without weights) and volume (reps × weight). */
+function exerciseProgress(sessions) {
+  const out = {};
+  for (const rec of sessions) {
+    const here = {};
+    for (const e of rec.tasks) {
+      const r = e.result;
+      if (!r?.exercise) continue;
+      if (!here[r.exercise]) here[r.exercise] = { at: rec.startedAt, sets: 0, reps: 0, top: null, volume: 0, unit: r.unit || "" };
+      const p = here[r.exercise];
+      p.sets += 1;
+      p.reps += r.reps || 0;
+      if (r.weight != null) {
+        p.top = Math.max(p.top ?? r.weight, r.weight);
+        p.volume += (r.reps || 0) * r.weight;
+      }
+    }
+    for (const [name, p] of Object.entries(here)) (out[name] = out[name] || []).push(p);
+  }
+  for (const points of Object.values(out)) points.sort((a, b) => a.at - b.at);
+  return out;
+}
+
+/* Walk a running session forward to `now`, through block and list rounds.
+   Pure — returns what changed:
+     idx / remaining  position of the (new) current task
+     completed        indices that finished, in order (repeats included)
+     started          positions that began, in order, with their `remaining`
+     writes           { [index]: remaining } to apply to the task array
+     ended            the last round finished at `stoppedAt`
+     halted           autoAdvance is off; the run paused at `stoppedAt`
+     overtime         the current task ran out and is counting past zero
+     run              the re-anchored run (paused when halted) */
+function advanceRun(run, arr, now, cfg) {
+  const completed = [];
+  const started = [];
+  const writes = {};
+  const remOf = (i) => (i in writes ? writes[i] : arr[i].remaining);
+  let pos = { idx: run.taskIndex, round: run.round ?? 1, groupRound: run.groupRound ?? 1 };
+  let anchorAt = run.anchorAt;
+  let anchorRemaining = run.anchorRemaining;
+  let { worked, resumedAt, readyUntil = null } = run;
+  const lead = cfg?.leadInEachTask && cfg.autoAdvance !== false ? leadInSeconds(cfg) : 0;
+  let log = run.log;
+  let ended = false;
+  let halted = false;
+  let overtime = false;
+  let stoppedAt = now;
+  for (;;) {
+    const t = arr[pos.idx];
+    if (!t) { ended = true; break; }
+    const elapsed = (now - anchorAt) / 1000;
+    if (elapsed < anchorRemaining) break;
+    if (overtimeOn(cfg, t)) { overtime = true; break; }
+    // The task ran out at this exact moment — later tasks start from there.
+    anchorAt += Math.max(0, anchorRemaining) * 1000;
+    log = creditLog(log, t.id, anchorRemaining, "completed", anchorAt);
+    writes[pos.idx] = 0;
+    completed.push(pos.idx);
+    const step = nextPosition(arr, cfg, pos);
+    if (!step) { ended = true; stoppedAt = anchorAt; break; }
+    if (step.wrap) for (let i = step.wrap.start; i <= step.wrap.end; i++) writes[i] = arr[i].time;
+    pos = step;
+    anchorRemaining = anchorFor({ ...arr[step.idx], remaining: remOf(step.idx) }).anchorRemaining;
+    if (lead) {
+      // The next task opens with its own lead-in
+      if (cfg.leadInExcluded) {
+        worked += Math.max(0, (anchorAt - resumedAt) / 1000);
+        resumedAt = anchorAt + lead * 1000;
+      }
+      anchorAt += lead * 1000;
+      readyUntil = anchorAt;
+    }
+    log = logEntry(log, arr[step.idx], step, anchorAt);
+    if (cfg?.autoAdvance === false) { halted = true; stoppedAt = anchorAt; break; }
+    started.push({ idx: step.idx, round: step.round, groupRound: step.groupRound, remaining: anchorRemaining });
+  }
+  const cur = arr[pos.idx];
+  let next = {
+    ...run,
+    log,
+    taskIndex: pos.idx,
+    taskId: cur?.id ?? null,
+    round: pos.round,
+    groupRound: pos.groupRound,
+    groupId: cur?.groupId ?? null,
+    anchorAt,
+    anchorRemaining,
+    overtime,
+    worked,
+    resumedAt,
+    readyUntil,
+  };
+  if (halted) next = pauseRun(next, stoppedAt);
+  const left = anchorRemaining - Math.max(0, now - anchorAt) / 1000;
+  const remaining = ended ? 0 : halted ? anchorRemaining : overtime ? left : Math.max(0, left);
+  if (!ended && cur) writes[pos.idx] = remaining;
+  return { idx: pos.idx, remaining, completed, started, writes, ended, halted, overtime, stoppedAt, run: next };
+}
+
+/* Apply an advanceRun() result to a task array (returns a new array). */
+function applyAdvance(arr, res) {
+  const next = [...arr];
+  for (const [i, remaining] of Object.entries(res.writes)) if (next[i]) next[i] = { ...next[i], remaining };
+  return next;
+}
+
+/* Commit a naturally-finished session into a list's stats record (mutates). */
+function recordSessionEnd(ls, sessionSeconds, when = new Date()) {
+  ls.sessionsCompleted += 1;
+  const iso = when.toISOString();
+  ls.lastSession = iso;
+  if (!ls.firstSession) ls.firstSession = iso;
+  ls.longestSession = Math.max(ls.longestSession || 0, sessionSeconds);
+  const today = iso.slice(0, 10);
+  const yesterday = new Date(when.getTime() - 86400000).toISOString().slice(0, 10);
+  const prev = ls.lastSessionDate;
+  if (prev !== today) {
+    ls.currentStreak = prev === yesterday ? (ls.currentStreak || 0) + 1 : 1;
+    ls.bestStreak = Math.max(ls.bestStreak || 0, ls.currentStreak);
+    ls.lastSessionDate = today;
+  }
+}
+
+/* Fast-forward a running `run` in `state` to `now` through every task that
+   finished in the meantime and pause it where it stopped. Returns the new
+   { lists, listStats, sessions, run } — `run` null when it ended — and the
+   advanceRun() result as `res`. */
+function catchUpRun(state, run, now) {
+  const arr = state.lists[run.list];
+  const cfg = state.listConfigs?.[run.list] || defaultConfig();
+  const res = advanceRun(run, arr, now, cfg);
+  const ls = { ...defaultListStats(), ...(state.listStats?.[run.list] || {}) };
+  ls.tasksCompleted += res.completed.length;
+  const paused = pauseRun(res.run, res.stoppedAt);
+  ls.timeWorked += paused.worked - run.worked;
+  if (res.ended) recordSessionEnd(ls, paused.worked, new Date(res.stoppedAt));
+  return {
+    lists: { ...state.lists, [run.list]: applyAdvance(arr, res) },
+    listStats: { ...state.listStats, [run.list]: ls },
+    sessions: res.ended ? [...(state.sessions || []), sessionRecord(res.run, res.stoppedAt, true)] : state.sessions,
+    run: res.ended ? null : paused,
+    res,
+  };
+}
+
+/* Reconstruct a session that was running when the page was closed, reloaded
+   or evicted: catch it up, then leave the run paused at `now` so the user is
+   offered to resume. */
+function restoreRun(state, now) {
+  const run = state.run;
+  if (!run) return state;
+  const arr = state.lists?.[run.list];
+  if (!arr) return { ...state, run: null };
+  if (run.pausedAt) return state;
+  const { res, ...caught } = catchUpRun(state, run, now);
+  return {
+    ...state,
+    ...caught,
+    currentList: run.list,
+    currentTaskIndex: res.idx,
+    runRecovery: { list: run.list, finished: res.completed.length, ended: res.ended },
+  };
+}
+
+/* Pause `run` at `now`: its task keeps the time it had left and the running
+   stretch is added to the list's time worked. Returns the new { lists,
+   listStats, run }; a run that is already paused comes back as it was. */
+function pauseRunIn(state, run, now) {
+  if (run.pausedAt) return { lists: state.lists, listStats: state.listStats, run };
+  const l = run.list;
+  const arr = [...(state.lists[l] || [])];
+  const t = arr[run.taskIndex];
+  const left = anchoredRemaining(run, now);
+  if (t && t.id === run.taskId) arr[run.taskIndex] = { ...t, remaining: run.overtime ? left : Math.max(0, left) };
+  const prev = state.listStats?.[l] || defaultListStats();
+  const accrued = Math.max(0, (now - run.resumedAt) / 1000);
+  return {
+    lists: { ...state.lists, [l]: arr },
+    listStats: { ...state.listStats, [l]: { ...prev, timeWorked: prev.timeWorked + accrued } },
+    run: pauseRun(run, now),
+  };
+}
+
+/* ----------------------------- Background runs ------------------------------
+   A list left while its timer runs keeps going: its run moves from `run` to
+   state.backgroundRuns = { [list]: run }, where the footer shows it and a
+   second interval moves it on. Coming back to the list brings the run to the
+   front again. Each background list plays its own beep settings and says its
+   name before every cue, so two lists going at once can be told apart. */
+
+/* restoreRun() for the background runs: each one still running is caught up
+   and left paused; one that finished meanwhile is recorded and dropped. */
+function restoreBackgroundRuns(state, now) {
+  let next = state;
+  const runs = {};
+  for (const [name, run] of Object.entries(state.backgroundRuns || {})) {
+    if (!next.lists?.[name]) continue;
+    if (run.pausedAt) { runs[name] = run; continue; }
+    const { res: _res, run: paused, ...caught } = catchUpRun(next, run, now);
+    next = { ...next, ...caught };
+    if (paused) runs[name] = paused;
+  }
+  return { ...next, backgroundRuns: runs };
+}
+
 function postToYouTubeIframe(iframe, func) {
   // Uses player API via postMessage without loading extra JS
   try {
@@ -388,8 +2130,8 @@ function postToYouTubeIframe(iframe, func) {
 }
 
 /* ----------------------------- Main App ------------------------------ */
-export default function App() {
-  const [state, setState] = useState(loadState);
+export default function App({ stored = null, loadError = null }) {
+  const [state, setState] = useState(() => loadState(stored));
   const [voices, setVoices] = useState([]);
   const [menuOpenTask, setMenuOpenTask] = useState(null);   // index of open task menu
   const [menuOpenTab, setMenuOpenTab] = useState(null);     // name of list with open tab menu
@@ -398,9 +2140,24 @@ export default function App() {
   const [ioStatus, setIoStatus] = useState(null);           // { type: 'success'|'error', msg: string } | null
   const ioStatusTimerRef = useRef(null);
   const [showDataPage, setShowDataPage] = useState(false);  // full-page Import/Export overlay
+  const [showPalette, setShowPalette] = useState(false);    // Ctrl/Cmd+K command palette
+  const [undoToast, setUndoToast] = useState(null);         // { label, action: "undo"|"redo" }
+  const historyRef = useRef({ undo: [], redo: [] });       // undoable edits — see commit()
+  const pendingHistoryRef = useRef([]);                     // commits waiting for their render
+  const undoToastTimerRef = useRef(null);
+  const [recordingShortcut, setRecordingShortcut] = useState(null); // action id awaiting a new key in Settings
   const [isRunning, setIsRunning] = useState(false);
+  // Whether this tab runs the timer. Without Web Locks every tab does, as before.
+  const [timerOwner, setTimerOwner] = useState(() => typeof navigator === "undefined" || !navigator.locks);
+  const [followClock, setFollowClock] = useState(0);        // a follower's own clock for the countdown; 0 = off
+  const timerOwnerRef = useRef(timerOwner);
   const [showStats, setShowStats] = useState(false);
+  const [showPlaylists, setShowPlaylists] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false); // "New from template" overlay
+  const [addCheckpoint, setAddCheckpoint] = useState(false); // the add row makes checkpoint tasks
   const [expandedLists, setExpandedLists] = useState({});
+  const [expandedPlaylists, setExpandedPlaylists] = useState({});
+  const [expandedExercises, setExpandedExercises] = useState({});
   // Share-card modal: { scope: "overall" | listName }
   const [shareTarget, setShareTarget] = useState(null);
   // First-run tutorial — visibility is component-local, but `tutorialSeen`
@@ -410,8 +2167,18 @@ export default function App() {
   const shareCanvasRef = useRef(null);
   const [startPulse, setStartPulse] = useState(false);   // start-button ring animation
   const [newTaskId, setNewTaskId] = useState(null);       // slide-in for just-added task
+  const [bulkText, setBulkText] = useState(null);         // pasted lines in bulk-add mode; null = closed
+  const [setsForm, setSetsForm] = useState(null);         // the add row makes sets: { sets, reps, weight, unit, rest, timed }; null = off
+  const [setPrompt, setSetPrompt] = useState(null);       // a set that just finished, waiting for what was done
   const [skipAnim, setSkipAnim] = useState(null);         // { from, to } for skip swipe
   const [droppedIndex, setDroppedIndex] = useState(null); // landing ripple after drag
+  const [finishByOpen, setFinishByOpen] = useState(false); // Finish-by panel under the ETA
+  const [clockNow, setClockNow] = useState(() => Date.now()); // refreshes the ETA while nothing ticks
+  const [timelineStart, setTimelineStart] = useState("");  // "HH:MM" the timeline plans from; "" = now
+  const [scheduleCountdown, setScheduleCountdown] = useState(null); // { list, at, left } before a scheduled start
+  const [schedulePrompt, setSchedulePrompt] = useState(null);       // { list, at, reason: "missed" | "busy" }
+  const pendingStartRef = useRef(null);                     // list a scheduled start is switching to
+  const scheduleSpokenRef = useRef(null);                   // occurrence the heads-up was spoken for
   const [affirmationToast, setAffirmationToast] = useState(null);
   const [completionFlash, setCompletionFlash] = useState(false);
   const [listComplete, setListComplete] = useState(false);
@@ -423,7 +2190,11 @@ export default function App() {
   const cancelRenameRef = useRef(false);
   const configRef = useRef(null);   // always-current config for timer callbacks
   const voicesRef = useRef([]);     // always-current voices for speak() inside interval
-  const saveTimerRef = useRef(null);   // debounced localStorage write handle
+  const saveTimerRef = useRef(null);   // debounced IndexedDB write handle
+  const savedRef = useRef(null);       // snapshot of the last write that landed; null = rewrite everything
+  const legacyKeysRef = useRef(!stored); // old localStorage keys to drop after the first good write
+  const [saveError, setSaveError] = useState(() => (loadError ? storageErrorMessage(loadError) : null));
+  const sharedSessionsRef = useRef(null); // session history last sent to / taken from other tabs
   const stateRef = useRef(state);      // always-current state for event handlers
   // Form input refs — avoids imperative document.getElementById reads
   const taskNameRef = useRef(null);
@@ -432,12 +2203,25 @@ export default function App() {
   const addBtnRef = useRef(null);
   const createListNameRef = useRef(null);
   const timerRef = useRef(null);
+  const bgTimerRef = useRef(null); // interval for state.backgroundRuns
+  const lastLogRef = useRef(null); // { list, startedAt, log } of the run at the last render, to spot sets finishing
+  const overtimeCueRef = useRef(null);                      // { id, count } reminders already beeped for a task in overtime
+  const leadInRef = useRef(null);                           // { until, task, cue, idx, said } — a lead-in under way and its cues
   const audioCtxRef = useRef(null);
-  const lastTick = useRef(null);
-  const sessionAccrualRef = useRef(0); // accumulates elapsed seconds during a running session
   const draggedTabIndex = useRef(null);
   const bcRef = useRef(null);                               // BroadcastChannel ref
+  const sharedStateRef = useRef(null);                      // last serialized state sent to / taken from other tabs
   const importFileRef = useRef(null); // Fix #2: replaces document.getElementById("importFile")
+  const backupFileRef = useRef(null); // hidden <input type=file> for JSON restore
+  const templateFileRef = useRef(null); // hidden <input type=file> for template import
+  const [pendingRestore, setPendingRestore] = useState(null); // validated backup awaiting confirmation
+  const [notifyPermission, setNotifyPermission] = useState(
+    () => ("Notification" in window ? Notification.permission : "unsupported")
+  );
+  const [appUpdate, setAppUpdate] = useState(null);           // { version, worker } — new service worker waiting
+  const swReloadRef = useRef(false);                          // reload once the accepted update takes control
+  const [pendingImport, setPendingImport] = useState(null);   // { fileName, rows } — XML import preview
+  const [lastImport, setLastImport] = useState(null);         // { touched, listCount } — undo data
   const pipWindowRef = useRef(null);  // Document PiP window reference
   const pipRootRef = useRef(null);    // React root rendered inside the PiP window
   const [isPiPActive, setIsPiPActive] = useState(false);
@@ -454,6 +2238,7 @@ export default function App() {
   // task DnD (pointer-based for mobile + desktop)
   const listRef = useRef(null);
   const draggingTask = useRef(null);
+  const draggingSection = useRef(null);   // sectionId while a header is dragged
   const pointerActive = useRef(false);
   const didReorderRef = useRef(false); // tracks whether a drag actually moved a task
 
@@ -491,7 +2276,9 @@ export default function App() {
     function onVisibility() {
       if (!timerRef.current) return;
       if (!document.hidden) {
-        // Page became visible again — re-acquire wake lock and kick YouTube.
+        // Page became visible again — catch the run up to the wall clock
+        // (background intervals are throttled), re-acquire wake lock and kick YouTube.
+        _tick();
         requestWakeLock();
         playYouTubeIfAny(stateRef.current.currentTaskIndex);
       }
@@ -516,6 +2303,9 @@ export default function App() {
           isRunning={isRunning}
           currentTask={currentTask}
           timerDisplayTime={timerDisplayTime}
+          overtime={overtimeSeconds}
+          waiting={!!currentTask?.checkpoint}
+          ready={readySeconds}
           progress={progress}
           dark={state.dark}
           startTimer={startTimer}
@@ -539,95 +2329,384 @@ export default function App() {
      State is carried directly in the BC message — no race with the debounced LS write. */
   useEffect(() => {
     const serialized = serializeState(state);
-    // Debounce localStorage writes to avoid thrashing during rapid timer ticks
+    // Debounce storage writes to avoid thrashing during rapid timer ticks
     clearTimeout(saveTimerRef.current);
-    saveTimerRef.current = setTimeout(() => {
-      try { localStorage.setItem(LS_KEY, serialized); } catch { /* ignore */ }
-    }, 500);
-    // Broadcast full serialized state immediately so other tabs don't read stale LS
-    try {
-      bcRef.current?.postMessage({ type: "STATE_UPDATE", data: serialized });
-    } catch { /* ignore */ }
+    saveTimerRef.current = setTimeout(saveNow, 500);
+    // Broadcast full serialized state immediately so other tabs don't read stale LS.
+    // Skipped for the copy loaded at startup (the owner's is newer; see
+    // SYNC_REQUEST) and for a state that just arrived unchanged from another tab.
+    const first = sharedStateRef.current === null;
+    if (!first && serialized !== sharedStateRef.current) {
+      try {
+        bcRef.current?.postMessage({ type: "STATE_UPDATE", data: serialized, owner: timerOwnerRef.current });
+      } catch { /* ignore */ }
+    }
+    sharedStateRef.current = serialized;
   }, [state]);
 
-  /* Before unload: flush any pending debounced save immediately.
-     Uses stateRef so we don't re-register this handler on every state change. */
+  /* Session history isn't part of STATE_UPDATE; it only changes when a run
+     ends or a record is deleted, so it is saved right away and sent to the
+     other tabs on its own. */
+  useEffect(() => {
+    if (state.sessions === sharedSessionsRef.current) return;
+    const first = sharedSessionsRef.current === null;
+    sharedSessionsRef.current = state.sessions;
+    clearTimeout(saveTimerRef.current);
+    saveNow();
+    if (first) return; // the history loaded at startup is what the other tabs have
+    try { bcRef.current?.postMessage({ type: "SESSIONS_UPDATE", sessions: state.sessions }); } catch { /* ignore */ }
+  }, [state.sessions]);
+
+  /* A set finished on the list in front — Done, its countdown, or the run
+     ending on it — so ask what was actually done. */
+  useEffect(() => {
+    const prev = lastLogRef.current;
+    const run = state.run;
+    lastLogRef.current = run ? { list: run.list, startedAt: run.startedAt, log: run.log } : null;
+    if (!prev || (run && run.startedAt !== prev.startedAt)) return;
+    const log = run ? run.log : state.sessions.findLast((r) => r.list === prev.list && r.startedAt === prev.startedAt)?.tasks;
+    if (!log || log === prev.log) return;
+    const key = (e) => `${e.id}:${e.round}:${e.groupRound}`;
+    const before = new Map(prev.log.map((e) => [key(e), e]));
+    const done = log.findLast((e) => (e.outcome === "completed" || e.outcome === "early") && !e.result && !before.get(key(e))?.outcome);
+    const task = done && state.lists[prev.list]?.find((t) => t.id === done.id);
+    if (task?.exercise) {
+      setSetPrompt({ list: prev.list, startedAt: prev.startedAt, id: done.id, round: done.round, groupRound: done.groupRound, exercise: task.exercise });
+    }
+  }, [state.run, state.sessions, state.lists]);
+
+  /* Before unload: flush any pending debounced save immediately.
+     Uses stateRef so we don't re-register this handler on every state change.
+     Mobile browsers often evict a backgrounded tab without firing beforeunload,
+     so also flush on pagehide and whenever the page becomes hidden. */
+  useEffect(() => {
+    const handler = () => {
+      clearTimeout(saveTimerRef.current);
+      saveNow(true);
+    };
+    const onHidden = () => { if (document.hidden) handler(); };
+    window.addEventListener("beforeunload", handler);
+    window.addEventListener("pagehide", handler);
+    document.addEventListener("visibilitychange", onHidden);
+    return () => {
+      window.removeEventListener("beforeunload", handler);
+      window.removeEventListener("pagehide", handler);
+      document.removeEventListener("visibilitychange", onHidden);
+    };
+  }, []); // empty deps — intentional; stateRef stays current via the effect above
+
+  /* First-run tutorial auto-open. Reads tutorialSeen from the loaded state once
+     on mount; no deps so it never re-fires after the user dismisses it. */
+  useEffect(() => {
+    if (!stateRef.current.tutorialSeen) {
+      setTutorialStep(0);
+      setShowTutorial(true);
+    }
+  }, []);
+
+  /* Open the list named in ?list= (home-screen shortcuts link there), then
+     drop the parameter so a reload doesn't keep jumping back to it. */
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const name = params.get("list");
+    if (name === null) return;
+    params.delete("list");
+    const query = params.toString();
+    window.history.replaceState(null, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+    if (stateRef.current.lists[name]) setCurrentList(name);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Service worker (production builds only) — offline app shell and updates.
+     A new version waits until the user accepts the prompt; the waiting worker
+     reports its version so the prompt can name it. */
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    const sw = navigator.serviceWorker;
+    let registration = null;
+    const offer = (worker) => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (e) => setAppUpdate({ version: e.data?.version ?? null, worker });
+      worker.postMessage({ type: "GET_VERSION" }, [channel.port2]);
+    };
+    sw.register("/sw.js").then((reg) => {
+      registration = reg;
+      // sw.controller is null on the very first install — nothing to update from
+      if (reg.waiting && sw.controller) offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed" && sw.controller) offer(worker);
+        });
+      });
+    }).catch(() => { /* offline support is best-effort */ });
+    // Look for a new deploy whenever the app comes back to the foreground
+    const onVisible = () => {
+      if (document.visibilityState === "visible") registration?.update().catch(() => {});
+    };
+    const onControllerChange = () => {
+      if (swReloadRef.current) window.location.reload();
+    };
+    document.addEventListener("visibilitychange", onVisible);
+    sw.addEventListener("controllerchange", onControllerChange);
+    return () => {
+      document.removeEventListener("visibilitychange", onVisible);
+      sw.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+
+  /* File each committed edit in the undo history once its render lands */
+  useEffect(() => {
+    const ready = pendingHistoryRef.current.filter((e) => e.after);
+    if (!ready.length) return;
+    pendingHistoryRef.current = pendingHistoryRef.current.filter((e) => !e.after);
+    const h = historyRef.current;
+    const now = Date.now();
+    let toast = null;
+    for (const e of ready) {
+      if (!sliceChanged(e.before, e.after)) continue;
+      const top = h.undo[h.undo.length - 1];
+      if (top && top.key === e.key && now - top.at < HISTORY_MERGE_MS) {
+        top.after = e.after;
+        top.at = now;
+      } else {
+        h.undo.push({ ...e, at: now });
+      }
+      h.redo = [];
+      if (e.toast) toast = e.label;
+    }
+    if (h.undo.length > HISTORY_LIMIT) h.undo.splice(0, h.undo.length - HISTORY_LIMIT);
+    if (toast) showUndoToast({ label: toast, action: "undo" });
+  }, [state]);
+
+  /* Keyboard shortcuts. Re-bound whenever an overlay opens or closes so the
+     handler sees it; only the palette key works over an overlay or inside a
+     text field. A focused button keeps its own Space / Enter. */
+  useEffect(() => {
+    const bindings = shortcutBindings(state.shortcuts);
+    const overlayOpen = showPalette || showStats || showPlaylists || showTemplates || showDataPage || showTutorial || !!shareTarget
+      || state.showHelp || state.showOptions;
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.isComposing) return;
+      const combo = keyFromEvent(e);
+      if (!combo) return;
+      if (combo === bindings.palette) {
+        e.preventDefault();
+        setShowPalette((v) => !v);
+        return;
+      }
+      const action = SHORTCUT_ACTIONS.find((a) => bindings[a.id] === combo);
+      if (overlayOpen && !action?.anywhere) return;
+      const el = e.target;
+      if (el.closest?.("input, textarea, select, [contenteditable='true']")) return;
+      if ((combo === "Space" || combo === "Enter") && el.closest?.("button, a, [role='button']")) return;
+      if (action) {
+        e.preventDefault();
+        runShortcut(action.id, e.repeat);
+      } else if (/^[1-9]$/.test(combo)) {
+        const name = stateRef.current.listOrder[Number(combo) - 1];
+        if (name) {
+          e.preventDefault();
+          setCurrentList(name);
+        }
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [state.shortcuts, state.showHelp, state.showOptions, showPalette, showStats, showPlaylists, showTemplates, showDataPage, showTutorial, shareTarget]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Pause / Skip pressed on a notification — the service worker forwards the
+     action to every window; only the tab whose timer is running acts on it. */
   useEffect(() => {
-    const handler = () => {
-      clearTimeout(saveTimerRef.current);
-      try { localStorage.setItem(LS_KEY, serializeState(stateRef.current)); } catch { /* ignore */ }
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    const onMessage = (e) => {
+      if (e.data?.type !== "NOTIFICATION_ACTION" || !timerRef.current) return;
+      if (e.data.action === "pause") pauseTimer();
+      else if (e.data.action === "skip") skipTask();
+      else if (e.data.action === "done") completeEarly();
     };
-    window.addEventListener("beforeunload", handler);
-    return () => window.removeEventListener("beforeunload", handler);
-  }, []); // empty deps — intentional; stateRef stays current via the effect above
+    sw.addEventListener("message", onMessage);
+    return () => sw.removeEventListener("message", onMessage);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
-  /* First-run tutorial auto-open. Reads tutorialSeen from the loaded state once
-     on mount; no deps so it never re-fires after the user dismisses it. */
+  /* Scheduled starts — checked every second by the tab that owns the timer;
+     the others follow through state sync. Counts down to the next start,
+     starts a list when it comes due, and asks first when the moment was
+     missed (the app was closed) or another list is running. */
   useEffect(() => {
-    if (!stateRef.current.tutorialSeen) {
-      setTutorialStep(0);
-      setShowTutorial(true);
+    const check = () => {
+      if (!timerOwnerRef.current) { setScheduleCountdown(null); return; }
+      const s = stateRef.current;
+      const now = Date.now();
+      let soon = null;
+      for (const name of s.listOrder) {
+        const cfg = s.listConfigs[name];
+        const sched = cfg?.autoStart;
+        if (!sched) continue;
+        const due = dueStart(sched, now);
+        if (due != null) {
+          const busy = !!s.run && !s.run.pausedAt;
+          const own = s.run?.list === name ? s.run : s.backgroundRuns[name];
+          if (own && !own.pausedAt) markStartHandled(name, due);
+          else if (!busy && now - due < START_GRACE_MS) startScheduled(name, due);
+          else setSchedulePrompt((p) => p ?? { list: name, at: due, reason: busy ? "busy" : "missed" });
+          continue;
+        }
+        const next = nextStart(sched, now);
+        const lead = (cfg.autoStartCountdown ?? 60) * 1000;
+        if (next != null && next - now <= lead && (!soon || next < soon.at)) soon = { list: name, at: next };
+      }
+      if (soon && scheduleSpokenRef.current !== soon.at) {
+        scheduleSpokenRef.current = soon.at;
+        speak(`${soon.list} starts in ${ttsDuration((soon.at - now) / 1000)}`);
+      }
+      const left = soon ? Math.ceil((soon.at - now) / 1000) : null;
+      setScheduleCountdown((c) => (c?.list === soon?.list && c?.left === left ? c : soon && { ...soon, left }));
+    };
+    check();
+    const id = setInterval(check, 1000);
+    return () => clearInterval(id);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // A scheduled start waits for the switch to its list to render
+  useEffect(() => {
+    if (pendingStartRef.current && pendingStartRef.current === state.currentList) {
+      pendingStartRef.current = null;
+      startTimer();
     }
+  }, [state]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Follow permission changes made in the browser's site settings */
+  useEffect(() => {
+    if (!("Notification" in window) || !navigator.permissions?.query) return;
+    let status = null;
+    navigator.permissions.query({ name: "notifications" }).then((st) => {
+      status = st;
+      st.onchange = () => setNotifyPermission(Notification.permission);
+    }).catch(() => {});
+    return () => { if (status) status.onchange = null; };
   }, []);
 
-  /* Cross-tab synchronization: storage + BroadcastChannel */
+  /* Keep the installed app's shortcuts (long-press the icon) in step with the tabs */
   useEffect(() => {
-    const onStorage = (e) => {
-      if (e.key === LS_KEY && e.newValue) {
-        try {
-          const incoming = JSON.parse(e.newValue);
-          setState((curr) => migrateYouTubeMeta({
-            ...curr,
-            lists: incoming.lists ?? curr.lists,
-            listOrder: incoming.listOrder ?? curr.listOrder,
-            currentList: incoming.currentList ?? curr.currentList,
-            currentTaskIndex: incoming.currentTaskIndex ?? curr.currentTaskIndex,
-            listConfigs: incoming.listConfigs ?? curr.listConfigs,
-            dark: incoming.dark ?? curr.dark
-          }));
-        } catch { /* ignore */ }
-      }
-    };
-    window.addEventListener("storage", onStorage);
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.ready
+      .then((reg) => reg.active?.postMessage({ type: "SET_SHORTCUTS", lists: state.listOrder }))
+      .catch(() => {});
+  }, [state.listOrder]);
+
+  /* Cross-tab synchronization over BroadcastChannel. IndexedDB has no change
+     events, so browsers without it keep each tab to itself. */
+  useEffect(() => {
+    /* A follower's edits are applied by the owner and sent back out, so when
+       two tabs change something at once every tab ends up with the owner's copy. */
+    function applyRemoteState(serialized, fromOwner) {
+      let incoming;
+      try { incoming = JSON.parse(serialized); } catch { return; }
+      // Two owners only happen without Web Locks: the last one to speak
+      // keeps the timer, so both tabs don't decrement the same task.
+      if (fromOwner && timerOwnerRef.current && timerRef.current) _stopInterval();
+      const echo = timerOwnerRef.current && !fromOwner;
+      if (!echo) sharedStateRef.current = serialized;
+      setState((curr) => mergeRemoteState(curr, incoming, !!timerRef.current, !!bgTimerRef.current));
+    }
 
     try {
       bcRef.current = new BroadcastChannel(SYNC_CH);
       bcRef.current.onmessage = (msg) => {
+        const data = msg?.data || {};
         // STATE_UPDATE carries the full serialized state — no LS read needed, no race condition
-        if (msg?.data?.type === "STATE_UPDATE" && msg.data.data) {
+        if (data.type === "STATE_UPDATE" && data.data) {
+          applyRemoteState(data.data, !!data.owner);
+        } else if (data.type === "SESSIONS_UPDATE" && Array.isArray(data.sessions)) {
+          // Already saved by the sender; just show it
+          sharedSessionsRef.current = data.sessions;
+          setState((curr) => ({ ...curr, sessions: data.sessions }));
+        } else if (data.type === "SYNC_REQUEST" && timerOwnerRef.current) {
+          // A tab just opened: hand it the live state rather than its stored copy
           try {
-            const incoming = JSON.parse(msg.data.data);
-            const merged = {
-              ...defaultState(),
-              ...incoming,
-              listConfigs: { default: defaultConfig(), ...(incoming?.listConfigs || {}) }
-            };
-            // Stop this tab's running timer before applying incoming state so both tabs
-            // don't decrement the same task simultaneously.
-            if (timerRef.current) {
-              clearInterval(timerRef.current);
-              timerRef.current = null;
-            }
-            setState(() => migrateYouTubeMeta(merged));
+            bcRef.current.postMessage({ type: "STATE_UPDATE", data: serializeState(stateRef.current), owner: true });
           } catch { /* ignore */ }
+        } else if (data.type === "COMMAND" && timerOwnerRef.current) {
+          runTimerCommand(data.action);
         }
       };
+      bcRef.current.postMessage({ type: "SYNC_REQUEST" });
     } catch { /* unsupported */ }
 
     return () => {
-      window.removeEventListener("storage", onStorage);
       try { bcRef.current?.close?.(); } catch { /* ignore */ }
     };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Timer ownership. Every tab queues for TIMER_LOCK and holds it until it
+     closes, so exactly one open tab runs the timer; when that tab goes away
+     the next one in line is granted the lock and takes over. */
+  useEffect(() => {
+    if (!navigator.locks) return;
+    const abort = new AbortController();
+    let release = null;
+    navigator.locks.request(TIMER_LOCK, { signal: abort.signal }, () => {
+      timerOwnerRef.current = true;
+      setTimerOwner(true);
+      return new Promise((resolve) => { release = resolve; });
+    }).catch(() => { /* aborted on unmount */ });
+    return () => {
+      abort.abort();
+      release?.();
+      timerOwnerRef.current = false;
+    };
   }, []);
 
+  /* Taking over: pick up a session the previous owner left running. The
+     run is anchored to the wall clock, so the first tick catches it up. */
+  useEffect(() => {
+    const s = stateRef.current;
+    if (!timerOwner || timerRef.current || !s.run || s.run.pausedAt || s.run.list !== s.currentList) return;
+    _startInterval();
+    requestWakeLock();
+    activateMediaSession(s.lists[s.currentList]?.[s.currentTaskIndex]);
+  }, [timerOwner]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Background runs tick in the owner tab while any of them is running */
+  useEffect(() => {
+    const live = timerOwner && Object.values(state.backgroundRuns).some((r) => !r.pausedAt);
+    if (live && !bgTimerRef.current) {
+      bgTimerRef.current = setInterval(_tickBackground, 500);
+    } else if (!live && bgTimerRef.current) {
+      clearInterval(bgTimerRef.current);
+      bgTimerRef.current = null;
+    }
+  }, [timerOwner, state.backgroundRuns]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /* Until then, the play / pause state shown here is the owner's */
+  useEffect(() => {
+    if (timerOwner) return;
+    setIsRunning(!!state.run && !state.run.pausedAt && state.run.list === state.currentList);
+  }, [timerOwner, state.run, state.currentList]);
+
+  /* …and the countdown is worked out here from the run's anchor (see
+     `tasks`), since the owner may be a hidden tab the browser throttles. */
+  useEffect(() => {
+    if (timerOwner || !state.run || state.run.pausedAt || state.run.list !== state.currentList) {
+      setFollowClock(0);
+      return;
+    }
+    setFollowClock(Date.now());
+    const id = setInterval(() => setFollowClock(Date.now()), 250);
+    return () => clearInterval(id);
+  }, [timerOwner, state.run, state.currentList]);
+
   /* Cleanup on unmount — prevent interval, debounce, and AudioContext leaks.
      Fix #8: Close AudioContext on unmount. Browsers cap simultaneous contexts
      (Chrome: 6); failing to close them causes silent failures on re-open. */
   useEffect(() => {
     return () => {
       clearInterval(timerRef.current);
+      clearInterval(bgTimerRef.current);
       clearTimeout(saveTimerRef.current);
       clearTimeout(affirmationTimerRef.current);
+      clearTimeout(undoToastTimerRef.current);
       clearTimeout(listCompleteTimerRef.current);
       stopYouTubeHeartbeat();
       releaseWakeLock();
@@ -724,18 +2803,36 @@ export default function App() {
   }, []);
 
   /* Derived — deps scoped to only the values that can change them */
-  const tasks = useMemo(() => state.lists[state.currentList] || [], [state.lists, state.currentList]);
+  const tasks = useMemo(() => {
+    const arr = state.lists[state.currentList] || [];
+    // A follower shows the running task's time from the anchor, not the
+    // `remaining` the owner last sent
+    const run = state.run;
+    if (!followClock || !run || run.pausedAt || run.list !== state.currentList) return arr;
+    const t = arr[run.taskIndex];
+    if (!t || t.id !== run.taskId) return arr;
+    const left = anchoredRemaining(run, followClock);
+    const next = [...arr];
+    next[run.taskIndex] = { ...t, remaining: run.overtime ? left : Math.max(0, left) };
+    return next;
+  }, [state.lists, state.currentList, state.run, followClock]);
   const config = useMemo(() => state.listConfigs[state.currentList] || defaultConfig(), [state.listConfigs, state.currentList]);
   /* Keep configRef current so timer callbacks never use stale closures */
   // eslint-disable-next-line react-hooks/exhaustive-deps
   useEffect(() => { configRef.current = config; }, [config]);
 
+  /* Round position of the current list — a session carries its rounds;
+     without one the list is about to start from round 1. */
+  const roundPos = useMemo(() => {
+    const run = state.run?.list === state.currentList ? state.run : null;
+    return { idx: state.currentTaskIndex, round: run?.round ?? 1, groupRound: run?.groupRound ?? 1 };
+  }, [state.run, state.currentList, state.currentTaskIndex]);
+
   const listProgress = useMemo(() => {
-    const enabled = tasks.filter((t) => t.enabled);
-    const total = enabled.reduce((a, t) => a + (t.time || 0), 0);
-    const done = enabled.reduce((a, t) => a + Math.max(0, t.time - t.remaining), 0);
-    return total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 0;
-  }, [tasks]);
+    const total = passSeconds(tasks, config) * listRepeat(config);
+    const done = total - roundsRemaining(tasks, config, roundPos);
+    return total > 0 ? Math.min(100, Math.max(0, Math.round((done / total) * 100))) : 0;
+  }, [tasks, config, roundPos]);
 
   const taskProgress = useMemo(() => {
     const t = tasks[state.currentTaskIndex];
@@ -746,13 +2843,33 @@ export default function App() {
   const progress = config.progressBarMode === "task" ? taskProgress : listProgress;
 
   const currentTask = tasks[state.currentTaskIndex];
-  const isWarning = config.warningThreshold > 0 && (currentTask?.remaining ?? 0) <= config.warningThreshold && (currentTask?.remaining ?? 0) > 0;
-  const isLastFive = isRunning && !!(currentTask && currentTask.remaining > 0 && currentTask.remaining <= 5);
+  const isWarning = config.warningThreshold > 0 && !currentTask?.checkpoint && (currentTask?.remaining ?? 0) <= config.warningThreshold && (currentTask?.remaining ?? 0) > 0;
+  const isLastFive = isRunning && !!(currentTask && !currentTask.checkpoint && currentTask.remaining > 0 && currentTask.remaining <= 5);
   const timerDisplayTime = config.timerDirection === "countup"
     ? (currentTask ? currentTask.time - currentTask.remaining : 0)
     : (currentTask?.remaining ?? 0);
+  // Seconds past zero while the current task is in overtime; shown as "+2:13"
+  const overtimeSeconds = Math.max(0, -(currentTask?.remaining ?? 0));
+  // Seconds of "Get ready" left before the current task starts counting
+  const readySeconds = state.run?.list === state.currentList ? readyLeft(state.run, Date.now()) : 0;
   const enabledTaskCount = tasks.filter(t => t.enabled).length;
   const currentEnabledPos = tasks.slice(0, state.currentTaskIndex + 1).filter(t => t.enabled).length;
+  // "Main set · Round 2/3 · Block 4/8" — the section, then only the parts that actually repeat
+  const roundLabel = useMemo(() => {
+    const sectionId = tasks[roundPos.idx]?.sectionId;
+    const parts = sectionId ? [sectionName(config, sectionId)] : [];
+    const rounds = listRepeat(config);
+    if (rounds > 1) parts.push(`Round ${roundPos.round}/${rounds}`);
+    const sets = groupRepeat(config, tasks[roundPos.idx]?.groupId);
+    if (sets > 1) parts.push(`Block ${roundPos.groupRound}/${sets}`);
+    return parts.join(" · ");
+  }, [config, tasks, roundPos]);
+
+  const bulkRows = useMemo(
+    () => (bulkText === null ? [] : parseBulkTasks(bulkText, config.defaultTimeUnit || "minutes")),
+    [bulkText, config.defaultTimeUnit]
+  );
+  const bulkValid = bulkRows.filter((r) => !r.error);
 
   const emptyState = useMemo(
     () => EMPTY_STATES[Math.floor(Math.random() * EMPTY_STATES.length)],
@@ -833,6 +2950,10 @@ export default function App() {
     patch((n) => { n.listStats[n.currentList] = defaultListStats(); });
   }
 
+  function deleteSession(id) {
+    commit("Delete session", (n) => { n.sessions = n.sessions.filter((s) => s.id !== id); }, { toast: true });
+  }
+
   /* ───────────────────────── Share-card image generation ─────────────────────────
      Renders a 1080×1350 portrait Instagram-friendly card from a stats target
      (either "overall" or a list name). Drawing is a pure function of inputs +
@@ -1096,37 +3217,237 @@ export default function App() {
     }, "image/png");
   }
 
+  // A paused run still slides the ETA (and maybe past the Finish-by time)
+  useEffect(() => {
+    const id = setInterval(() => setClockNow(Date.now()), 30000);
+    return () => clearInterval(id);
+  }, []);
+
   const etaText = useMemo(() => {
-    const secsLeft = sumEnabledRemaining(tasks);
+    const secsLeft = roundsRemaining(tasks, config, roundPos);
     if (secsLeft <= 0) return "";
-    const finish = new Date(Date.now() + secsLeft * 1000);
-    const hh = String(finish.getHours()).padStart(2, "0");
-    const mm = String(finish.getMinutes()).padStart(2, "0");
-    return `ETA: ${hh}:${mm} · ${formatHMS(secsLeft)} remaining`;
-  }, [tasks]);
+    const clock = (secs) => {
+      const at = new Date(Date.now() + secs * 1000);
+      return `${String(at.getHours()).padStart(2, "0")}:${String(at.getMinutes()).padStart(2, "0")}`;
+    };
+    const text = `ETA: ${clock(secsLeft)} · ${formatHMS(secsLeft)} remaining`;
+    // Mid-list, also say when the current section wraps up
+    const section = sectionBounds(tasks, roundPos.idx);
+    if (!section) return text;
+    const inSection = tasks.slice(section.start, section.end + 1);
+    const sectionLeft = roundsRemaining(inSection, { ...config, repeat: 1 }, { ...roundPos, idx: roundPos.idx - section.start, round: 1 });
+    if (sectionLeft <= 0 || sectionLeft >= secsLeft) return text;
+    return `${text} · ${sectionName(config, tasks[roundPos.idx].sectionId)} ends ${clock(sectionLeft)}`;
+    // clockNow isn't read; it re-runs this while nothing else changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tasks, config, roundPos, clockNow]);
+
+  // The Finish-by target and how many ms past it the list currently ends
+  const finishBy = useMemo(() => {
+    const now = Date.now();
+    const at = clockAt(config.finishBy, now);
+    if (at == null) return null;
+    return { at, late: Math.max(0, now + roundsRemaining(tasks, config, roundPos) * 1000 - at) };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tasks, config, roundPos, clockNow]);
+
+  // Clock time each row of the current pass starts at, and the pins that
+  // can't be met even after refitting
+  const schedule = useMemo(() => {
+    if (!config.showClockTimes && !tasks.some((t) => t.at)) return null;
+    const now = Date.now();
+    return { starts: clockStarts(tasks, config, roundPos, now), missed: fitPins(tasks, config, roundPos, now).missed };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tasks, config, roundPos, clockNow]);
+
+  /* Timeline rows: what the run already did, with its real times, then the
+     rest laid out from now — or from the chosen start while nothing runs. */
+  const timeline = useMemo(() => {
+    if (config.taskView !== "timeline") return null;
+    const now = Date.now();
+    const run = state.run?.list === state.currentList ? state.run : null;
+    const rows = [];
+    const row = (t, extra) => ({
+      name: isYouTubeUrl(t.name) ? "YouTube video" : t.name,
+      section: t.sectionId ? sectionName(config, t.sectionId) : null,
+      at: t.at || null,
+      ...extra,
+    });
+    for (const e of run?.log || []) {
+      if (e.endedAt == null || e.startedAt == null) continue;
+      const t = tasks.find((x) => x.id === e.id) || { name: e.name };
+      rows.push(row(t, {
+        key: `${e.id}-${e.round}-${e.groupRound ?? 0}`,
+        start: e.startedAt, end: e.endedAt, status: "done", outcome: e.outcome, round: e.round, groupRound: e.groupRound,
+      }));
+    }
+    const cur = tasks[roundPos.idx];
+    let ahead = agenda(tasks, config, roundPos, run ? now : clockAt(timelineStart, now) ?? now);
+    if (run && cur) {
+      const entry = run.log.findLast((e) => e.id === cur.id && e.endedAt == null);
+      rows.push(row(cur, {
+        key: `${cur.id}-current`,
+        start: entry?.startedAt ?? now - Math.max(0, cur.time - cur.remaining) * 1000,
+        end: now + Math.max(0, cur.remaining) * 1000,
+        status: "current", round: roundPos.round, groupRound: cur.groupId ? roundPos.groupRound : null, over: cur.remaining < 0,
+      }));
+      if (ahead[0]?.idx === roundPos.idx && ahead[0].round === roundPos.round) ahead = ahead.slice(1);
+    }
+    for (const v of ahead) {
+      const t = tasks[v.idx];
+      rows.push(row(t, {
+        key: `${t.id}-${v.round}-${v.groupRound}`,
+        start: v.start, end: v.end, status: "next", round: v.round, groupRound: t.groupId ? v.groupRound : null,
+      }));
+    }
+    return rows;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [config, tasks, roundPos, state.run, state.currentList, timelineStart, clockNow]);
+
+  /* The background runs, in tab order, for the stack in the footer. */
+  const backgroundRows = useMemo(() => state.listOrder.filter((l) => state.backgroundRuns[l]).map((l) => {
+    const run = state.backgroundRuns[l];
+    const arr = state.lists[l] || [];
+    const t = arr[run.taskIndex];
+    const pos = { idx: run.taskIndex, round: run.round ?? 1, groupRound: run.groupRound ?? 1 };
+    return {
+      list: l,
+      task: t ? (isYouTubeUrl(t.name) ? "YouTube video" : t.name) : "",
+      remaining: t?.remaining ?? 0,
+      progress: t?.time > 0 ? Math.min(100, Math.max(0, Math.round((1 - t.remaining / t.time) * 100))) : 0,
+      paused: !!run.pausedAt,
+      waiting: !!t?.checkpoint,
+      canSkip: !!nextPosition(arr, state.listConfigs[l], pos),
+    };
+  }), [state.listOrder, state.backgroundRuns, state.lists, state.listConfigs]);
+
+  /* Logged sets per exercise, for the Stats progression. */
+  const exerciseStats = useMemo(() => exerciseProgress(state.sessions), [state.sessions]);
+
+  /* One full run of every list, for the playlist editor. */
+  const listDurations = useMemo(() => {
+    const out = {};
+    for (const name of state.listOrder) out[name] = listSeconds(state.lists, state.listConfigs, name);
+    return out;
+  }, [state.listOrder, state.lists, state.listConfigs]);
+
+  /* The playlist playing now: where it is, what's left of it in seconds and
+     how far along it is. */
+  const playlistStatus = useMemo(() => {
+    const pr = state.playlistRun;
+    const pl = pr && state.playlists.find((p) => p.id === pr.id);
+    const name = pl?.items[pr.step]?.list;
+    if (!state.lists[name]) return null;
+    const side = state.backgroundRuns[name];
+    const current = name === state.currentList
+      ? roundsRemaining(tasks, config, roundPos)
+      : side
+        ? roundsRemaining(state.lists[name], state.listConfigs[name], { idx: side.taskIndex, round: side.round ?? 1, groupRound: side.groupRound ?? 1 })
+        : listSeconds(state.lists, state.listConfigs, name);
+    const left = current + playlistSecondsAfter(pl, pr, state.lists, state.listConfigs);
+    const total = playlistSecondsAfter(pl, { step: 0, pass: 0 }, state.lists, state.listConfigs);
+    const progress = total > 0 ? Math.min(100, Math.max(0, Math.round((1 - left / total) * 100))) : 0;
+    return { pl, pr, name, left, progress };
+  }, [state.playlistRun, state.playlists, state.lists, state.listConfigs, state.backgroundRuns, state.currentList, tasks, config, roundPos]);
+
+  /* The next few scheduled starts across every list, soonest first. */
+  const upcomingStarts = useMemo(() => {
+    const now = Date.now();
+    const out = [];
+    for (const name of state.listOrder) {
+      const sched = state.listConfigs[name]?.autoStart;
+      if (!sched) continue;
+      occurrences(sched, Math.max(now, sched.handled || 0), now + 7 * 86400000)
+        .forEach((at, k) => out.push({ list: name, at, next: k === 0 }));
+    }
+    return out.sort((a, b) => a.at - b.at).slice(0, 5);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [state.listOrder, state.listConfigs, clockNow]);
+
+  const finishByFit = useMemo(
+    () => (finishByOpen && finishBy ? fitDeadline(tasks, config, roundPos, (finishBy.at - Date.now()) / 1000) : null),
+    [finishByOpen, finishBy, tasks, config, roundPos]
+  );
 
   /* State helpers */
   // Fix #5: replaced structuredClone (full deep-copy ran every 200ms tick) with a
-  // targeted two-level shallow copy. migrateYouTubeMeta was also called on every
-  // patch() — it now only runs at load/import time (one-off operations).
+  // targeted two-level shallow copy. The YouTube meta migration was also called on
+  // every patch() — it now runs once per saved schema (see STATE_MIGRATIONS).
   // The shallow copy is sufficient because patch() callbacks only mutate task
   // objects inside the current list array, which we shallow-copy here.
-  const patch = (fn) => setState((s) => {
-    const next = {
-      ...s,
-      lists: { ...s.lists },
-      listConfigs: { ...s.listConfigs },
-      listStats: { ...s.listStats },
-    };
-    // Shallow-copy the current list's array, config, and stats to avoid mutating
-    // the previous state — required by React's immutability contract.
-    const cl = s.currentList;
-    if (next.lists[cl]) next.lists[cl] = [...next.lists[cl]];
-    if (next.listConfigs[cl]) next.listConfigs[cl] = { ...next.listConfigs[cl] };
-    if (next.listStats[cl]) next.listStats[cl] = { ...next.listStats[cl] };
-    fn(next);
-    return next;
-  });
+  const patch = (fn) => setState((s) => patchedState(s, fn));
+
+  /* patch() that can be undone. `label` names the step for the Undo toast,
+     which only pops up for `toast` edits (deletes, resets, imports); edits
+     sharing a `key` in quick succession fold into one step. The updater fills
+     the entry in and an effect files it once the render commits. */
+  function commit(label, fn, { key = label, toast = false } = {}) {
+    const entry = { label, key, toast, before: null, after: null };
+    pendingHistoryRef.current.push(entry);
+    setState((s) => {
+      const next = patchedState(s, fn);
+      entry.before = historySlice(s);
+      entry.after = historySlice(next);
+      return next;
+    });
+  }
+
+  function undo() {
+    const entry = historyRef.current.undo.pop();
+    if (!entry) return;
+    historyRef.current.redo.push(entry);
+    setState((s) => applyHistory(s, entry.after, entry.before));
+    setLastImport(null);
+    showUndoToast({ label: `Undid: ${entry.label}`, action: "redo" });
+  }
+
+  function redo() {
+    const entry = historyRef.current.redo.pop();
+    if (!entry) return;
+    historyRef.current.undo.push(entry);
+    setState((s) => applyHistory(s, entry.before, entry.after));
+    showUndoToast({ label: `Redid: ${entry.label}`, action: "undo" });
+  }
+
+  function showUndoToast(toast) {
+    setUndoToast(toast);
+    clearTimeout(undoToastTimerRef.current);
+    undoToastTimerRef.current = setTimeout(() => setUndoToast(null), 5000);
+  }
+
+  /* Write the current state to IndexedDB. Only what changed since the last
+     write goes out; after a failure the next write replaces everything, and
+     the error stays on screen until a write succeeds. `unloading` also
+     keeps a synchronous copy of the meta record (UNLOAD_KEY) in case the
+     page is gone before the write finishes. */
+  function saveNow(unloading = false) {
+    const next = storedSnapshot(stateRef.current);
+    const prev = savedRef.current;
+    const startedAt = Date.now();
+    if (unloading) {
+      try { localStorage.setItem(UNLOAD_KEY, JSON.stringify({ at: startedAt, meta: next.meta })); } catch { /* ignore */ }
+    }
+    saveStored(prev, next)
+      .then(() => {
+        // Only a write that landed is something the next diff can build on
+        savedRef.current = next;
+        setSaveError(null);
+        try {
+          if ((readUnloadCopy()?.at ?? Infinity) <= startedAt) localStorage.removeItem(UNLOAD_KEY);
+        } catch { /* ignore */ }
+        if (legacyKeysRef.current) {
+          legacyKeysRef.current = false;
+          try {
+            localStorage.removeItem(LS_KEY);
+            localStorage.removeItem(SESSIONS_KEY);
+          } catch { /* ignore */ }
+        }
+      })
+      .catch((err) => {
+        savedRef.current = null;
+        setSaveError(storageErrorMessage(err));
+      });
+  }
 
   // Hidden easter egg: 10 quick taps on the Sessions hero number injects a
   // plausible-looking set of fake stats across every list. No UI feedback —
@@ -1192,24 +3513,202 @@ export default function App() {
     setShowTutorial(true);
   }
 
+  /* Activate the waiting service worker; the controllerchange listener
+     reloads into the new version. State is flushed on unload, and a running
+     session is restored from its wall-clock anchor. */
+  function applyAppUpdate() {
+    if (!appUpdate) return;
+    swReloadRef.current = true;
+    appUpdate.worker.postMessage({ type: "SKIP_WAITING" });
+  }
+
   function ensureListConfig(name) {
     if (!state.listConfigs[name]) {
       patch((n) => { n.listConfigs[name] = defaultConfig(); });
     }
   }
 
+  /* Keyboard shortcut actions. `repeat` is true for auto-repeat while a key
+     is held — harmless for moving the selection, ignored for the rest. */
+  function runShortcut(id, repeat = false) {
+    const s = stateRef.current;
+    const arr = s.lists[s.currentList] || [];
+    if (id === "prevTask" || id === "nextTask") {
+      const dir = id === "nextTask" ? 1 : -1;
+      let i = s.currentTaskIndex + dir;
+      while (arr[i] && !arr[i].enabled) i += dir;
+      if (arr[i]) patch((n) => { n.currentTaskIndex = i; });
+      return;
+    }
+    if (repeat) return;
+    if (id === "undo") {
+      undo();
+    } else if (id === "redo") {
+      redo();
+    } else if (id === "prevList" || id === "nextList") {
+      const order = s.listOrder;
+      const at = order.indexOf(s.currentList);
+      setCurrentList(order[(at + (id === "nextList" ? 1 : order.length - 1)) % order.length]);
+    } else if (!arr.length) {
+      return;
+    } else if (id === "toggle") {
+      if (!timerOwnerRef.current) sendTimerCommand("toggle");
+      else runTimerCommand("toggle");
+    } else if (id === "skip") {
+      skipTask();
+    } else if (id === "complete") {
+      completeEarly();
+    } else if (id === "restart") {
+      restartTimer();
+    }
+  }
+
+  /* Switch the current list between its task list and timeline. */
+  function toggleTaskView() {
+    patch((n) => {
+      const cfg = n.listConfigs[n.currentList];
+      cfg.taskView = cfg.taskView === "timeline" ? "list" : "timeline";
+    });
+  }
+
+  /* Everything the command palette can do, built when it opens. */
+  function paletteCommands() {
+    const b = shortcutBindings(state.shortcuts);
+    const hint = (id) => (b[id] ? formatShortcut(b[id]) : null);
+    const open = (fn) => () => { setMenuOpenTask(null); setMenuOpenTab(null); fn(); };
+    const h = historyRef.current;
+    const actions = [
+      { id: "toggle", label: isRunning ? "Pause timer" : "Start timer", icon: isRunning ? "fa-pause" : "fa-play", hint: hint("toggle"), run: () => runShortcut("toggle") },
+      { id: "skip", label: "Skip task", icon: "fa-forward", hint: hint("skip"), run: () => runShortcut("skip") },
+      { id: "complete", label: "Complete task", icon: "fa-check", hint: hint("complete"), run: () => runShortcut("complete") },
+      { id: "restart", label: "Restart list", icon: "fa-rotate-left", hint: hint("restart"), run: () => runShortcut("restart") },
+      { id: "undo", label: h.undo.length ? `Undo: ${h.undo[h.undo.length - 1].label}` : "Undo", icon: "fa-reply", hint: hint("undo"), run: undo },
+      { id: "redo", label: h.redo.length ? `Redo: ${h.redo[h.redo.length - 1].label}` : "Redo", icon: "fa-share", hint: hint("redo"), run: redo },
+      { id: "bulk", label: "Add many tasks", icon: "fa-paste", run: () => setBulkText((t) => t ?? "") },
+      { id: "newList", label: "New list", icon: "fa-plus", run: () => patch((n) => { n.isListCreating = true; }) },
+      { id: "newFromTemplate", label: "New list from template", icon: "fa-wand-magic-sparkles", run: open(() => setShowTemplates(true)) },
+      { id: "saveTemplate", label: "Save list as template", icon: "fa-bookmark", run: () => saveListAsTemplate(state.currentList) },
+      { id: "timeline", label: config.taskView === "timeline" ? "Show task list" : "Show timeline", icon: config.taskView === "timeline" ? "fa-list" : "fa-timeline", run: toggleTaskView },
+      { id: "playlists", label: "Open playlists", icon: "fa-layer-group", run: open(() => setShowPlaylists(true)) },
+      ...(state.playlistRun ? [{ id: "playlistStop", label: "Stop playlist", icon: "fa-stop", run: stopPlaylist }] : []),
+      { id: "stats", label: "Open stats", icon: "fa-chart-bar", run: open(() => setShowStats(true)) },
+      { id: "settings", label: "Open settings", icon: "fa-cog", run: open(() => patch((n) => { n.showOptions = true; })) },
+      { id: "help", label: "Open help", icon: "fa-question-circle", run: open(() => patch((n) => { n.showHelp = true; })) },
+      { id: "data", label: "Backup & restore", icon: "fa-database", run: open(() => setShowDataPage(true)) },
+      { id: "exportBackup", label: "Export backup", icon: "fa-box-archive", run: exportBackupJSON },
+      { id: "restoreBackup", label: "Restore backup…", icon: "fa-clock-rotate-left", run: () => backupFileRef.current?.click() },
+      { id: "exportXml", label: "Export tasks (XML)", icon: "fa-cloud-arrow-down", run: exportTasksToXML },
+      { id: "importXml", label: "Import tasks (XML)…", icon: "fa-cloud-arrow-up", run: () => importFileRef.current?.click() },
+      { id: "dark", label: state.dark ? "Switch to light mode" : "Switch to dark mode", icon: state.dark ? "fa-sun" : "fa-moon", run: () => patch((n) => { n.dark = !n.dark; }) },
+      { id: "pip", label: "Open mini player", icon: "fa-up-right-and-down-left-from-center", run: openPiP },
+    ].map((c) => ({ ...c, id: `action-${c.id}`, group: "Action" }));
+    const lists = state.listOrder.map((name, i) => ({
+      id: `list-${i}`,
+      group: "List",
+      label: `Switch to ${name}`,
+      icon: "fa-folder-open",
+      hint: i < 9 ? String(i + 1) : null,
+      run: () => setCurrentList(name),
+    }));
+    const taskCommands = tasks
+      .map((t, i) => ({ t, i }))
+      .filter(({ t }) => t.enabled)
+      .map(({ t, i }) => ({
+        id: `task-${t.id}`,
+        group: "Task",
+        label: `Go to ${isYouTubeUrl(t.name) ? "YouTube video" : t.name}`,
+        icon: "fa-list-check",
+        hint: formatHMS(t.remaining),
+        run: () => patch((n) => { n.currentTaskIndex = i; }),
+      }));
+    const playlistCommands = state.playlists.map((pl) => ({
+      id: `playlist-${pl.id}`,
+      group: "Playlist",
+      label: `Play ${pl.name}`,
+      icon: "fa-layer-group",
+      run: () => playPlaylist(pl.id),
+    }));
+    return [...actions, ...lists, ...playlistCommands, ...taskCommands];
+  }
+
+  // Built only while the palette is open, and again when what it lists
+  // changes — the task commands and their time hints follow the run
+  const paletteCommandList = useMemo(
+    () => (showPalette ? paletteCommands() : []),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [showPalette, state.shortcuts, state.listOrder, state.currentList, state.lists, state.playlists, state.playlistRun, state.dark, isRunning, config.taskView, tasks]
+  );
+  const closePalette = useCallback(() => setShowPalette(false), []);
+
+  /* Settings: capture the next key press as the binding for `id`. Escape
+     cancels, Backspace / Delete unbinds; a key already used elsewhere moves. */
+  function recordShortcut(id, e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      setRecordingShortcut(null);
+      return;
+    }
+    const clear = e.key === "Backspace" || e.key === "Delete";
+    const combo = clear ? null : keyFromEvent(e);
+    // Ignore a lone modifier, and keep 1–9 for switching lists
+    if (!clear && (!combo || /^[1-9]$/.test(combo))) return;
+    patch((n) => {
+      const current = shortcutBindings(n.shortcuts);
+      const next = { ...n.shortcuts, [id]: combo };
+      for (const a of SHORTCUT_ACTIONS) {
+        if (a.id !== id && combo && current[a.id] === combo) next[a.id] = null;
+      }
+      n.shortcuts = next;
+    });
+    setRecordingShortcut(null);
+  }
+
   /* Tabs */
   function setCurrentList(name) {
     ensureListConfig(name);
-    patch((n) => { n.currentList = name; n.currentTaskIndex = 0; });
+    const s = stateRef.current;
+    const switching = name !== s.currentList;
+    // A list left running keeps going in the background, and coming back
+    // brings its run to the front on the task it has reached; see
+    // "Background runs". Leaving a paused run keeps it paused here.
+    const leaving = switching && s.run?.list === s.currentList && !s.run.pausedAt ? s.run : null;
+    const arriving = switching ? s.backgroundRuns[name] : null;
+    if ((leaving || arriving) && !timerOwnerRef.current) { sendTimerCommand(`list:${name}`); return; }
+    if (leaving) _stopInterval();
+    else if (switching) pauseTimer();
+    patch((n) => {
+      if (n.currentList !== name) {
+        const runs = { ...n.backgroundRuns };
+        if (n.run?.list === n.currentList && !n.run.pausedAt) {
+          runs[n.run.list] = n.run;
+          n.run = null;
+        }
+        if (runs[name]) {
+          // A paused run on yet another list waits in the footer meanwhile
+          if (n.run) runs[n.run.list] = n.run;
+          n.run = runs[name];
+          delete runs[name];
+        }
+        n.backgroundRuns = runs;
+      }
+      n.currentList = name;
+      n.currentTaskIndex = n.run?.list === name ? n.run.taskIndex : 0;
+    });
+    if (arriving && !arriving.pausedAt) {
+      _startInterval();
+      requestWakeLock();
+      activateMediaSession(s.lists[name]?.[arriving.taskIndex]);
+    }
   }
 
-  function addList(name) {
+  /* A new list, empty or with the tasks and settings a template built. */
+  function addList(name, tasks = [], config = defaultConfig()) {
     if (!name || state.lists[name]) return;
-    patch((n) => {
-      n.lists[name] = [];
-      n.listOrder.push(name);
-      n.listConfigs[name] = defaultConfig();
+    commit("Add list", (n) => {
+      n.lists[name] = tasks;
+      n.listOrder = [...n.listOrder, name];
+      n.listConfigs[name] = config;
       n.listStats[name] = defaultListStats();
       n.currentList = name;
       n.currentTaskIndex = 0;
@@ -1228,7 +3727,10 @@ export default function App() {
 
   function renameList(oldName, newName) {
     if (!newName || oldName === newName || state.lists[newName]) return;
-    patch((n) => {
+    commit("Rename list", (n) => {
+      n.playlists = n.playlists.map((p) => (p.items.some((it) => it.list === oldName)
+        ? { ...p, items: p.items.map((it) => (it.list === oldName ? { ...it, list: newName } : it)) }
+        : p));
       n.lists[newName] = n.lists[oldName];
       delete n.lists[oldName];
       n.listConfigs[newName] = n.listConfigs[oldName];
@@ -1237,6 +3739,11 @@ export default function App() {
       delete n.listStats[oldName];
       n.listOrder = n.listOrder.map((x) => (x === oldName ? newName : x));
       if (n.currentList === oldName) n.currentList = newName;
+      if (n.run?.list === oldName) n.run = { ...n.run, list: newName };
+      if (n.backgroundRuns[oldName]) {
+        const { [oldName]: run, ...runs } = n.backgroundRuns;
+        n.backgroundRuns = { ...runs, [newName]: { ...run, list: newName } };
+      }
     });
   }
 
@@ -1244,14 +3751,23 @@ export default function App() {
     if (state.listOrder.length <= 1) return;
     const doDelete = () => {
       if (name === state.currentList) pauseTimer();
-      patch((n) => {
+      commit(`Delete list “${name}”`, (n) => {
         delete n.lists[name];
         delete n.listConfigs[name];
         delete n.listStats[name];
+        if (n.run?.list === name) {
+          n.sessions = withAbandoned(n.sessions, n.run, Date.now());
+          n.run = null;
+        }
+        if (n.backgroundRuns[name]) {
+          const { [name]: run, ...runs } = n.backgroundRuns;
+          n.sessions = withAbandoned(n.sessions, run, Date.now());
+          n.backgroundRuns = runs;
+        }
         n.listOrder = n.listOrder.filter((x) => x !== name);
         if (n.currentList === name) n.currentList = n.listOrder[0];
         n.currentTaskIndex = 0;
-      });
+      }, { toast: true });
     };
     const tabEl = document.querySelector(`[data-list-name="${CSS.escape(name)}"]`);
     if (tabEl) {
@@ -1263,11 +3779,12 @@ export default function App() {
   }
 
   function reorderList(oldIdx, newIdx) {
-    patch((n) => {
-      const arr = n.listOrder;
+    commit("Reorder lists", (n) => {
+      const arr = [...n.listOrder];
       const [item] = arr.splice(oldIdx, 1);
       arr.splice(newIdx, 0, item);
-    });
+      n.listOrder = arr;
+    }, { key: "reorder-lists" });
   }
 
   /* Tasks */
@@ -1275,7 +3792,9 @@ export default function App() {
     const name = (taskNameRef.current?.value ?? "").trim();
     const amt = Number(taskTimeRef.current?.value ?? 0);
     const unit = timeUnitRef.current?.value ?? "minutes";
-    if (!name || !amt || amt <= 0) {
+    // A checkpoint's time is an optional estimate, and so is an untimed set's; every other task needs one
+    const waits = setsForm ? !setsForm.timed : addCheckpoint;
+    if (!name || !(amt > 0 || (waits && amt === 0)) || (setsForm && !(setsForm.sets >= 1))) {
       // Shake animation on the add button
       const btn = addBtnRef.current;
       if (btn) {
@@ -1288,11 +3807,18 @@ export default function App() {
     }
     const toSeconds = unit === "seconds" ? secs : unit === "minutes" ? mins : hours;
     const t = toSeconds(amt);
-    const norm = normalizeTaskFromName(name, t);
-    patch((n) => {
-      n.lists[n.currentList].push(norm);
+    const norm = { ...normalizeTaskFromName(name, t), ...(addCheckpoint ? { checkpoint: true } : {}) };
+    const sectionId = crypto.randomUUID();
+    const added = setsForm ? setTasks(name, { ...setsForm, time: t }, sectionId) : [norm];
+    commit(setsForm ? `Add ${name} sets` : "Add task", (n) => {
+      if (setsForm) {
+        const cfg = n.listConfigs[n.currentList];
+        const taken = new Set(Object.values(cfg.sections || {}).map((x) => x.name));
+        cfg.sections = { ...cfg.sections, [sectionId]: { name: uniqueListName(name, taken), collapsed: false } };
+      }
+      n.lists[n.currentList] = appendToSections(n.lists[n.currentList], added);
     });
-    setNewTaskId(norm.id);
+    setNewTaskId(added[added.length - 1].id);
     setTimeout(() => setNewTaskId(null), 350);
     // Success feedback on button and input
     const btn = addBtnRef.current;
@@ -1314,15 +3840,145 @@ export default function App() {
     taskNameRef.current?.focus();
   }
 
+  /* Add every parsed line at once; lines that failed stay in the box to fix. */
+  function addBulkTasks() {
+    if (!bulkValid.length) return;
+    const added = bulkValid.map((r) => normalizeTaskFromName(r.name, r.time));
+    commit(added.length === 1 ? "Add task" : `Add ${added.length} tasks`, (n) => {
+      n.lists[n.currentList] = appendToSections(n.lists[n.currentList], added);
+    });
+    setNewTaskId(added[added.length - 1].id);
+    setTimeout(() => setNewTaskId(null), 350);
+    const failed = bulkRows.filter((r) => r.error);
+    setBulkText(failed.length ? failed.map((r) => r.text).join("\n") : null);
+  }
+
   function removeTask(i) {
-    patch((n) => {
-      n.lists[n.currentList].splice(i, 1);
+    commit("Delete task", (n) => {
+      const [gone] = n.lists[n.currentList].splice(i, 1);
       if (n.currentTaskIndex >= n.lists[n.currentList].length) n.currentTaskIndex = 0;
+      dropEmptyBlock(n, gone?.groupId);
+      dropEmptySection(n, gone?.sectionId);
+    }, { toast: true });
+  }
+
+  /* Blocks — consecutive tasks sharing a groupId that repeat together.
+     Actions: "create" a one-task block at i, "extend" it over the next
+     task, "leave" it (from either end, so it stays contiguous) or
+     "ungroup" the whole block. */
+  function editBlock(i, action) {
+    commit(action === "ungroup" ? "Ungroup block" : "Change block", (n) => {
+      const arr = n.lists[n.currentList];
+      const cfg = n.listConfigs[n.currentList];
+      const t = arr[i];
+      if (!t) return;
+      if (action === "create" && !t.groupId) {
+        const id = crypto.randomUUID();
+        arr[i] = { ...t, groupId: id };
+        cfg.groups = { ...cfg.groups, [id]: { repeat: 2 } };
+      } else if (action === "extend" && t.groupId && arr[i + 1] && !arr[i + 1].groupId) {
+        arr[i + 1] = { ...arr[i + 1], groupId: t.groupId };
+      } else if (action === "leave" && t.groupId) {
+        const b = blockBounds(arr, i);
+        if (i !== b.start && i !== b.end) return;
+        arr[i] = { ...t, groupId: undefined };
+        dropEmptyBlock(n, t.groupId);
+      } else if (action === "ungroup" && t.groupId) {
+        n.lists[n.currentList] = arr.map((x) => (x.groupId === t.groupId ? { ...x, groupId: undefined } : x));
+        dropEmptyBlock(n, t.groupId);
+      }
     });
   }
 
+  function setBlockRepeat(groupId, repeat) {
+    commit("Change block repeat", (n) => {
+      const cfg = n.listConfigs[n.currentList];
+      cfg.groups = { ...cfg.groups, [groupId]: { ...cfg.groups?.[groupId], repeat: Math.min(99, Math.max(1, Math.floor(repeat) || 1)) } };
+    }, { key: `block-repeat:${groupId}` });
+  }
+
+  /* Forget a block's settings once no task of the current list is in it (mutates). */
+  function dropEmptyBlock(n, groupId) {
+    if (!groupId || n.lists[n.currentList].some((x) => x.groupId === groupId)) return;
+    const cfg = n.listConfigs[n.currentList];
+    if (!cfg?.groups?.[groupId]) return;
+    const { [groupId]: _gone, ...rest } = cfg.groups;
+    cfg.groups = rest;
+  }
+
+  /* Sections — a header over the tasks from i down to the next header.
+     Actions: "create" a section starting at task i (splitting the one it
+     was in), "rename" or "remove" the header (its tasks join the section
+     above), "enable" / "disable" every task in it, or "collapse" /
+     "expand" it in the list, which isn't an undoable edit. */
+  function editSection(i, action, name) {
+    const arr = stateRef.current.lists[stateRef.current.currentList] || [];
+    const t = arr[i];
+    if (!t) return;
+    if (action === "collapse" || action === "expand") {
+      patch((n) => {
+        const cfg = n.listConfigs[n.currentList];
+        cfg.sections = { ...cfg.sections, [t.sectionId]: { ...cfg.sections?.[t.sectionId], collapsed: action === "collapse" } };
+      });
+      return;
+    }
+    const labels = { create: "Add section", rename: "Rename section", remove: "Remove section", enable: "Enable section", disable: "Disable section" };
+    commit(labels[action], (n) => {
+      const list = n.lists[n.currentList];
+      const cfg = n.listConfigs[n.currentList];
+      const b = sectionBounds(list, i) || { start: i, end: i };
+      if (action === "create") {
+        const id = crypto.randomUUID();
+        const taken = new Set(Object.values(cfg.sections || {}).map((x) => x.name));
+        let end = b.end;
+        if (!t.sectionId) while (end + 1 < list.length && !list[end + 1].sectionId) end++;
+        for (let k = i; k <= end; k++) list[k] = { ...list[k], sectionId: id };
+        cfg.sections = { ...cfg.sections, [id]: { name: uniqueListName(name?.trim() || "New section", taken), collapsed: false } };
+        dropEmptySection(n, t.sectionId);
+      } else if (action === "rename" && t.sectionId && name?.trim()) {
+        cfg.sections = { ...cfg.sections, [t.sectionId]: { ...cfg.sections?.[t.sectionId], name: name.trim() } };
+      } else if (action === "remove" && t.sectionId) {
+        const above = list[b.start - 1]?.sectionId;
+        for (let k = b.start; k <= b.end; k++) list[k] = { ...list[k], sectionId: above };
+        dropEmptySection(n, t.sectionId);
+      } else if ((action === "enable" || action === "disable") && t.sectionId) {
+        for (let k = b.start; k <= b.end; k++) list[k] = { ...list[k], enabled: action === "enable" };
+      }
+    }, { key: action === "rename" ? `section-name:${t.sectionId}` : labels[action] });
+  }
+
+  /* Forget a section's settings once no task of the current list is in it (mutates). */
+  function dropEmptySection(n, sectionId) {
+    if (!sectionId || n.lists[n.currentList].some((x) => x.sectionId === sectionId)) return;
+    const cfg = n.listConfigs[n.currentList];
+    if (!cfg?.sections?.[sectionId]) return;
+    const { [sectionId]: _gone, ...rest } = cfg.sections;
+    cfg.sections = rest;
+  }
+
+  /* Drag a whole section by its header; see moveRange() for where it lands. */
+  function moveSection(sectionId, to) {
+    commit("Move section", (n) => {
+      const list = n.lists[n.currentList];
+      const b = sectionBounds(list, list.findIndex((x) => x.sectionId === sectionId));
+      if (!b) return;
+      // Tasks above the first header stay there; no section goes above them
+      const lead = list.findIndex((x) => x.sectionId);
+      const moved = moveRange(list, b.start, b.end, Math.max(to, lead));
+      if (moved === list) return;
+      const currentId = list[n.currentTaskIndex]?.id;
+      n.lists[n.currentList] = moved;
+      n.currentTaskIndex = Math.max(0, moved.findIndex((x) => x.id === currentId));
+    }, { key: "reorder-tasks" });
+  }
+
   function editTask(i, patchFields) {
-    patch((n) => {
+    // Opening or closing the inline editor is UI state, not an edit to undo
+    const fields = Object.keys(patchFields).filter((k) => k !== "editing");
+    const label = !fields.length ? null
+      : fields.length === 1 && fields[0] === "enabled" ? (patchFields.enabled ? "Enable task" : "Disable task")
+      : "Edit task";
+    (label ? (fn) => commit(label, fn) : patch)((n) => {
       const t = n.lists[n.currentList][i];
       // If name changes, re-normalize possible YT metadata
       let next = { ...t, ...patchFields };
@@ -1337,34 +3993,79 @@ export default function App() {
         time: nextTime,
         remaining: timeChanged ? nextTime : (patchFields.remaining ?? next.remaining)
       };
+      // A length typed in is the new plan, not a fit to pinned times
+      if (timeChanged) delete n.lists[n.currentList][i].plannedTime;
+      // Editing the running task's duration restarts its countdown from here
+      const run = n.run;
+      if ((timeChanged || "checkpoint" in patchFields) && run && !run.pausedAt && run.list === n.currentList && run.taskIndex === i) {
+        n.run = anchorRun(run, i, n.lists[n.currentList][i], Date.now());
+      }
+      if ("at" in patchFields) fitSchedule(n, Date.now());
     });
   }
 
+  /* Fit the current list to its pinned tasks from `pos` — by default where
+     the run stands (mutates). Called where the run jumps or resumes; the
+     ticks in between keep pace with the clock by themselves. */
+  function fitSchedule(n, now, pos = null) {
+    const l = n.currentList;
+    const run = n.run?.list === l ? n.run : null;
+    const from = pos || { idx: n.currentTaskIndex, round: run?.round ?? 1, groupRound: run?.groupRound ?? 1 };
+    const fitted = withPins(n.lists[l], n.listConfigs[l], from, now);
+    if (fitted === n.lists[l]) return;
+    n.lists[l] = fitted;
+    // A running task carries on from its new remaining time
+    if (run && !run.pausedAt) n.run = anchorRun(run, run.taskIndex, fitted[run.taskIndex], now);
+  }
+
+  /* Rescale the current list to end at its Finish-by time; see fitDeadline(). */
+  function applyFinishBy() {
+    const now = Date.now();
+    commit("Fit to deadline", (n) => {
+      const l = n.currentList;
+      const cfg = n.listConfigs[l];
+      const at = clockAt(cfg?.finishBy, now);
+      const run = n.run?.list === l ? n.run : null;
+      const pos = { idx: n.currentTaskIndex, round: run?.round ?? 1, groupRound: run?.groupRound ?? 1 };
+      const fit = at != null ? fitDeadline(n.lists[l], cfg, pos, (at - now) / 1000) : null;
+      if (!fit?.tasks) return;
+      n.lists[l] = fit.tasks;
+      // A running task carries on from its new remaining time
+      if (run && !run.pausedAt) n.run = anchorRun(run, run.taskIndex, fit.tasks[run.taskIndex], now);
+    }, { toast: true });
+    setFinishByOpen(false);
+  }
+
   /* Task DnD (pointer, mobile + desktop) */
+  // Section headers sit between the rows and collapsed tasks aren't
+  // rendered, so rows carry their task index rather than relying on position.
   function indexFromPoint(clientY) {
     const ul = listRef.current;
     if (!ul) return null;
-    const children = Array.from(ul.children);
-    let targetIndex = children.length - 1;
-    for (let idx = 0; idx < children.length; idx++) {
-      const rect = children[idx].getBoundingClientRect();
+    const rows = Array.from(ul.querySelectorAll(":scope > [data-task-index]"));
+    if (!rows.length) return null;
+    let row = rows[rows.length - 1];
+    for (const el of rows) {
+      const rect = el.getBoundingClientRect();
       const mid = rect.top + rect.height / 2;
-      if (clientY < mid) { targetIndex = idx; break; }
+      if (clientY < mid) { row = el; break; }
     }
-    return targetIndex;
+    return Number(row.dataset.taskIndex);
   }
 
   function reorderTask(from, to) {
     if (from === to || from == null || to == null) return;
-    patch((n) => {
+    commit("Reorder tasks", (n) => {
       const arr = n.lists[n.currentList];
       if (!arr || from < 0 || to < 0 || from >= arr.length || to >= arr.length) return;
       const [item] = arr.splice(from, 1);
       arr.splice(to, 0, item);
+      n.lists[n.currentList] = resectionMoved(regroupMoved(arr, to), to);
+      dropEmptySection(n, item.sectionId);
       if (n.currentTaskIndex === from) n.currentTaskIndex = to;
       else if (from < n.currentTaskIndex && to >= n.currentTaskIndex) n.currentTaskIndex -= 1;
       else if (from > n.currentTaskIndex && to <= n.currentTaskIndex) n.currentTaskIndex += 1;
-    });
+    }, { key: "reorder-tasks" });
   }
 
   function onTaskPointerDown(i, e) {
@@ -1379,8 +4080,21 @@ export default function App() {
     document.body.style.touchAction = "none"; // prevent scroll during drag on mobile
   }
 
+  function onSectionPointerDown(sectionId, e) {
+    if (!e.target.closest('[data-drag-handle="true"]')) return;
+    pointerActive.current = true;
+    draggingSection.current = sectionId;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    document.body.style.touchAction = "none";
+  }
+
   function onTaskPointerMove(e) {
     if (!pointerActive.current) return;
+    if (draggingSection.current) {
+      const to = indexFromPoint(e.clientY);
+      if (to != null) moveSection(draggingSection.current, to);
+      return;
+    }
     const from = draggingTask.current;
     const to = indexFromPoint(e.clientY);
     if (from == null || to == null) return;
@@ -1396,6 +4110,7 @@ export default function App() {
     const finalIdx = draggingTask.current;
     pointerActive.current = false;
     draggingTask.current = null;
+    draggingSection.current = null;
     document.body.style.touchAction = "";
     if (didReorderRef.current && finalIdx !== null) {
       setDroppedIndex(finalIdx);
@@ -1406,9 +4121,9 @@ export default function App() {
 
   /* Timer + TTS */
 
-  /* speak and beep read from refs so they're safe to call inside the interval */
-  function speak(text) {
-    const cfg = configRef.current;
+  /* speak and beep read from refs so they're safe to call inside the interval.
+     A background run passes its own list's config instead. */
+  function speak(text, cfg = configRef.current) {
     if (!cfg?.ttsEnabled || !text) return;
     const utter = new SpeechSynthesisUtterance(text);
     const v = voicesRef.current.find((x) => x.name === cfg.selectedVoiceName);
@@ -1416,8 +4131,7 @@ export default function App() {
     window.speechSynthesis.speak(utter);
   }
 
-  function beep() {
-    const cfg = configRef.current;
+  function beep(cfg = configRef.current) {
     if (!cfg?.beepEnabled) return;
     const ctx = audioCtxRef.current;
     if (!ctx || ctx.state === "closed") return;
@@ -1432,7 +4146,7 @@ export default function App() {
           const gain = ctx.createGain();
           osc.connect(gain);
           gain.connect(ctx.destination);
-          osc.type = "sine";
+          osc.type = cfg.beepSound || "sine";
           osc.frequency.value = toneHz;
           gain.gain.setValueAtTime(volume, t0);
           gain.gain.exponentialRampToValueAtTime(0.001, t0 + 0.3);
@@ -1448,8 +4162,7 @@ export default function App() {
     }
   }
 
-  function beepChord() {
-    const cfg = configRef.current;
+  function beepChord(cfg = configRef.current) {
     if (!cfg?.beepEnabled || !cfg?.whimsyCompletionChord) return;
     const ctx = audioCtxRef.current;
     if (!ctx || ctx.state === "closed") return;
@@ -1463,7 +4176,7 @@ export default function App() {
           const osc = ctx.createOscillator();
           const gain = ctx.createGain();
           osc.connect(gain); gain.connect(ctx.destination);
-          osc.type = "sine";
+          osc.type = cfg.beepSound || "sine";
           osc.frequency.value = hz;
           gain.gain.setValueAtTime(volume, t0);
           gain.gain.exponentialRampToValueAtTime(0.001, t0 + 0.7);
@@ -1475,6 +4188,65 @@ export default function App() {
     else doPlay();
   }
 
+  /* System notifications — opt-in per list, read from configRef like beep()
+     and speak(). Shown through the service worker when there is one: Android
+     only allows those, and only they can carry Pause / Skip actions. */
+  function notify(kind, title, options = {}, cfg = configRef.current) {
+    if (!cfg?.notifyEnabled || cfg[NOTIFY_KINDS[kind]] === false) return;
+    if (!("Notification" in window) || Notification.permission !== "granted") return;
+    if (cfg.notifyOnlyHidden !== false && document.visibilityState === "visible") return;
+    // One notification per run, replaced as the run moves on
+    const opts = { tag: "timetally-run", renotify: true, icon: "/img/playstore.png", ...options };
+    const sw = navigator.serviceWorker;
+    if (sw?.controller) {
+      sw.ready.then((reg) => reg.showNotification(title, opts)).catch(() => {});
+      return;
+    }
+    try {
+      const { actions: _actions, ...plain } = opts;
+      const n = new Notification(title, plain);
+      n.onclick = () => { window.focus(); n.close(); };
+    } catch { /* mobile browsers only allow service-worker notifications */ }
+  }
+
+  function notifyTaskStart(task) {
+    if (task.checkpoint) {
+      notify("start", `Waiting for you: ${taskTitleForTTS(task)}`, {
+        body: `Tap Done when it's done · ${stateRef.current.currentList}`,
+        actions: [{ action: "done", title: "Done" }, { action: "pause", title: "Pause" }],
+      });
+      return;
+    }
+    notify("start", `Starting ${taskTitleForTTS(task)}`, {
+      body: `${formatHMS(task.remaining)} · ${stateRef.current.currentList}`,
+      actions: [{ action: "pause", title: "Pause" }, { action: "skip", title: "Skip" }],
+    });
+  }
+
+  function notifyListComplete() {
+    notify("list", "List complete", { body: `${stateRef.current.currentList} — every task is done.` });
+  }
+
+  /* Turning notifications on asks for permission first; the toggle only
+     sticks once the browser grants it. */
+  function setNotificationsEnabled(on) {
+    const enable = () => patch((n) => { n.listConfigs[n.currentList].notifyEnabled = true; });
+    if (!on) {
+      patch((n) => { n.listConfigs[n.currentList].notifyEnabled = false; });
+      return;
+    }
+    if (!("Notification" in window)) return;
+    if (Notification.permission === "granted") {
+      enable();
+      return;
+    }
+    if (Notification.permission === "denied") return;
+    Notification.requestPermission().then((result) => {
+      setNotifyPermission(result);
+      if (result === "granted") enable();
+    }).catch(() => {});
+  }
+
   /* Kept for call-sites outside the interval that pass state directly */
   function nextEnabledIndex(start) {
     return nextEnabledIndexFrom(stateRef.current.lists[stateRef.current.currentList] || [], start);
@@ -1482,7 +4254,8 @@ export default function App() {
 
   function taskTitleForTTS(task) {
     if (isYouTubeUrl(task.name)) return "YouTube video";
-    return task.name;
+    const amount = task.exercise && formatSetAmount(task.exercise, " at ");
+    return amount ? `${task.name}, ${amount}` : task.name;
   }
 
   function pauseAllYouTube() {
@@ -1534,17 +4307,56 @@ export default function App() {
     }
   }
 
-  function announceStart(task) {
+  /* `cue` is an optional round lead-in from roundCue(), e.g. "Round 3 of 8" */
+  function announceStart(task, cue = "") {
     const cfg = configRef.current;
     const dur = ttsDuration(task.remaining);
     const title = taskTitleForTTS(task);
-    if (cfg?.ttsMode === "taskNamePlusDurationStart") speak(`Starting ${title} for ${dur}`);
-    else if (cfg?.ttsMode === "taskNameStart") speak(`Starting ${title}`);
-    else if (cfg?.ttsMode === "durationStart") speak(`Starting ${dur}`);
+    const lead = cue ? `${cue}. ` : "";
+    if (task.checkpoint) speak(`${lead}${title}. Waiting for you`);
+    else if (cfg?.ttsMode === "taskNamePlusDurationStart") speak(`${lead}Starting ${title} for ${dur}`);
+    else if (cfg?.ttsMode === "taskNameStart") speak(`${lead}Starting ${title}`);
+    else if (cfg?.ttsMode === "durationStart") speak(`${lead}Starting ${dur}`);
+    else if (cue) speak(cue);
+    notifyTaskStart(task);
+  }
+
+  /* A task that starts after a lead-in: "Get ready" now, then the 3-2-1
+     and its own start cues from _cueLeadIn() as the lead-in runs out. */
+  function announceLeadIn(task, cue, idx, until) {
+    leadInRef.current = { until, task, cue, idx, said: Infinity };
+    pauseAllYouTube();
+    speak(`Get ready. ${cue ? `${cue}. ` : ""}${taskTitleForTTS(task)}`);
+  }
+
+  /* Called every tick with the run: counts the last three seconds of a
+     lead-in aloud and starts the task's cues when it ends. A lead-in cut
+     short — paused, skipped, restarted — is dropped. */
+  function _cueLeadIn(run, now) {
+    const lead = leadInRef.current;
+    if (!lead) return;
+    if (run?.readyUntil !== lead.until || run.pausedAt) { leadInRef.current = null; return; }
+    const left = Math.ceil((lead.until - now) / 1000);
+    if (left > 0) {
+      if (left <= 3 && left < lead.said) { lead.said = left; speak(String(left)); }
+      return;
+    }
+    leadInRef.current = null;
+    beep();
+    announceStart(lead.task, lead.cue);
+    playYouTubeIfAny(lead.idx);
+  }
+
+  /* The current task ran out but keeps counting (overtime). */
+  function announceOvertime(task) {
+    beep();
+    speak(`Time's up for ${taskTitleForTTS(task)}`);
+    notify("complete", `Time's up: ${taskTitleForTTS(task)}`, { body: `Counting overtime · ${stateRef.current.currentList}` });
   }
 
-  function announceComplete() {
+  function announceComplete(task) {
     const cfg = configRef.current;
+    if (task) notify("complete", "Task complete", { body: `${taskTitleForTTS(task)} · ${stateRef.current.currentList}` });
     if (cfg?.ttsMode === "customCompletion") speak(cfg.ttsCustomMessage || "Task completed");
     else if (cfg?.ttsMode === "randomAffirmation") speak(affirmations[Math.floor(Math.random() * affirmations.length)]);
     if (cfg?.whimsyAffirmationToast !== false) {
@@ -1555,168 +4367,155 @@ export default function App() {
     }
   }
 
-  /* Core interval — extracted so both startTimer and completeEarly can reuse it */
+  /* Timer controls in a tab that doesn't own the timer go to the one that
+     does; its STATE_UPDATE then brings the result back here. */
+  function sendTimerCommand(action) {
+    try { bcRef.current?.postMessage({ type: "COMMAND", action }); } catch { /* ignore */ }
+  }
+
+  function runTimerCommand(action) {
+    if (action === "start") startTimer();
+    else if (action === "pause") pauseTimer();
+    else if (action === "toggle") (timerRef.current ? pauseTimer : startTimer)();
+    else if (action === "skip") skipTask();
+    else if (action === "complete") completeEarly();
+    else if (action === "restart") restartTimer();
+    else if (action === "playlistNext") nextInPlaylist();
+    else if (action === "playlistStop") stopPlaylist();
+    else if (action.startsWith("playlist:")) playPlaylist(action.slice("playlist:".length));
+    else if (action.startsWith("list:")) setCurrentList(action.slice("list:".length));
+    else if (action.startsWith("bgToggle:")) toggleBackgroundRun(action.slice("bgToggle:".length));
+    else if (action.startsWith("bgSkip:")) skipBackgroundRun(action.slice("bgSkip:".length));
+    else if (action.startsWith("bgStop:")) stopBackgroundRun(action.slice("bgStop:".length));
+    else if (action.startsWith("result:")) {
+      const { key, result } = JSON.parse(action.slice("result:".length));
+      logSetResult(key, result);
+    }
+  }
+
+  /* Core interval — extracted so both startTimer and completeEarly can reuse it.
+     Each tick derives the position from the persisted run anchor (wall clock),
+     so throttled or frozen intervals catch up exactly instead of drifting. */
   function _startInterval() {
-    lastTick.current = performance.now();
     setIsRunning(true);
+    timerRef.current = setInterval(_tick, 200);
+  }
 
-    timerRef.current = setInterval(() => {
-      const now = performance.now();
-      const dt = Math.min((now - (lastTick.current || now)) / 1000, 30);
-      lastTick.current = now;
-
-      // Compute side-effects from stateRef BEFORE patch() — React 18 batches setState
-      // updaters asynchronously, so anything pushed inside patch() isn't available yet.
-      const sideEffects = [];
-      let timerEnded = false;
-      {
-        const s = stateRef.current;
-        const arr = s.lists[s.currentList];
-        if (!arr) {
-          timerEnded = true;
-        } else {
-          let idx = s.currentTaskIndex;
-          let timeLeft = dt;
-          while (timeLeft > 0) {
-            const t = arr[idx];
-            if (!t) { timerEnded = true; break; }
-            if (t.remaining <= timeLeft) {
-              timeLeft -= t.remaining;
-              sideEffects.push({ type: "complete" });
-              const nxt = nextEnabledIndexFrom(arr, idx + 1);
-              if (nxt === -1) { timerEnded = true; break; }
-              if (!configRef.current?.autoAdvance) {
-                sideEffects.push({ type: "advance", idx: nxt });
-                timerEnded = true;
-                break;
-              }
-              idx = nxt;
-              sideEffects.push({ type: "start", task: arr[nxt], idx: nxt });
-            } else {
-              timeLeft = 0;
-            }
-          }
-        }
-      }
+  function _stopInterval() {
+    clearInterval(timerRef.current);
+    timerRef.current = null; // null BEFORE pausing video so onPause guard sees timer is stopped
+    pipDesiredPlayingRef.current = false;
+    pauseAllYouTube();
+    stopYouTubeHeartbeat();
+    setIsRunning(false);
+    releaseWakeLock();
+    deactivateMediaSession();
+  }
 
-      // Accrue elapsed time into ref (committed to state only on session end)
-      sessionAccrualRef.current += dt;
+  function _tick() {
+    const s = stateRef.current;
+    const run = s.run;
+    const arr = run && s.lists[run.list];
+    if (!run || !arr || run.pausedAt || run.list !== s.currentList) {
+      _stopInterval();
+      return;
+    }
+    const now = Date.now();
 
-      // Apply state mutations
+    // The user moved the current task (row click, reorder, delete) since the
+    // last anchor — re-anchor on the new task rather than replaying old time.
+    const cur = arr[s.currentTaskIndex];
+    if (run.taskIndex !== s.currentTaskIndex || run.taskId !== cur?.id) {
       patch((n) => {
-        const arr = n.lists[n.currentList];
-        if (!arr) return;
-        let idx = n.currentTaskIndex;
-        let timeLeft = dt;
-        while (timeLeft > 0) {
-          const t = arr[idx];
-          if (!t) break;
-          if (t.remaining <= timeLeft) {
-            timeLeft -= t.remaining;
-            t.remaining = 0;
-            if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats();
-            n.listStats[n.currentList].tasksCompleted += 1;
-            const nxt = nextEnabledIndexFrom(arr, idx + 1);
-            if (nxt === -1) break;
-            if (!configRef.current?.autoAdvance) { n.currentTaskIndex = nxt; break; }
-            idx = nxt;
-            n.currentTaskIndex = nxt;
-          } else {
-            t.remaining -= timeLeft;
-            timeLeft = 0;
-          }
-        }
+        if (n.run) n.run = anchorRun(n.run, n.currentTaskIndex, n.lists[n.run.list]?.[n.currentTaskIndex], now);
+        fitSchedule(n, now);
       });
+      return;
+    }
 
-      // Fire side-effects synchronously — sideEffects was populated before patch()
-      for (const fx of sideEffects) {
-        if (fx.type === "complete") {
-          announceComplete();
-          if (configRef.current?.whimsyCompletionFlash !== false) {
-            setCompletionFlash(true);
-            setTimeout(() => setCompletionFlash(false), 450);
-          }
-        } else if (fx.type === "start") {
-          beep();
-          pauseAllYouTube();
-          playYouTubeIfAny(fx.idx);
-          announceStart(fx.task);
-          // Update lock-screen / notification title for the new task
-          if ("mediaSession" in navigator) {
-            try {
-              const cl = stateRef.current.currentList;
-              navigator.mediaSession.metadata = new MediaMetadata({
-                title: fx.task?.name && !fx.task.name.match(/^https?:\/\//) ? fx.task.name : "Timer running",
-                artist: cl === "default" ? "TimeTally" : cl,
-                album: "TimeTally",
-              });
-            } catch { /* ignore */ }
-          }
-        } else if (fx.type === "advance") {
-          pauseAllYouTube();
-        }
+    const cfg = configRef.current;
+    const res = advanceRun(run, arr, now, cfg);
+    const stopped = res.ended || res.halted;
+
+    patch((n) => {
+      const l = run.list;
+      n.lists[l] = applyAdvance(n.lists[l] || arr, res);
+      n.currentTaskIndex = res.idx;
+      if (res.completed.length || stopped) {
+        const ls = { ...defaultListStats(), ...(n.listStats[l] || {}) };
+        ls.tasksCompleted += res.completed.length;
+        if (stopped) ls.timeWorked += pauseRun(res.run, res.stoppedAt).worked - run.worked;
+        if (res.ended) recordSessionEnd(ls, pauseRun(res.run, res.stoppedAt).worked);
+        n.listStats[l] = ls;
       }
+      if (res.ended) n.sessions = [...n.sessions, sessionRecord(res.run, res.stoppedAt, true)];
+      n.run = res.ended ? null : res.run;
+    });
 
-      if (timerEnded) {
-        clearInterval(timerRef.current);
-        timerRef.current = null;
-        pipDesiredPlayingRef.current = false;
+    // Fire side-effects — computed from the pure advance result above
+    for (const idx of res.completed) {
+      announceComplete(arr[idx]);
+      if (configRef.current?.whimsyCompletionFlash !== false) {
+        setCompletionFlash(true);
+        setTimeout(() => setCompletionFlash(false), 450);
+      }
+    }
+    for (const step of res.started) {
+      const idx = step.idx;
+      const task = { ...arr[idx], remaining: step.remaining };
+      if (step === res.started[res.started.length - 1] && readyLeft(res.run, now)) {
+        announceLeadIn(task, roundCue(arr, cfg, step), idx, res.run.readyUntil);
+      } else {
+        beep();
         pauseAllYouTube();
-        stopYouTubeHeartbeat();
-        setIsRunning(false);
-        releaseWakeLock();
-        deactivateMediaSession();
-        // Show celebration only when the list completed naturally (at least one task
-        // completed and no "advance" side-effect, which would mean autoAdvance=false
-        // paused mid-list rather than the whole list finishing).
-        const listDoneNaturally =
-          sideEffects.some((fx) => fx.type === "complete") &&
-          !sideEffects.some((fx) => fx.type === "advance");
-        // Commit accrued time to stats on session end
-        const accrued = sessionAccrualRef.current;
-        sessionAccrualRef.current = 0;
-        patch((n) => {
-          if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats();
-          n.listStats[n.currentList].timeWorked += accrued;
-          if (listDoneNaturally) {
-            n.listStats[n.currentList].sessionsCompleted += 1;
-            const now = new Date().toISOString();
-            n.listStats[n.currentList].lastSession = now;
-            if (!n.listStats[n.currentList].firstSession) n.listStats[n.currentList].firstSession = now;
-            n.listStats[n.currentList].longestSession = Math.max(
-              n.listStats[n.currentList].longestSession || 0, accrued
-            );
-            const today = new Date().toISOString().slice(0, 10);
-            const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-            const prev = n.listStats[n.currentList].lastSessionDate;
-            if (prev !== today) {
-              n.listStats[n.currentList].currentStreak =
-                prev === yesterday ? (n.listStats[n.currentList].currentStreak || 0) + 1 : 1;
-              n.listStats[n.currentList].bestStreak = Math.max(
-                n.listStats[n.currentList].bestStreak || 0,
-                n.listStats[n.currentList].currentStreak
-              );
-              n.listStats[n.currentList].lastSessionDate = today;
-            }
-          }
-        });
-        if (listDoneNaturally) {
-          beepChord();
-          if (configRef.current?.whimsyListComplete !== false) {
-            setListComplete(true);
-            clearTimeout(listCompleteTimerRef.current);
-            listCompleteTimerRef.current = setTimeout(() => setListComplete(false), 4000);
-          }
+        playYouTubeIfAny(idx);
+        announceStart(task, roundCue(arr, cfg, step));
+      }
+      // Update lock-screen / notification title for the new task
+      if ("mediaSession" in navigator) {
+        try {
+          const cl = stateRef.current.currentList;
+          navigator.mediaSession.metadata = new MediaMetadata({
+            title: task?.name && !task.name.match(/^https?:\/\//) ? task.name : "Timer running",
+            artist: cl === "default" ? "TimeTally" : cl,
+            album: "TimeTally",
+          });
+        } catch { /* ignore */ }
+      }
+    }
+    _cueLeadIn(res.ended ? null : res.run, now);
+
+    // Past zero: one cue when the task runs out, then a reminder every N minutes
+    if (res.overtime) {
+      const task = arr[res.idx];
+      const every = (cfg?.overtimeReminder || 0) * 60;
+      const due = every > 0 ? Math.floor(-res.remaining / every) : 0;
+      const cue = overtimeCueRef.current;
+      if (!run.overtime && !task.checkpoint) announceOvertime(task);
+      else if (cue?.id === task.id && due > cue.count) beep();
+      overtimeCueRef.current = { id: task.id, count: due };
+    }
+
+    if (stopped) {
+      _stopInterval();
+      // Celebrate only when the list completed naturally — a halt means
+      // autoAdvance=false paused mid-list. In a playlist, the next list
+      // starts instead until the last one is done.
+      if (res.ended && !advancePlaylist(run.list, pauseRun(res.run, res.stoppedAt).worked)) {
+        beepChord();
+        notifyListComplete();
+        if (configRef.current?.whimsyListComplete !== false) {
+          setListComplete(true);
+          clearTimeout(listCompleteTimerRef.current);
+          listCompleteTimerRef.current = setTimeout(() => setListComplete(false), 4000);
         }
       }
-    }, 200);
+    }
   }
 
-  function startTimer() {
-    if (timerRef.current) return;
-    setStartPulse(true);
-    setTimeout(() => setStartPulse(false), 400);
-    // Create AudioContext during the user gesture so it starts in "running" state immediately
+  /* Create the AudioContext during a user gesture so it starts in "running"
+     state immediately. */
+  function primeAudio() {
     try {
       if (!audioCtxRef.current || audioCtxRef.current.state === "closed") {
         audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
@@ -1724,15 +4523,55 @@ export default function App() {
         audioCtxRef.current.resume().catch(() => {});
       }
     } catch { /* Web Audio not supported */ }
+  }
+
+  function startTimer() {
+    if (!timerOwnerRef.current) { sendTimerCommand("start"); return; }
+    if (timerRef.current) return;
+    setStartPulse(true);
+    setTimeout(() => setStartPulse(false), 400);
+    primeAudio();
     const s = stateRef.current;
     const arr = s.lists[s.currentList] || [];
     const startIndex = nextEnabledIndexFrom(arr, s.currentTaskIndex);
     if (startIndex === -1) return;
-    patch((n) => { n.currentTaskIndex = startIndex; });
-    beep();
-    announceStart(arr[startIndex]);
-    pauseAllYouTube();
-    playYouTubeIfAny(startIndex);
+    const now = Date.now();
+    const resuming = s.run?.list === s.currentList;
+    // Resuming keeps the run's rounds unless the start lands in another block
+    const startPos = {
+      idx: startIndex,
+      round: resuming ? s.run.round ?? 1 : 1,
+      groupRound: resuming && arr[startIndex].groupId && arr[startIndex].groupId === s.run.groupId ? s.run.groupRound ?? 1 : 1,
+    };
+    // Time spent paused (or idle) is made up before the next pinned task
+    const fitted = withPins(arr, s.listConfigs[s.currentList], startPos, now);
+    // A session opens with the lead-in; resuming gets it again with
+    // leadInEachTask, or when the pause came in the middle of one
+    const cfg = s.listConfigs[s.currentList];
+    const lead = !resuming || cfg?.leadInEachTask || s.run.readyUntil > (s.run.pausedAt ?? now) ? leadInSeconds(cfg) : 0;
+    patch((n) => {
+      n.currentTaskIndex = startIndex;
+      n.lists[n.currentList] = fitted;
+      const task = n.lists[n.currentList][startIndex];
+      // Resume this list's paused run; anything else starts a fresh session
+      // (a paused run left behind on another list is logged as abandoned).
+      if (n.run && n.run.list === n.currentList) {
+        n.run = resumeRun(n.run, startIndex, task, now);
+      } else {
+        if (n.run) n.sessions = withAbandoned(n.sessions, n.run, now);
+        n.run = newRun(n.currentList, startIndex, task, now);
+      }
+      if (lead) n.run = withLeadIn(n.run, cfg, now);
+      n.runRecovery = null;
+    });
+    if (lead) {
+      announceLeadIn(fitted[startIndex], roundCue(arr, cfg, startPos), startIndex, now + lead * 1000);
+    } else {
+      beep();
+      announceStart(fitted[startIndex], roundCue(arr, cfg, startPos));
+      pauseAllYouTube();
+      playYouTubeIfAny(startIndex);
+    }
     _startInterval();
     requestWakeLock();
     startYouTubeHeartbeat();
@@ -1745,6 +4584,7 @@ export default function App() {
   }
 
   function pauseTimer() {
+    if (!timerOwnerRef.current) { sendTimerCommand("pause"); return; }
     if (!timerRef.current) return;
     clearInterval(timerRef.current);
     timerRef.current = null; // null BEFORE pausing video so onPause guard sees timer is stopped
@@ -1759,16 +4599,9 @@ export default function App() {
     if (videoRef.current && document.pictureInPictureElement === videoRef.current) {
       videoRef.current.pause();
     }
-    // Commit accrued time on pause
-    if (sessionAccrualRef.current > 0) {
-      const accrued = sessionAccrualRef.current;
-      sessionAccrualRef.current = 0;
-      const cl = stateRef.current.currentList;
-      setState((s) => {
-        const prev = s.listStats?.[cl] || defaultListStats();
-        return { ...s, listStats: { ...s.listStats, [cl]: { ...prev, timeWorked: prev.timeWorked + accrued } } };
-      });
-    }
+    // Freeze the run at this exact moment and commit the running stretch
+    const now = Date.now();
+    setState((s) => (s.run && !s.run.pausedAt ? { ...s, ...pauseRunIn(s, s.run, now) } : s));
   }
 
   /* ---- Video PiP — canvas-based floating mini-player (Android / iOS) ----
@@ -1791,6 +4624,9 @@ export default function App() {
     const barRunning  = dark ? "#76c7c0" : "#4caf50";      // .progress-bar
     const barPaused   = dark ? "#555"    : "#bbb";
     const timerColor  = dark ? "#90caf9" : "#2196f3";      // .timer-remaining
+    const overColor   = dark ? "#ef9a9a" : "#e53935";      // .timer-remaining--over
+    const readyColor  = dark ? "#ce93d8" : "#8e24aa";      // .timer-remaining--ready
+    const waitColor   = dark ? "#ffca28" : "#ff8f00";      // .timer-remaining--waiting
     const labelColor  = dark ? "#eee"    : "#333";         // .timer-task-name
     const subtleColor = dark ? "#999"    : "#777";
     const ytColor     = dark ? "#ff5252" : "#c62828";
@@ -1851,18 +4687,21 @@ export default function App() {
       ctx.fillStyle = "#fff";
       ctx.fillText(badge, TEXT_X + 7, TASK_Y + 4);
     } else {
-      ctx.fillStyle = labelColor;
-      let label = rawName || "Ready";
+      ctx.fillStyle = readySeconds > 0 ? readyColor : labelColor;
+      const full = readySeconds > 0 ? `Get ready · ${rawName}` : rawName || "Ready";
+      let label = full;
       const maxW = cardW - 28;
       while (label.length > 1 && ctx.measureText(label + "…").width > maxW) label = label.slice(0, -1);
-      ctx.fillText(label === (rawName || "Ready") ? label : label + "…", TEXT_X, TASK_Y + 2);
+      ctx.fillText(label === full ? label : label + "…", TEXT_X, TASK_Y + 2);
     }
 
     // Timer readout — 'Courier New' monospace; size scales with card height
-    const timerStr = formatHMS(timerDisplayTime);
-    const TIMER_FONT_PX = Math.min(52, Math.round(cardH * 0.42));
+    // A checkpoint counts up as "Waiting m:ss", like the footer, not as overtime
+    const waiting = readySeconds <= 0 && !!currentTask?.checkpoint;
+    const timerStr = readySeconds > 0 ? formatHMS(readySeconds) : waiting ? `Waiting ${formatHMS(overtimeSeconds)}` : overtimeSeconds > 0 ? `+${formatHMS(overtimeSeconds)}` : formatHMS(timerDisplayTime);
+    const TIMER_FONT_PX = Math.min(waiting ? 32 : 52, Math.round(cardH * 0.42));
     ctx.font = `bold ${TIMER_FONT_PX}px 'Courier New', Courier, monospace`;
-    ctx.fillStyle = isRunning ? timerColor : subtleColor;
+    ctx.fillStyle = readySeconds > 0 ? readyColor : waiting ? waitColor : overtimeSeconds > 0 ? overColor : isRunning ? timerColor : subtleColor;
     ctx.textBaseline = "middle";
     // Right-align vertically, with a little optical offset downwards
     const TIMER_Y = cardY + cardH * 0.62;
@@ -1927,7 +4766,7 @@ export default function App() {
         try {
           navigator.mediaSession.setActionHandler("play",      () => startTimer());
           navigator.mediaSession.setActionHandler("pause",     () => pauseTimer());
-          navigator.mediaSession.setActionHandler("nexttrack", () => skipTask());
+          navigator.mediaSession.setActionHandler("nexttrack", () => nextOrDone());
         } catch { /* ignore */ }
       }
 
@@ -2013,7 +4852,7 @@ export default function App() {
       navigator.mediaSession.playbackState = "playing";
       navigator.mediaSession.setActionHandler("play", () => startTimer());
       navigator.mediaSession.setActionHandler("pause", () => pauseTimer());
-      navigator.mediaSession.setActionHandler("nexttrack", () => skipTask());
+      navigator.mediaSession.setActionHandler("nexttrack", () => nextOrDone());
     } catch { /* MediaSession not available in this context */ }
   }
 
@@ -2065,75 +4904,148 @@ export default function App() {
     }
   }
 
+  /* Where Skip / Complete go next. A session steps through its rounds; with
+     no session yet the list is a single pass, so the selection just moves
+     down the rows instead of looping inside a block. */
+  function nextStepFor(s) {
+    const arr = s.lists[s.currentList] || [];
+    const run = s.run?.list === s.currentList ? s.run : null;
+    const pos = run
+      ? { idx: s.currentTaskIndex, round: run.round ?? 1, groupRound: run.groupRound ?? 1 }
+      : { idx: s.currentTaskIndex, round: Infinity, groupRound: Infinity };
+    return nextPosition(arr, s.listConfigs[s.currentList], pos);
+  }
+
   function skipTask() {
+    if (!timerOwnerRef.current) { sendTimerCommand("skip"); return; }
     const s = stateRef.current;
-    const arr = s.lists[s.currentList] || [];
-    const nxt = nextEnabledIndexFrom(arr, s.currentTaskIndex + 1);
-    if (nxt === -1) { completeEarly(); return; }
+    const step = nextStepFor(s);
+    if (!step) { completeEarly(); return; }
+    const nxt = step.idx;
     setSkipAnim({ from: s.currentTaskIndex, to: nxt });
     setTimeout(() => setSkipAnim(null), 280);
     const wasRunning = !!timerRef.current;
     pauseAllYouTube();
     beep();
+    const now = Date.now();
+    const over = s.run?.list === s.currentList ? overrun(s.run, (s.lists[s.currentList] || [])[s.currentTaskIndex], now) : 0;
+    const cfg = s.listConfigs[s.currentList];
+    const lead = wasRunning && cfg?.leadInEachTask && s.run?.list === s.currentList ? leadInSeconds(cfg) : 0;
+    patch((n) => {
+      n.lists[n.currentList] = applyWrap(n.lists[n.currentList], step.wrap);
+      n.currentTaskIndex = nxt;
+      if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats();
+      n.listStats[n.currentList].tasksSkipped += 1;
+      n.listStats[n.currentList].overtime = (n.listStats[n.currentList].overtime || 0) + over;
+      if (n.run?.list === n.currentList) n.run = stepRun(n.run, step, n.lists[n.currentList][nxt], now, "skipped");
+      if (lead) n.run = withLeadIn(n.run, cfg, now);
+      fitSchedule(n, now, step);
+    });
     if (wasRunning) {
-      lastTick.current = performance.now();
-      patch((n) => { n.currentTaskIndex = nxt; if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats(); n.listStats[n.currentList].tasksSkipped += 1; });
-      playYouTubeIfAny(nxt);
-    } else {
-      patch((n) => { n.currentTaskIndex = nxt; if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats(); n.listStats[n.currentList].tasksSkipped += 1; });
+      const task = withPins(applyWrap(s.lists[s.currentList] || [], step.wrap), cfg, step, now)[nxt];
+      if (lead && task) announceLeadIn(task, roundCue(s.lists[s.currentList] || [], cfg, step), nxt, now + lead * 1000);
+      else {
+        playYouTubeIfAny(nxt);
+        if (task) notifyTaskStart(task);
+      }
+    }
+  }
+
+  /* "Next" from headphones or the lock screen: skips the task, or on a
+     checkpoint is the Done it is waiting for. */
+  function nextOrDone() {
+    const s = stateRef.current;
+    if (s.lists[s.currentList]?.[s.currentTaskIndex]?.checkpoint) completeEarly();
+    else skipTask();
+  }
+
+  /* Store what was done in a finished set on its log entry, wherever the
+     run now is. Runs belong to the tab that runs the timer, so other tabs
+     hand the result over. */
+  function logSetResult(key, result) {
+    setSetPrompt(null);
+    if (!timerOwnerRef.current) {
+      sendTimerCommand(`result:${JSON.stringify({ key, result })}`);
+      return;
     }
+    patch((n) => {
+      const match = (r) => r?.list === key.list && r.startedAt === key.startedAt;
+      if (match(n.run)) n.run = { ...n.run, log: withSetResult(n.run.log, key, result) };
+      else if (match(n.backgroundRuns[key.list])) {
+        const run = n.backgroundRuns[key.list];
+        n.backgroundRuns = { ...n.backgroundRuns, [key.list]: { ...run, log: withSetResult(run.log, key, result) } };
+      } else n.sessions = n.sessions.map((r) => (match(r) ? { ...r, tasks: withSetResult(r.tasks, key, result) } : r));
+    });
   }
 
   function completeEarly() {
+    if (!timerOwnerRef.current) { sendTimerCommand("complete"); return; }
     const wasRunning = !!timerRef.current;
-    pauseTimer();
     // Read synchronously via stateRef to avoid async setState race
     const s = stateRef.current;
     const arr = s.lists[s.currentList] || [];
-    const nxt = nextEnabledIndexFrom(arr, s.currentTaskIndex + 1);
-    patch((n) => {
-      const t = n.lists[n.currentList][n.currentTaskIndex];
-      if (t) t.remaining = 0;
-      if (nxt !== -1) n.currentTaskIndex = nxt;
-    });
-    if (nxt !== -1) {
+    const step = nextStepFor(s);
+    // Completing a task in overtime, or a checkpoint, finishes it on its own
+    // terms, not early
+    const over = s.run?.list === s.currentList ? overrun(s.run, arr[s.currentTaskIndex], Date.now()) : 0;
+    const onTime = over > 0 || !!arr[s.currentTaskIndex]?.checkpoint;
+    const outcome = onTime ? "completed" : "early";
+    const cfg = s.listConfigs[s.currentList];
+    if (step) {
+      const nxt = step.idx;
+      const now = Date.now();
+      const lead = wasRunning && cfg?.leadInEachTask && s.run?.list === s.currentList ? leadInSeconds(cfg) : 0;
+      patch((n) => {
+        const list = n.lists[n.currentList];
+        const t = list[n.currentTaskIndex];
+        if (t) list[n.currentTaskIndex] = { ...t, remaining: 0 };
+        n.lists[n.currentList] = applyWrap(list, step.wrap);
+        n.currentTaskIndex = nxt;
+        // The interval keeps running; just move the anchor to the next task.
+        if (n.run?.list === n.currentList) n.run = stepRun(n.run, step, n.lists[n.currentList][nxt], now, outcome);
+        if (lead) n.run = withLeadIn(n.run, cfg, now);
+        fitSchedule(n, now, step);
+        if (onTime) {
+          const ls = { ...defaultListStats(), ...(n.listStats[n.currentList] || {}) };
+          ls.tasksCompleted += 1;
+          ls.overtime += over;
+          n.listStats[n.currentList] = ls;
+        }
+      });
       beep();
       if (wasRunning) {
-        announceStart(arr[nxt]);
-        pauseAllYouTube();
-        playYouTubeIfAny(nxt);
-        _startInterval();
+        const task = withPins(applyWrap(arr, step.wrap), cfg, step, now)[nxt];
+        if (lead) announceLeadIn(task, roundCue(arr, cfg, step), nxt, now + lead * 1000);
+        else {
+          announceStart(task, roundCue(arr, cfg, step));
+          pauseAllYouTube();
+          playYouTubeIfAny(nxt);
+        }
       }
     } else {
-      // Last task completed manually — commit stats + show celebration
-      const accrued = sessionAccrualRef.current;
-      sessionAccrualRef.current = 0;
+      // Last task completed manually — commit stats + show celebration.
+      // pauseTimer() folds the running stretch into run.worked first.
+      const worked = s.run?.list === s.currentList ? pauseRun(s.run, Date.now()).worked : 0;
+      pauseTimer();
       patch((n) => {
-        if (!n.listStats[n.currentList]) n.listStats[n.currentList] = defaultListStats();
-        n.listStats[n.currentList].tasksCompleted += 1;
-        n.listStats[n.currentList].timeWorked += accrued;
-        n.listStats[n.currentList].sessionsCompleted += 1;
-        const now2 = new Date().toISOString();
-        n.listStats[n.currentList].lastSession = now2;
-        if (!n.listStats[n.currentList].firstSession) n.listStats[n.currentList].firstSession = now2;
-        n.listStats[n.currentList].longestSession = Math.max(
-          n.listStats[n.currentList].longestSession || 0, accrued
-        );
-        const today = new Date().toISOString().slice(0, 10);
-        const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-        const prev = n.listStats[n.currentList].lastSessionDate;
-        if (prev !== today) {
-          n.listStats[n.currentList].currentStreak =
-            prev === yesterday ? (n.listStats[n.currentList].currentStreak || 0) + 1 : 1;
-          n.listStats[n.currentList].bestStreak = Math.max(
-            n.listStats[n.currentList].bestStreak || 0,
-            n.listStats[n.currentList].currentStreak
-          );
-          n.listStats[n.currentList].lastSessionDate = today;
+        const t = n.lists[n.currentList][n.currentTaskIndex];
+        if (t) n.lists[n.currentList][n.currentTaskIndex] = { ...t, remaining: 0 };
+        const ls = { ...defaultListStats(), ...(n.listStats[n.currentList] || {}) };
+        ls.tasksCompleted += 1;
+        ls.overtime += over;
+        const run = n.run && n.run.list === n.currentList ? n.run : null;
+        recordSessionEnd(ls, run ? run.worked : 0);
+        n.listStats[n.currentList] = ls;
+        if (run) {
+          const done = { ...run, log: creditLog(run.log, run.taskId, 0, outcome, run.pausedAt) };
+          n.sessions = [...n.sessions, sessionRecord(done, run.pausedAt, true)];
+          n.run = null;
         }
       });
-      announceComplete();
+      announceComplete(arr[s.currentTaskIndex]);
+      if (advancePlaylist(s.currentList, worked)) return;
       beepChord();
+      notifyListComplete();
       if (configRef.current?.whimsyListComplete !== false) {
         setListComplete(true);
         clearTimeout(listCompleteTimerRef.current);
@@ -2143,13 +5055,349 @@ export default function App() {
   }
 
   function restartTimer() {
-    sessionAccrualRef.current = 0;
+    if (!timerOwnerRef.current) { sendTimerCommand("restart"); return; }
     pauseTimer();
     setListComplete(false);
     clearTimeout(listCompleteTimerRef.current);
     patch((n) => {
-      (n.lists[n.currentList] || []).forEach((t) => { t.remaining = t.time; });
+      n.lists[n.currentList] = resetTasks(n.lists[n.currentList] || []);
+      n.currentTaskIndex = 0;
+      if (n.run?.list === n.currentList) {
+        n.sessions = withAbandoned(n.sessions, n.run, Date.now());
+        n.run = null;
+      }
+      n.runRecovery = null;
+    });
+  }
+
+  /* Background runs */
+
+  /* The background counterpart of _tick(): walks every running background
+     run forward. Cues use that list's own sound settings and name it. */
+  function _tickBackground() {
+    const s = stateRef.current;
+    const now = Date.now();
+    const moved = [];
+    for (const run of Object.values(s.backgroundRuns)) {
+      const arr = s.lists[run.list];
+      if (!arr || run.pausedAt) continue;
+      const cfg = s.listConfigs[run.list] || defaultConfig();
+      moved.push({ run, arr, cfg, res: advanceRun(run, arr, now, cfg) });
+    }
+    if (!moved.length) return;
+
+    patch((n) => {
+      const runs = { ...n.backgroundRuns };
+      for (const { run, arr, res } of moved) {
+        const l = run.list;
+        if (runs[l] !== run) continue; // paused, skipped or brought to the front meanwhile
+        n.lists[l] = applyAdvance(n.lists[l] || arr, res);
+        if (res.completed.length || res.ended || res.halted) {
+          const ls = { ...defaultListStats(), ...(n.listStats[l] || {}) };
+          ls.tasksCompleted += res.completed.length;
+          if (res.ended || res.halted) ls.timeWorked += pauseRun(res.run, res.stoppedAt).worked - run.worked;
+          if (res.ended) recordSessionEnd(ls, pauseRun(res.run, res.stoppedAt).worked);
+          n.listStats[l] = ls;
+        }
+        if (res.ended) {
+          n.sessions = [...n.sessions, sessionRecord(res.run, res.stoppedAt, true)];
+          delete runs[l];
+        } else {
+          runs[l] = res.run;
+        }
+      }
+      n.backgroundRuns = runs;
+    });
+
+    for (const { run, arr, cfg, res } of moved) {
+      const l = run.list;
+      const tag = `timetally-run-${l}`;
+      for (const step of res.started) {
+        const task = { ...arr[step.idx], remaining: step.remaining };
+        beep(cfg);
+        speak(task.checkpoint ? `${l}: ${taskTitleForTTS(task)}, waiting for you` : `${l}: starting ${taskTitleForTTS(task)}`, cfg);
+        notify("start", `Starting ${taskTitleForTTS(task)}`, { body: `${formatHMS(task.remaining)} · ${l}`, tag }, cfg);
+      }
+      if (res.halted) beep(cfg);
+      if (res.overtime && !run.overtime && !arr[res.idx]?.checkpoint) {
+        const task = arr[res.idx];
+        beep(cfg);
+        speak(`${l}: time's up for ${taskTitleForTTS(task)}`, cfg);
+        notify("complete", `Time's up: ${taskTitleForTTS(task)}`, { body: `Counting overtime · ${l}`, tag }, cfg);
+      }
+      if (res.ended && !advancePlaylist(l, pauseRun(res.run, res.stoppedAt).worked)) {
+        beepChord(cfg);
+        speak(`${l} is complete`, cfg);
+        notify("list", "List complete", { body: `${l} — every task is done.`, tag }, cfg);
+      }
+    }
+  }
+
+  /* Pause or resume the background run on `list`. */
+  function toggleBackgroundRun(list) {
+    if (!timerOwnerRef.current) { sendTimerCommand(`bgToggle:${list}`); return; }
+    primeAudio();
+    const now = Date.now();
+    setState((s) => {
+      const run = s.backgroundRuns[list];
+      if (!run) return s;
+      if (!run.pausedAt) {
+        const { run: paused, ...rest } = pauseRunIn(s, run, now);
+        return { ...s, ...rest, backgroundRuns: { ...s.backgroundRuns, [list]: paused } };
+      }
+      const arr = s.lists[list] || [];
+      const idx = nextEnabledIndexFrom(arr, run.taskIndex);
+      if (idx === -1) return s;
+      return { ...s, backgroundRuns: { ...s.backgroundRuns, [list]: resumeRun(run, idx, arr[idx], now) } };
+    });
+  }
+
+  /* Skip the background run on `list` to its next task, as skipTask() does
+     for the list in view. The footer offers it only when there is one. */
+  function skipBackgroundRun(list) {
+    if (!timerOwnerRef.current) { sendTimerCommand(`bgSkip:${list}`); return; }
+    const s = stateRef.current;
+    const run = s.backgroundRuns[list];
+    if (!run) return;
+    const arr = s.lists[list] || [];
+    const cfg = s.listConfigs[list] || defaultConfig();
+    const step = nextPosition(arr, cfg, { idx: run.taskIndex, round: run.round ?? 1, groupRound: run.groupRound ?? 1 });
+    if (!step) return;
+    const now = Date.now();
+    const over = overrun(run, arr[run.taskIndex], now);
+    const fitted = withPins(applyWrap(arr, step.wrap), cfg, step, now);
+    patch((n) => {
+      if (n.backgroundRuns[list] !== run) return;
+      n.lists[list] = fitted;
+      const ls = { ...defaultListStats(), ...(n.listStats[list] || {}) };
+      ls.tasksSkipped += 1;
+      ls.overtime = (ls.overtime || 0) + over;
+      n.listStats[list] = ls;
+      n.backgroundRuns = { ...n.backgroundRuns, [list]: stepRun(run, step, fitted[step.idx], now, "skipped") };
+    });
+    beep(cfg);
+  }
+
+  /* End the background run on `list`; it goes into the history as stopped. */
+  function stopBackgroundRun(list) {
+    if (!timerOwnerRef.current) { sendTimerCommand(`bgStop:${list}`); return; }
+    const now = Date.now();
+    setState((s) => {
+      const run = s.backgroundRuns[list];
+      if (!run) return s;
+      const { run: paused, ...rest } = pauseRunIn(s, run, now);
+      const { [list]: _stopped, ...runs } = s.backgroundRuns;
+      return { ...s, ...rest, sessions: withAbandoned(s.sessions, paused, now), backgroundRuns: runs };
+    });
+  }
+
+  /* Scheduled starts */
+
+  /* Occurrence `at` of `name`'s schedule was started, skipped or dismissed. */
+  function markStartHandled(name, at) {
+    patch((n) => {
+      const cfg = n.listConfigs[name];
+      if (!cfg?.autoStart) return;
+      n.listConfigs[name] = { ...cfg, autoStart: { ...cfg.autoStart, handled: Math.max(at, cfg.autoStart.handled || 0) } };
+    });
+  }
+
+  /* Start `name` for its scheduled occurrence `at`. */
+  function startScheduled(name, at) {
+    setSchedulePrompt(null);
+    setScheduleCountdown(null);
+    markStartHandled(name, at);
+    startListFresh(name);
+  }
+
+  /* Start list `name` from the top. A paused run on that list is logged as
+     abandoned; switching lists pauses any other. The timer itself starts
+     once the switch has rendered — see the pendingStartRef effect. */
+  function startListFresh(name) {
+    if (stateRef.current.currentList !== name) setCurrentList(name);
+    else pauseTimer();
+    setListComplete(false);
+    patch((n) => {
+      n.lists[name] = resetTasks(n.lists[name] || []);
       n.currentTaskIndex = 0;
+      if (n.run?.list === name) {
+        n.sessions = withAbandoned(n.sessions, n.run, Date.now());
+        n.run = null;
+      }
+      n.runRecovery = null;
+    });
+    pendingStartRef.current = name;
+  }
+
+  /* Templates */
+
+  function saveListAsTemplate(name) {
+    const s = stateRef.current;
+    if (!s.lists[name]?.length) {
+      showIoStatus("error", "Add some tasks before saving a template.");
+      return;
+    }
+    const taken = new Set(s.templates.map((t) => t.name));
+    const tpl = templateFromList(uniqueListName(name, taken), s.lists[name], s.listConfigs[name]);
+    commit(`Save template “${tpl.name}”`, (n) => { n.templates = [...n.templates, tpl]; });
+    showIoStatus("success", `Saved “${tpl.name}” as a template.`);
+  }
+
+  /* Open a new tab from a bundled or saved template. */
+  function addListFromTemplate(tpl) {
+    const { tasks, config } = listFromTemplate(tpl);
+    addList(uniqueListName(tpl.name.trim() || "Template", new Set(stateRef.current.listOrder)), tasks, config);
+    setShowTemplates(false);
+  }
+
+  function renameTemplate(id, name) {
+    commit("Rename template", (n) => {
+      n.templates = n.templates.map((t) => (t.id === id ? { ...t, name } : t));
+    }, { key: `template-${id}` });
+  }
+
+  function deleteTemplate(id) {
+    const tpl = state.templates.find((t) => t.id === id);
+    commit(`Delete template “${tpl?.name || "Template"}”`, (n) => {
+      n.templates = n.templates.filter((t) => t.id !== id);
+    }, { toast: true });
+  }
+
+  function exportTemplates() {
+    const file = { app: "timetally", kind: "templates", version: TEMPLATE_FILE_VERSION, exportedAt: new Date().toISOString(), templates: state.templates };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const day = new Date().toISOString().slice(0, 10);
+    const a = Object.assign(document.createElement("a"), { href: url, download: `timetally_templates_${day}.json` });
+    document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+    showIoStatus("success", "Templates exported.");
+  }
+
+  /* Add the templates in a file; names already taken get a number. */
+  function onTemplateFileLoaded(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.size > 5 * 1024 * 1024) {
+      showIoStatus("error", "File too large (max 5 MB).");
+      e.target.value = "";
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const incoming = parseTemplateFile(JSON.parse(String(reader.result || "")));
+        commit(incoming.length === 1 ? "Import template" : `Import ${incoming.length} templates`, (n) => {
+          const taken = new Set(n.templates.map((t) => t.name));
+          const added = incoming.map((tpl) => {
+            const name = uniqueListName(tpl.name, taken);
+            taken.add(name);
+            return { ...tpl, name };
+          });
+          n.templates = [...n.templates, ...added];
+        }, { toast: true });
+        showIoStatus("success", `Imported ${incoming.length} ${incoming.length === 1 ? "template" : "templates"}.`);
+      } catch (err) {
+        showIoStatus("error", err instanceof SyntaxError ? "Invalid file format." : err.message);
+      }
+      e.target.value = "";
+    };
+    reader.readAsText(file);
+  }
+
+  /* Playlists */
+
+  function savePlaylist(pl) {
+    commit(stateRef.current.playlists.some((p) => p.id === pl.id) ? "Edit playlist" : "New playlist", (n) => {
+      const i = n.playlists.findIndex((p) => p.id === pl.id);
+      n.playlists = i === -1 ? [...n.playlists, pl] : n.playlists.map((p) => (p.id === pl.id ? pl : p));
+    }, { key: `playlist-${pl.id}` });
+  }
+
+  function deletePlaylist(id) {
+    const pl = state.playlists.find((p) => p.id === id);
+    commit(`Delete playlist “${pl?.name || "Playlist"}”`, (n) => {
+      n.playlists = n.playlists.filter((p) => p.id !== id);
+      if (n.playlistRun?.id === id) n.playlistRun = null;
+    }, { toast: true });
+  }
+
+  function playPlaylist(id) {
+    if (!timerOwnerRef.current) { sendTimerCommand(`playlist:${id}`); return; }
+    const s = stateRef.current;
+    const pl = s.playlists.find((p) => p.id === id);
+    const first = pl && nextPlaylistStep(pl, { step: -1, pass: 0 }, s.lists);
+    if (!first) return;
+    setShowPlaylists(false);
+    patch((n) => { n.playlistRun = { id, ...first, startedAt: Date.now(), worked: 0 }; });
+    startListFresh(pl.items[first.step].list);
+  }
+
+  /* List `name` finished a session of `worked` seconds. In a playlist that
+     moves it on: the next list starts, or the playlist's own stats are
+     recorded at its end. Returns true when another list started, so the
+     caller holds back the list-complete celebration. */
+  function advancePlaylist(name, worked) {
+    const s = stateRef.current;
+    const pr = s.playlistRun;
+    const pl = pr && s.playlists.find((p) => p.id === pr.id);
+    if (!pl || pl.items[pr.step]?.list !== name) return false;
+    const next = nextPlaylistStep(pl, pr, s.lists);
+    const total = pr.worked + worked;
+    patch((n) => {
+      n.playlistRun = next ? { ...pr, ...next, worked: total } : null;
+      if (!next) {
+        n.playlists = n.playlists.map((p) => {
+          if (p.id !== pl.id) return p;
+          const st = { ...defaultPlaylistStats(), ...(p.stats || {}) };
+          return {
+            ...p,
+            stats: {
+              runsCompleted: st.runsCompleted + 1,
+              timeWorked: st.timeWorked + total,
+              longestRun: Math.max(st.longestRun, total),
+              lastRun: new Date().toISOString(),
+            },
+          };
+        });
+      }
+    });
+    if (!next) return false;
+    startListFresh(pl.items[next.step].list);
+    return true;
+  }
+
+  /* Leave the list playing now and go on with the playlist's next one. */
+  function nextInPlaylist() {
+    if (!timerOwnerRef.current) { sendTimerCommand("playlistNext"); return; }
+    const s = stateRef.current;
+    const pr = s.playlistRun;
+    const pl = pr && s.playlists.find((p) => p.id === pr.id);
+    if (!pl) return;
+    const next = nextPlaylistStep(pl, pr, s.lists);
+    if (!next) { stopPlaylist(); return; }
+    const run = s.run?.list === pl.items[pr.step]?.list ? pauseRun(s.run, Date.now()) : null;
+    patch((n) => { n.playlistRun = { ...pr, ...next, worked: pr.worked + (run?.worked || 0) }; });
+    startListFresh(pl.items[next.step].list);
+  }
+
+  /* Stop chaining; the list playing now carries on as a plain run. */
+  function stopPlaylist() {
+    if (!timerOwnerRef.current) { sendTimerCommand("playlistStop"); return; }
+    patch((n) => { n.playlistRun = null; });
+  }
+
+  function skipScheduled(name, at) {
+    if (schedulePrompt?.list === name) setSchedulePrompt(null);
+    if (scheduleCountdown?.list === name) setScheduleCountdown(null);
+    markStartHandled(name, at);
+  }
+
+  /* Edit the current list's schedule. Any edit only counts from now on, so
+     moving the time earlier doesn't turn today's into a missed start. */
+  function setAutoStart(fields) {
+    patch((n) => {
+      const cfg = n.listConfigs[n.currentList];
+      cfg.autoStart = fields && { time: "09:00", days: [1, 2, 3, 4, 5], date: "", ...cfg.autoStart, ...fields, handled: Date.now() };
     });
   }
 
@@ -2166,6 +5414,8 @@ export default function App() {
     for (const listName of state.listOrder) {
       const listEl = doc.createElement("list");
       listEl.setAttribute("name", listName);
+      const cfg = state.listConfigs[listName];
+      if (listRepeat(cfg) > 1) listEl.setAttribute("repeat", String(listRepeat(cfg)));
       const ts = state.lists[listName] || [];
       ts.forEach((t) => {
         const el = doc.createElement("task");
@@ -2173,6 +5423,26 @@ export default function App() {
         el.setAttribute("time", String(t.time));
         el.setAttribute("remaining", String(Math.round(t.remaining)));
         el.setAttribute("enabled", t.enabled ? "1" : "0");
+        if (t.groupId) {
+          el.setAttribute("group", t.groupId);
+          el.setAttribute("groupRepeat", String(groupRepeat(cfg, t.groupId)));
+        }
+        if (t.overtime != null) el.setAttribute("overtime", t.overtime ? "1" : "0");
+        if (t.locked) el.setAttribute("locked", "1");
+        if (t.at) el.setAttribute("at", t.at);
+        if (t.checkpoint) el.setAttribute("checkpoint", "1");
+        if (t.exercise) {
+          el.setAttribute("exercise", t.exercise.name);
+          el.setAttribute("set", String(t.exercise.set));
+          el.setAttribute("sets", String(t.exercise.sets));
+          if (t.exercise.reps) el.setAttribute("reps", String(t.exercise.reps));
+          if (t.exercise.weight != null) el.setAttribute("weight", String(t.exercise.weight));
+          if (t.exercise.unit) el.setAttribute("unit", t.exercise.unit);
+        }
+        if (t.sectionId) {
+          el.setAttribute("section", t.sectionId);
+          el.setAttribute("sectionName", sectionName(cfg, t.sectionId));
+        }
         if (t.meta?.ytId) {
           el.setAttribute("ytId", t.meta.ytId);
           el.setAttribute("ytUrl", t.meta.ytUrl || "");
@@ -2190,6 +5460,65 @@ export default function App() {
     showIoStatus('success', 'Exported!');
   }
 
+  function exportBackupJSON() {
+    const json = JSON.stringify(makeBackup(state), null, 2);
+    const blob = new Blob([json], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const day = new Date().toISOString().slice(0, 10);
+    const a = Object.assign(document.createElement("a"), { href: url, download: `timetally_backup_${day}.json` });
+    document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+    showIoStatus("success", "Backup saved.");
+  }
+
+  /* Read + validate a JSON backup; nothing changes until the user confirms. */
+  function onBackupFileLoaded(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (file.size > 5 * 1024 * 1024) {
+      showIoStatus("error", "File too large (max 5 MB).");
+      e.target.value = "";
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setPendingRestore(migrateBackup(JSON.parse(String(reader.result || ""))));
+      } catch (err) {
+        setPendingRestore(null);
+        showIoStatus("error", err instanceof SyntaxError ? "Invalid file format." : err.message);
+      }
+      e.target.value = "";
+    };
+    reader.readAsText(file);
+  }
+
+  /* Replace everything with a confirmed backup. A session that was running
+     when the backup was taken comes back paused at that moment. */
+  function applyBackup(backup) {
+    pauseTimer();
+    setListComplete(false);
+    const st = backup.state;
+    const at = Date.parse(backup.exportedAt) || Date.now();
+    let run = st.run && Array.isArray(st.lists[st.run.list]) ? st.run : null;
+    if (run && !run.pausedAt) run = pauseRun(run, at);
+    // Lists that were running in the background come back paused there too,
+    // rather than being caught up across the time since the export
+    const backgroundRuns = {};
+    for (const [name, r] of Object.entries(st.backgroundRuns || {})) {
+      if (Array.isArray(st.lists[name])) backgroundRuns[name] = r.pausedAt ? r : pauseRun(r, at);
+    }
+    const restored = hydrateState({ ...st, run, backgroundRuns }, backup.sessions);
+    commit("Restore backup", (n) => {
+      Object.assign(n, restored, { showHelp: false, showOptions: false, runRecovery: null });
+    }, { toast: true });
+    setPendingRestore(null);
+    const count = st.listOrder.length;
+    showIoStatus("success", `Restored ${count} ${count === 1 ? "list" : "lists"} from backup.`);
+  }
+
+  /* XML import, step 1: parse the file into a preview. Lists whose name is
+     already taken default to importing under a new name, so loading the same
+     file twice never doubles a list. */
   function onFileLoaded(e) {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -2201,63 +5530,139 @@ export default function App() {
     const reader = new FileReader();
     reader.onload = () => {
       try {
-        const text = String(reader.result || "");
-        const doc = new DOMParser().parseFromString(text, "application/xml");
-        if (doc.querySelector("parsererror")) {
-          showIoStatus('error', 'Invalid file format.');
-          e.target.value = "";
-          return;
-        }
-        const listNodes = [...doc.querySelectorAll("list")];
-        if (!listNodes.length) {
-          showIoStatus('error', 'No tasks found in file.');
-          e.target.value = "";
-          return;
-        }
-        let taskCount = 0;
-        listNodes.forEach((ln) => { taskCount += ln.querySelectorAll("task").length; });
-        patch((n) => {
-          listNodes.forEach((ln) => {
-            const name = ln.getAttribute("name") || "imported";
-            if (!n.lists[name]) { n.lists[name] = []; n.listOrder.push(name); }
-            const tasks = [...ln.querySelectorAll("task")].map((el) => {
-              const time = Number(el.getAttribute("time") || 0);
-              const rem = Number(el.getAttribute("remaining") || 0) || time;
-              const importedName = el.getAttribute("name") || "Task";
-              // Start from normalization so YouTube URLs immediately get meta
-              const norm = normalizeTaskFromName(importedName, time);
-              // Respect explicit attributes if present (back-compat)
-              const ytIdAttr = el.getAttribute("ytId");
-              const ytUrlAttr = el.getAttribute("ytUrl");
-              // Fix #1: sanitise the ytId attribute from XML at import time so the
-              // unsanitised value never reaches localStorage or the BroadcastChannel.
-              const sanitisedYtIdAttr = safeYtId(ytIdAttr);
-              const meta = sanitisedYtIdAttr
-                ? { ytId: sanitisedYtIdAttr, ytUrl: ytUrlAttr || (isYouTubeUrl(importedName) ? importedName : "") }
-                : norm.meta;
-              return {
-                ...norm,
-                remaining: rem,                  // keep imported remaining value
-                enabled: (el.getAttribute("enabled") || "1") === "1",
-                editing: false,
-                meta
-              };
-            });
-            n.lists[name].push(...tasks);
-            if (!n.listConfigs[name]) n.listConfigs[name] = defaultConfig();
-          });
+        const incoming = parseTasksXML(String(reader.result || ""));
+        // `exists` is about the app's lists only; `taken` also holds the
+        // names earlier rows will use, so suggested new names don't clash
+        const lists = stateRef.current.lists;
+        const taken = new Set(Object.keys(lists));
+        const rows = incoming.map((rec) => {
+          const exists = !!lists[rec.name];
+          const clash = !exists && taken.has(rec.name);
+          const newName = uniqueListName(rec.name, taken);
+          taken.add(exists || clash ? newName : rec.name);
+          return { ...rec, exists, action: exists || clash ? "rename" : "add", newName };
         });
-        const listWord = listNodes.length === 1 ? 'list' : 'lists';
-        const taskWord = taskCount === 1 ? 'task' : 'tasks';
-        showIoStatus('success', `Imported ${listNodes.length} ${listWord} with ${taskCount} ${taskWord}.`);
-      } catch {
-        showIoStatus('error', 'Invalid file format.');
+        setPendingImport({ fileName: file.name, rows });
+        setLastImport(null);
+      } catch (err) {
+        showIoStatus("error", err.message || "Invalid file format.");
       }
       e.target.value = "";
     };
     reader.readAsText(file);
   }
 
+  function updateImportRow(idx, fields) {
+    setPendingImport((p) => p && { ...p, rows: p.rows.map((r, k) => (k === idx ? { ...r, ...fields } : r)) });
+  }
+
+  /* Problem with a row's chosen target name, or "" when it can be applied. */
+  function importRowError(rows, idx) {
+    const row = rows[idx];
+    if (row.action !== "rename" && row.action !== "add") return "";
+    const target = importTarget(row);
+    if (!target) return "Enter a name.";
+    if (row.action === "rename" && state.lists[target]) return "A list with this name already exists.";
+    if (rows.some((r, k) => k !== idx && (r.action === "rename" || r.action === "add") && importTarget(r) === target)) return "Another imported list uses this name.";
+    return "";
+  }
+
+  /* XML import, step 2: apply the previewed choices. Remembers what each
+     touched list looked like before so the whole import can be undone. */
+  function applyImport(rows) {
+    const s = stateRef.current;
+    const touched = [];
+    let listCount = 0;
+    let taskCount = 0;
+    for (const row of rows) {
+      const target = importTarget(row);
+      if (!target) continue;
+      listCount += 1;
+      taskCount += row.tasks.length;
+      touched.push({ name: target, tasks: s.lists[target] ?? null, config: s.listConfigs[target] ?? null });
+    }
+    if (!listCount) { setPendingImport(null); return; }
+    // Replacing the list a session is on ends that session first
+    if (rows.some((r) => r.action === "replace" && r.name === s.run?.list)) pauseTimer();
+    const now = Date.now();
+    commit("Import", (n) => {
+      for (const row of rows) {
+        const target = importTarget(row);
+        if (!target) continue;
+        const tasks = row.tasks.map((t) => ({ ...t }));
+        // Merge and replace only land on a list that is there, and a new
+        // list never overwrites one made since the preview
+        const into = !!n.lists[target];
+        const action = row.action === "merge" || row.action === "replace" ? (into ? row.action : "add") : into ? "merge" : "add";
+        if (action === "merge") {
+          n.lists[target] = appendToSections(n.lists[target], tasks);
+          const cfg = { ...n.listConfigs[target] };
+          cfg.groups = { ...cfg.groups, ...row.groups };
+          cfg.sections = { ...cfg.sections, ...row.sections };
+          n.listConfigs[target] = cfg;
+        } else if (action === "replace") {
+          n.lists[target] = tasks;
+          n.listConfigs[target] = { ...(n.listConfigs[target] || defaultConfig()), repeat: row.repeat, groups: { ...row.groups }, sections: { ...row.sections } };
+          if (n.run?.list === target) {
+            n.sessions = withAbandoned(n.sessions, n.run, now);
+            n.run = null;
+          }
+          if (n.backgroundRuns[target]) {
+            const { [target]: run, ...runs } = n.backgroundRuns;
+            n.sessions = withAbandoned(n.sessions, run, now);
+            n.backgroundRuns = runs;
+          }
+          if (n.currentList === target) n.currentTaskIndex = 0;
+        } else {
+          n.lists[target] = tasks;
+          n.listOrder = [...n.listOrder, target];
+          n.listConfigs[target] = { ...defaultConfig(), repeat: row.repeat, groups: { ...row.groups }, sections: { ...row.sections } };
+          n.listStats[target] = defaultListStats();
+        }
+      }
+    }, { toast: true });
+    setPendingImport(null);
+    setLastImport({ touched, listCount });
+    const listWord = listCount === 1 ? 'list' : 'lists';
+    const taskWord = taskCount === 1 ? 'task' : 'tasks';
+    showIoStatus('success', `Imported ${listCount} ${listWord} with ${taskCount} ${taskWord}.`);
+  }
+
+  /* Put every list the last import touched back the way it was. Lists the
+     import created are removed; other edits made since are left alone. */
+  function undoImport() {
+    if (!lastImport) return;
+    const s = stateRef.current;
+    if (lastImport.touched.some((t) => t.name === s.run?.list)) pauseTimer();
+    const now = Date.now();
+    commit("Undo import", (n) => {
+      for (const { name, tasks, config } of lastImport.touched) {
+        if (n.run?.list === name) {
+          n.sessions = withAbandoned(n.sessions, n.run, now);
+          n.run = null;
+        }
+        if (n.backgroundRuns[name]) {
+          const { [name]: run, ...runs } = n.backgroundRuns;
+          n.sessions = withAbandoned(n.sessions, run, now);
+          n.backgroundRuns = runs;
+        }
+        if (tasks === null) {
+          delete n.lists[name];
+          delete n.listConfigs[name];
+          delete n.listStats[name];
+          n.listOrder = n.listOrder.filter((x) => x !== name);
+        } else {
+          n.lists[name] = tasks;
+          n.listConfigs[name] = config;
+        }
+      }
+      if (!n.lists[n.currentList]) n.currentList = n.listOrder[0];
+      if (n.currentTaskIndex >= (n.lists[n.currentList] || []).length) n.currentTaskIndex = 0;
+    });
+    setLastImport(null);
+    showIoStatus("success", "Import undone.");
+  }
+
   /* Render */
   const containerClasses = `container${state.dark ? " dark-mode" : ""}`;
 
@@ -2282,6 +5687,12 @@ export default function App() {
         >
           <i className="fas fa-pen" /> Rename
         </button>
+        <button
+          className="menu-item"
+          onClick={() => { saveListAsTemplate(menuOpenTab); setMenuOpenTab(null); }}
+        >
+          <i className="fas fa-bookmark" /> Save as template
+        </button>
         {confirmDeleteList === menuOpenTab ? (
           <button
             className="menu-item menu-danger menu-danger--confirm"
@@ -2323,6 +5734,33 @@ export default function App() {
       </div>
     )}
 
+    {/* Undo toast — after deletes, resets and imports, and after undo/redo itself */}
+    {undoToast && (
+      <div className={`undo-toast${state.dark ? " dark-mode" : ""}`} role="status" aria-live="polite">
+        <span className="undo-toast-label">{undoToast.label}</span>
+        <button
+          className="undo-toast-button"
+          onClick={() => (undoToast.action === "redo" ? redo() : undo())}
+        >
+          {undoToast.action === "redo" ? "Redo" : "Undo"}
+        </button>
+        <button className="undo-toast-close" onClick={() => setUndoToast(null)} aria-label="Dismiss">
+          <i className="fas fa-xmark" />
+        </button>
+      </div>
+    )}
+
+    {/* Set result sheet — after each set of an exercise */}
+    {setPrompt && !findSetEntry(state, setPrompt)?.result && (
+      <SetResultSheet
+        key={`${setPrompt.startedAt}-${setPrompt.id}-${setPrompt.round}-${setPrompt.groupRound}`}
+        exercise={setPrompt.exercise}
+        dark={state.dark}
+        onSave={(r) => logSetResult(setPrompt, { exercise: setPrompt.exercise.name, ...r })}
+        onSkip={() => setSetPrompt(null)}
+      />
+    )}
+
     {/* Stats full-screen overlay */}
     {showStats && (
       <div className={`options-overlay${state.dark ? " dark-mode" : ""}`}>
@@ -2400,6 +5838,7 @@ export default function App() {
                         <SC icon="fa-hourglass-half" value={formatAvgSession(ls.timeWorked, ls.sessionsCompleted)} label="Avg session" />
                         <SC icon="fa-tasks"          value={formatAvgTasks(ls.tasksCompleted, ls.sessionsCompleted)} label="Avg tasks" />
                         <SC icon="fa-forward"        value={ls.tasksSkipped} label="Skipped" />
+                        {ls.overtime > 0 && <SC icon="fa-stopwatch" value={formatTimeWorked(ls.overtime)} label="Overtime" />}
                         <SC icon="fa-trophy"         value={formatTimeWorked(ls.longestSession)} label="Longest" />
                         <SC icon="fa-fire"           value={formatStreak(ls.currentStreak)} label="Streak" />
                         <SC icon="fa-star"           value={formatStreak(ls.bestStreak)} label="Best streak" />
@@ -2417,7 +5856,7 @@ export default function App() {
                         </button>
                         <button
                           className="stats-reset-btn"
-                          onClick={() => patch((n) => { n.listStats[listName] = defaultListStats(); })}
+                          onClick={() => commit(`Reset ${listName} stats`, (n) => { n.listStats[listName] = defaultListStats(); }, { toast: true })}
                         >
                           Reset stats
                         </button>
@@ -2429,6 +5868,146 @@ export default function App() {
             })}
           </div>
 
+          {state.playlists.some((pl) => pl.stats?.runsCompleted) && (
+            <>
+              <p className="stats-block-label stats-block-label--section">By playlist</p>
+              <div className="stats-accordion">
+                {state.playlists.filter((pl) => pl.stats?.runsCompleted).map((pl) => {
+                  const ps = { ...defaultPlaylistStats(), ...pl.stats };
+                  const isOpen = !!expandedPlaylists[pl.id];
+                  return (
+                    <div key={pl.id} className={`stats-accordion-item${state.dark ? " dark-mode" : ""}`}>
+                      <button
+                        className={`stats-accordion-header${isOpen ? " is-open" : ""}`}
+                        onClick={() => setExpandedPlaylists(prev => ({ ...prev, [pl.id]: !prev[pl.id] }))}
+                        aria-expanded={isOpen}
+                      >
+                        <span className="stats-accordion-name">{pl.name}</span>
+                        <span className="stats-accordion-meta">{formatTimeWorked(ps.timeWorked)} · {ps.runsCompleted} run{ps.runsCompleted !== 1 ? "s" : ""}</span>
+                        <i className="fas fa-chevron-down stats-accordion-chevron" />
+                      </button>
+                      <div className={`stats-accordion-body${isOpen ? " is-open" : ""}`}>
+                        <div className="stats-accordion-body-inner">
+                          <div className="stats-grid stats-grid--3 stats-accordion-grid">
+                            <SC icon="fa-flag-checkered" value={ps.runsCompleted} label="Runs" />
+                            <SC icon="fa-clock"          value={formatTimeWorked(ps.timeWorked)} label="Time worked" />
+                            <SC icon="fa-hourglass-half" value={formatAvgSession(ps.timeWorked, ps.runsCompleted)} label="Avg run" />
+                            <SC icon="fa-trophy"         value={formatTimeWorked(ps.longestRun)} label="Longest" />
+                            <SC icon="fa-layer-group"    value={pl.items.length} label="Lists" />
+                            <SC icon="fa-calendar"       value={formatLastSession(ps.lastRun)} label="Last run" small />
+                          </div>
+                          <div className="stats-accordion-footer">
+                            <button
+                              className="stats-reset-btn"
+                              onClick={() => commit(`Reset ${pl.name} stats`, (n) => { n.playlists = n.playlists.map((p) => (p.id === pl.id ? { ...p, stats: defaultPlaylistStats() } : p)); }, { toast: true })}
+                            >
+                              Reset stats
+                            </button>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+
+          {Object.keys(exerciseStats).length > 0 && (
+            <>
+              <p className="stats-block-label stats-block-label--section">Progression</p>
+              <div className="stats-accordion">
+                {Object.entries(exerciseStats).sort(([a], [b]) => a.localeCompare(b)).map(([name, points]) => {
+                  const isOpen = !!expandedExercises[name];
+                  const last = points[points.length - 1];
+                  return (
+                    <div key={name} className={`stats-accordion-item${state.dark ? " dark-mode" : ""}`}>
+                      <button
+                        className={`stats-accordion-header${isOpen ? " is-open" : ""}`}
+                        onClick={() => setExpandedExercises(prev => ({ ...prev, [name]: !prev[name] }))}
+                        aria-expanded={isOpen}
+                      >
+                        <span className="stats-accordion-name">{name}</span>
+                        <span className="stats-accordion-meta">
+                          {last.top != null ? `${last.top} ${last.unit}`.trim() : `${last.reps} reps`} · {points.length} session{points.length !== 1 ? "s" : ""}
+                        </span>
+                        <i className="fas fa-chevron-down stats-accordion-chevron" />
+                      </button>
+                      <div className={`stats-accordion-body${isOpen ? " is-open" : ""}`}>
+                        <div className="stats-accordion-body-inner">
+                          {isOpen && <ExerciseProgress points={points} dark={state.dark} />}
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </>
+          )}
+
+          <p className="stats-block-label stats-block-label--section">History</p>
+          <SessionHistory
+            sessions={state.sessions}
+            dark={state.dark}
+            onDelete={deleteSession}
+          />
+
+        </div>
+      </div>
+    )}
+
+    {/* New from template full-screen overlay */}
+    {showTemplates && (
+      <div className={`options-overlay${state.dark ? " dark-mode" : ""}`}>
+        <div className="options-overlay-header">
+          <span className="options-overlay-title">New from template</span>
+          <button className="options-close-button" onClick={() => setShowTemplates(false)} aria-label="Close">
+            <i className="fas fa-xmark" />
+          </button>
+        </div>
+        <div className="options-overlay-body">
+          <TemplateGallery
+            bundled={BUNDLED_TEMPLATES}
+            mine={state.templates}
+            dark={state.dark}
+            onUse={addListFromTemplate}
+            onRename={renameTemplate}
+            onDelete={deleteTemplate}
+            onImport={() => templateFileRef.current?.click()}
+            onExport={exportTemplates}
+          />
+          <p className="template-section-label">Build an interval list</p>
+          <NewFromTemplate
+            generators={LIST_GENERATORS}
+            build={buildFromGenerator}
+            listNames={state.listOrder}
+            dark={state.dark}
+            onCreate={(name, built) => { addList(name, built.tasks, built.config); setShowTemplates(false); }}
+          />
+        </div>
+      </div>
+    )}
+
+    {/* Playlists full-screen overlay */}
+    {showPlaylists && (
+      <div className={`options-overlay${state.dark ? " dark-mode" : ""}`}>
+        <div className="options-overlay-header">
+          <span className="options-overlay-title">Playlists</span>
+          <button className="options-close-button" onClick={() => setShowPlaylists(false)} aria-label="Close">
+            <i className="fas fa-xmark" />
+          </button>
+        </div>
+        <div className="options-overlay-body">
+          <Playlists
+            playlists={state.playlists}
+            listOrder={state.listOrder}
+            durations={listDurations}
+            playingId={state.playlistRun?.id ?? null}
+            dark={state.dark}
+            onSave={savePlaylist}
+            onDelete={deletePlaylist}
+            onPlay={playPlaylist}
+          />
         </div>
       </div>
     )}
@@ -2570,9 +6149,11 @@ export default function App() {
             <h3><i className="fas fa-circle-play" /> Getting started</h3>
             <ul className="help-list">
               <li><b>Add a task:</b> Enter a name and duration, choose seconds / minutes / hours, then press <span className="kbd">+</span>.</li>
+              <li><b>Add many tasks:</b> Press the paste button next to <span className="kbd">+</span> and enter one task per line — <em>Warm up 5m</em>, <em>Plank - 45s</em>, <em>Deep work 1h30</em> or <em>10:00 Review</em>. Check the preview, then add them all at once; lines that couldn't be read are highlighted and stay in the box to fix. A bare number uses your default time unit.</li>
               <li><b>Set current task:</b> Click any task row to make it the active task.</li>
               <li><b>Enable / disable:</b> Use the toggle on each task to include or skip it during a run.</li>
               <li><b>Multiple lists:</b> Create separate lists (tabs) for different focus blocks, study sets, or circuits. Each list keeps its own settings, stats, and task order.</li>
+              <li><b>Undo:</b> Press <span className="kbd">{formatShortcut(shortcutBindings(state.shortcuts).undo || "Mod+Z")}</span> to take back adding, editing, reordering or deleting tasks and lists, an import, a restored backup or a stats reset; <span className="kbd">{formatShortcut(shortcutBindings(state.shortcuts).redo || "Mod+Shift+Z")}</span> puts it back. Deletes and resets also show an <b>Undo</b> button for a few seconds. Running the timer isn't undoable, and history clears on reload.</li>
               <li><b>Stats:</b> Open the <i className="fas fa-chart-bar" /> chart icon in the header to see per-list session count, completion rate, and time worked.</li>
             </ul>
           </div>
@@ -2583,15 +6164,36 @@ export default function App() {
               <li><b>Skip:</b> Jump to the next enabled task; remaining time on the skipped task is unchanged.</li>
               <li><b>Complete:</b> Mark the current task done immediately and advance to the next.</li>
               <li><b>Restart:</b> Reset all tasks to their original durations and return to the first task.</li>
+              <li><b>Several tabs:</b> Every open tab shows the same lists and countdown, and the controls work from any of them, but only one tab actually runs the timer — sounds, speech and notifications come from that tab. Close it and another open tab carries on with the session.</li>
               <li><b>Lock-screen / notification controls:</b> While a timer is running, your phone's lock screen and notification shade show play, pause, and skip buttons that drive TimeTally directly.</li>
             </ul>
           </div>
+          <div className="help-card-overlay">
+            <h3><i className="fas fa-keyboard" /> Keyboard shortcuts</h3>
+            <ul className="help-list help-shortcuts">
+              {SHORTCUT_ACTIONS.map((a) => {
+                const combo = shortcutBindings(state.shortcuts)[a.id];
+                return (
+                  <li key={a.id}>
+                    {combo ? <span className="kbd">{formatShortcut(combo)}</span> : <span className="help-shortcut-unbound">unbound</span>}
+                    <span>{a.label}</span>
+                  </li>
+                );
+              })}
+              <li><span className="kbd">1</span>–<span className="kbd">9</span><span>Switch to that list</span></li>
+            </ul>
+            <ul className="help-list">
+              <li><b>Command palette:</b> Type to fuzzy-search actions, lists and tasks — <em>wo</em> finds "Switch to Workout", <em>exp back</em> finds "Export backup". Use ↑ ↓ and Enter, or Esc to close.</li>
+              <li>Shortcuts are ignored while you type in a field. Change any of them in <b>Settings → Keyboard shortcuts</b>.</li>
+            </ul>
+          </div>
           <div className="help-card-overlay">
             <h3><i className="fas fa-sliders" /> Settings</h3>
             <ul className="help-list">
               <li><b>Display:</b> Choose what the timer bar shows (task name, time remaining, percentage, task count, ETA). Toggle compact task rows and the progress bar scope (whole list or current task).</li>
-              <li><b>Timer:</b> Auto-start next task, count up or down, and set a warning highlight when time is low.</li>
+              <li><b>Timer:</b> Auto-start next task, repeat the whole list for several rounds, count up or down, and set a warning highlight when time is low.</li>
               <li><b>Audio:</b> Enable a beep on task start. Set volume, tone (low / medium / high), and how many beeps play.</li>
+              <li><b>Notifications:</b> Turn on system notifications per list to be told when a task starts, a task completes, or the list finishes — useful when the browser mutes the beep in a background tab. Task-start notifications carry <b>Pause</b> and <b>Skip</b> buttons where your platform supports them. By default they only appear while TimeTally is in the background.</li>
               <li><b>Voice:</b> Enable text-to-speech. Choose a system voice and what gets announced (task name, duration, a custom message, or a random affirmation).</li>
               <li><b>General:</b> Set the default time unit for new tasks.</li>
               <li>Settings are saved per list — each list can have its own audio, voice, and display preferences.</li>
@@ -2603,6 +6205,20 @@ export default function App() {
               <li><b>Edit a task:</b> Open the <span className="dots">…</span> menu on a task and choose Edit. Change the name or total duration; remaining time resets when the duration changes.</li>
               <li><b>Delete a task:</b> Open the <span className="dots">…</span> menu and choose Delete.</li>
               <li><b>Reorder tasks:</b> Drag the grip handle (<i className="fas fa-grip-vertical" />) on the left of each row. Works with both mouse and touch.</li>
+              <li><b>Repeat a block:</b> To loop a few tasks (e.g. Work 40s / Rest 20s × 8), choose Repeat as block in the first task's <span className="dots">…</span> menu, then Add next task to block for each task that follows. Set the number of rounds with − / + on the block. Dropping a task between two tasks of a block adds it to the block.</li>
+              <li><b>Scheduled starts:</b> Under Settings → Schedule, have a list start by itself at a set time, every week on the days you pick (weekdays at 08:55) or once on a date. A countdown appears beforehand with a spoken heads-up, and Upcoming starts lists what's next with a Skip for each list. If TimeTally was closed at that moment, or another list was running, you're asked whether to start it now or skip it. TimeTally needs to be open — a background tab will do.</li>
+              <li><b>Lists side by side:</b> Switch to another list while the timer runs and the first one keeps going — a focus block here, the laundry there. Every list running elsewhere gets a row above the timer with its task and time left, and its own Pause, Skip and Stop; tap its name to bring it back to the front. Its cues say the list's name, and a different Beep tone or Beep sound in each list's Settings tells their beeps apart.</li>
+              <li><b>New from template:</b> The <i className="fas fa-wand-magic-sparkles" /> button beside the tab <span className="kbd">+</span> builds a ready list from a few numbers — Tabata, EMOM, HIIT or Pomodoro. Set the work and rest times, rounds, cycles, warm-up and cool-down (or focus, breaks and how often the long break comes), check the preview and press Create list. Rounds become a repeating block, and the new list starts with beeps and spoken durations on.</li>
+              <li><b>Templates:</b> The same <i className="fas fa-wand-magic-sparkles" /> button opens starter templates — Workday, Study session, Morning routine, Stretching — and your own; Use opens one as a new list. To keep a list as a template, tasks, blocks, sections and settings included, choose Save as template in its tab's <span className="dots">…</span> menu. Rename or delete yours in the gallery, and use Export yours / Import templates to move them between devices or share them.</li>
+              <li><b>Playlists:</b> The <i className="fas fa-layer-group" /> button chains lists into one run — a warm-up, the workout, a cool-down — each played one or more times. Press Play and each list starts as soon as the one before it finishes, with the playlist's total time left, finish time and progress shown above the timer. Next list moves on early; Stop lets the current list finish on its own. Each list keeps its own stats, and the playlist gets its own under Stats.</li>
+              <li><b>Timeline:</b> Switch a list from List to Timeline (above the tasks) to see every task laid out against the clock from now, or from a start time you pick. While a session runs, finished tasks show when they really started and ended and the rest moves with the timer, pauses included. Print it, or save it as an image to put on the wall.</li>
+              <li><b>Pinned times:</b> Give a task a "Starts at" time in its edit form to pin it to the clock (a standup at 10:00, lunch at 12:30). When the timer starts or moves on, the flexible tasks before each pin are stretched or squeezed so it starts on time; a pin that can't be met is flagged in red with how late it will be. Turn on Show clock times on task rows to see every task's start time.</li>
+              <li><b>Finish by:</b> Under the ETA, choose Finish by… and pick a time. The preview shows every remaining task stretched or squeezed by the same factor so the list ends then; lock tasks that must keep their length (lunch, a call) and press Fit. The ETA line then warns when pauses push the end past that time.</li>
+              <li><b>Overtime:</b> Turn on Overtime in Options and a task that runs out keeps counting (+2:13) until you press Complete, with an optional reminder beep every few minutes. Use Count overtime / Stop at zero in a task's <span className="dots">…</span> menu to set it for one task. Time past zero is kept in the list's stats.</li>
+              <li><b>Get ready:</b> Set Get ready before starting under Options → Timer (10 seconds, say) and pressing Start first shows Get ready with the countdown in the footer and mini player, names the first task and counts 3, 2, 1 aloud before it begins. Turn on Get ready before every task for a lead-in ahead of each task and when you resume; Leave get-ready time out of stats keeps it off your time worked. Lists from New from template start with a 10-second lead-in.</li>
+              <li><b>Checkpoints:</b> For a step with no set length — wait for the kettle, set up the bench — press the <i className="fas fa-hand" /> button next to <span className="kbd">+</span> before adding it, tick Checkpoint in its edit form, or choose Wait for me in its <span className="dots">…</span> menu. The run stops on it and counts up (Waiting 1:12) until you press Done, the Complete shortcut, or next track on your headphones or lock screen. A time is optional: it's used as an estimate for the ETA and total, and otherwise the checkpoint counts as zero.</li>
+              <li><b>Sets:</b> For strength work, type the exercise (<em>Bench press</em>), press the <i className="fas fa-dumbbell" /> button and fill in sets, reps, weight and rest, then press <span className="kbd">+</span>. Each set becomes a task, with a timed rest between them, under a section named for the exercise. A set waits for Done — or counts down the time you entered with Count down each set — and then asks what you actually did; change the reps or weight, or just press Log set. The unit can be anything (kg, lb, m, cal). Stats → Progression charts each exercise's heaviest weight, or total reps, session by session.</li>
+              <li><b>Sections:</b> Choose Start section here in a task's <span className="dots">…</span> menu to put a header over it and the tasks below. The header shows the section's time, collapses with the arrow, switches all its tasks on or off with its checkbox, and drags the whole section by its handle. Double-click the name to rename it; × removes the header but keeps the tasks.</li>
               <li><b>List tabs:</b> Open the <span className="dots">…</span> on a tab to rename or delete the list. Drag tabs to rearrange their order.</li>
             </ul>
           </div>
@@ -2630,9 +6246,11 @@ export default function App() {
             <h3><i className="fas fa-database" /> Backup &amp; Restore</h3>
             <ul className="help-list">
               <li><b>Where:</b> Tap the <i className="fas fa-database" /> icon in the header to open the Backup &amp; Restore page.</li>
-              <li><b>Export:</b> Downloads every list as a single XML file you can keep as a backup or move to another browser. Includes task durations, remaining time, enabled state, and YouTube metadata.</li>
-              <li><b>Import:</b> Load an XML file to add lists and tasks. Imported lists are <em>appended</em> — existing lists with the same name keep their tasks and gain the imported ones rather than being overwritten.</li>
-              <li><b>Limits:</b> Maximum file size is 5 MB. Files must be valid TimeTally XML.</li>
+              <li><b>Full backup:</b> Downloads everything — lists, list order, per-list settings, stats, session history, and dark mode — as one JSON file. Restoring it replaces all current data after you confirm.</li>
+              <li><b>Export tasks:</b> Downloads every list's tasks as a single XML file for sharing. Includes task durations, remaining time, enabled state, rounds, and YouTube metadata.</li>
+              <li><b>Import tasks:</b> Load an XML file to preview its lists first. For a list whose name already exists, choose to import it under a new name, merge its tasks into the existing list, replace the existing tasks, or skip it. <b>Undo last import</b> puts every affected list back.</li>
+              <li><b>Limits:</b> Maximum file size is 5 MB. Files must be valid TimeTally XML or a TimeTally JSON backup.</li>
+              <li><b>Saving:</b> Everything is saved in your browser as you go. If a save ever fails — usually because storage is full — a <b>Not saved</b> banner appears; download a backup, free some space, and press <b>Retry</b>.</li>
               <li><b>Why back up?</b> All your data lives in your browser only — clearing browser data, switching devices, or trying a new browser will lose it unless you've exported a backup.</li>
             </ul>
           </div>
@@ -2640,8 +6258,12 @@ export default function App() {
             <h3><i className="fas fa-circle-question" /> Tips</h3>
             <ul className="help-list">
               <li>Everything saves automatically in your browser — no account needed.</li>
+              <li>A running timer survives reloads and closed tabs — reopen TimeTally and it catches up on any tasks that finished in the meantime, then offers to resume.</li>
+              <li>Stats → History lists every finished or stopped session. Open one to compare planned and actual time per task, or delete it.</li>
               <li>Open TimeTally in multiple tabs; changes sync instantly between them.</li>
-              <li>Install as an app from your browser menu for a distraction-free experience.</li>
+              <li>Install as an app from your browser menu for a distraction-free experience. Once it has loaded, TimeTally works fully offline — handy in the gym or on a plane.</li>
+              <li>Long-press the installed app's icon to jump straight into one of your first four lists.</li>
+              <li>When a new version is ready, a banner shows its version number; press <b>Reload</b> to switch, or dismiss it to update next time.</li>
               <li>Disable tasks you want to skip without deleting them.</li>
             </ul>
           </div>
@@ -2707,13 +6329,56 @@ export default function App() {
               </p>
             </div>
 
+            {/* Full backup card (JSON) */}
+            <div className="data-card">
+              <h3><i className="fas fa-box-archive" /> Full backup</h3>
+              <p className="data-card-text">
+                Everything in one JSON file — lists and their order, per-list
+                settings, stats, session history, and dark mode. Restore it
+                on another device to pick up exactly where you left off.
+              </p>
+              <button
+                className="data-action-btn data-action-btn--primary"
+                onClick={() => exportBackupJSON()}
+              >
+                <i className="fas fa-cloud-arrow-down" />
+                <span>Download full backup</span>
+              </button>
+              {pendingRestore ? (
+                <div className={`data-restore-confirm${state.dark ? " dark-mode" : ""}`}>
+                  <p>
+                    Restore {pendingRestore.state.listOrder.length} {pendingRestore.state.listOrder.length === 1 ? "list" : "lists"}
+                    {pendingRestore.exportedAt ? ` from ${new Date(pendingRestore.exportedAt).toLocaleString()}` : ""}?
+                    This <b>replaces</b> all current lists, settings, stats, and history.
+                  </p>
+                  <div className="data-restore-actions">
+                    <button className="data-action-btn data-action-btn--danger" onClick={() => applyBackup(pendingRestore)}>
+                      <i className="fas fa-rotate-left" />
+                      <span>Replace everything</span>
+                    </button>
+                    <button className="data-action-btn data-action-btn--secondary" onClick={() => setPendingRestore(null)}>
+                      <span>Cancel</span>
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <button
+                  className="data-action-btn data-action-btn--secondary"
+                  onClick={() => backupFileRef.current?.click()}
+                >
+                  <i className="fas fa-folder-open" />
+                  <span>Restore from backup…</span>
+                </button>
+              )}
+            </div>
+
             {/* Export card */}
             <div className="data-card">
-              <h3><i className="fas fa-cloud-arrow-down" /> Export</h3>
+              <h3><i className="fas fa-cloud-arrow-down" /> Export tasks</h3>
               <p className="data-card-text">
-                Save every list to a single XML file you can keep as a backup or
-                move to another browser. Includes task names, durations,
-                remaining time, enabled state, and YouTube metadata.
+                Save every list's tasks to a single XML file for sharing a task
+                set. Includes task names, durations, remaining time, enabled
+                state, rounds, and YouTube metadata — but not settings or stats.
               </p>
               <button
                 className="data-action-btn data-action-btn--primary"
@@ -2721,7 +6386,7 @@ export default function App() {
                 disabled={taskCount === 0}
               >
                 <i className="fas fa-cloud-arrow-down" />
-                <span>Download backup</span>
+                <span>Download XML</span>
               </button>
               {taskCount === 0 && (
                 <p className="data-card-note data-card-note--muted">
@@ -2732,20 +6397,91 @@ export default function App() {
 
             {/* Import card */}
             <div className="data-card">
-              <h3><i className="fas fa-cloud-arrow-up" /> Import</h3>
+              <h3><i className="fas fa-cloud-arrow-up" /> Import tasks</h3>
               <p className="data-card-text">
-                Load lists from an XML file you previously exported. Imported
-                lists are <b>appended</b> — if a list with the same name
-                already exists, the new tasks are added to the end of it
-                rather than replacing what's there.
+                Load lists from an XML file you previously exported. You'll see
+                what's in the file first, and can choose for each list whether
+                to add it, merge it into or replace a list with the same name,
+                import it under a new name, or skip it.
               </p>
-              <button
-                className="data-action-btn data-action-btn--primary"
-                onClick={() => importFileRef.current?.click()}
-              >
-                <i className="fas fa-folder-open" />
-                <span>Choose XML file…</span>
-              </button>
+              {pendingImport ? (() => {
+                const rows = pendingImport.rows;
+                const errors = rows.map((_, k) => importRowError(rows, k));
+                const chosen = rows.filter((r) => r.action !== "skip").length;
+                return (
+                  <div className={`import-preview${state.dark ? " dark-mode" : ""}`}>
+                    <p className="import-preview-file">
+                      <i className="fas fa-file-code" /> {pendingImport.fileName}
+                    </p>
+                    {rows.map((row, k) => (
+                      <div key={row.name} className={`import-preview-row${row.action === "skip" ? " is-skipped" : ""}`}>
+                        <div className="import-preview-head">
+                          <span className="import-preview-name">{row.name}</span>
+                          {row.exists && <span className="import-preview-badge">exists</span>}
+                          <span className="import-preview-meta">
+                            {row.tasks.length} {row.tasks.length === 1 ? "task" : "tasks"} · {formatHMS(row.tasks.reduce((a, t) => a + (t.time || 0), 0))}
+                          </span>
+                        </div>
+                        <select
+                          aria-label={`What to do with ${row.name}`}
+                          value={row.action}
+                          onChange={(e) => updateImportRow(k, { action: e.target.value })}
+                        >
+                          {row.exists ? (
+                            <>
+                              <option value="rename">Import as new list</option>
+                              <option value="merge">Merge — add tasks to the end</option>
+                              <option value="replace">Replace existing tasks</option>
+                            </>
+                          ) : (
+                            <>
+                              <option value="add">Import</option>
+                              <option value="rename">Import under another name</option>
+                            </>
+                          )}
+                          <option value="skip">Skip</option>
+                        </select>
+                        {row.action === "rename" && (
+                          <input
+                            type="text"
+                            aria-label={`New name for ${row.name}`}
+                            value={row.newName}
+                            onChange={(e) => updateImportRow(k, { newName: e.target.value })}
+                          />
+                        )}
+                        {errors[k] && <p className="import-preview-error">{errors[k]}</p>}
+                      </div>
+                    ))}
+                    <div className="data-restore-actions">
+                      <button
+                        className="data-action-btn data-action-btn--primary"
+                        onClick={() => applyImport(rows)}
+                        disabled={!chosen || errors.some(Boolean)}
+                      >
+                        <i className="fas fa-file-import" />
+                        <span>Import {chosen} {chosen === 1 ? "list" : "lists"}</span>
+                      </button>
+                      <button className="data-action-btn data-action-btn--secondary" onClick={() => setPendingImport(null)}>
+                        <span>Cancel</span>
+                      </button>
+                    </div>
+                  </div>
+                );
+              })() : (
+                <button
+                  className="data-action-btn data-action-btn--primary"
+                  onClick={() => importFileRef.current?.click()}
+                >
+                  <i className="fas fa-folder-open" />
+                  <span>Choose XML file…</span>
+                </button>
+              )}
+              {lastImport && !pendingImport && (
+                <button className="data-action-btn data-action-btn--secondary" onClick={undoImport}>
+                  <i className="fas fa-rotate-left" />
+                  <span>Undo last import ({lastImport.listCount} {lastImport.listCount === 1 ? "list" : "lists"})</span>
+                </button>
+              )}
               <ul className="data-card-bullets">
                 <li>Maximum file size: 5 MB</li>
                 <li>Format: TimeTally XML (<code>.xml</code>)</li>
@@ -2767,7 +6503,7 @@ export default function App() {
               <ul className="data-card-bullets">
                 <li>Export before clearing browser data, switching devices, or trying a different browser.</li>
                 <li>You can edit the exported XML in any text editor — the schema is straightforward.</li>
-                <li>Backups don't include per-list settings or stats; those live with your browser profile.</li>
+                <li>XML files carry tasks only. Use the full backup to move settings, stats, and history too.</li>
               </ul>
             </div>
 
@@ -2854,6 +6590,15 @@ export default function App() {
                 <label className="enable-checkbox-label" htmlFor="showTaskRowRemaining"></label>
               </div>
             </div>
+            <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="showClockTimes">Show clock times on task rows</label>
+              <div className="enable-checkbox-wrapper">
+                <input type="checkbox" id="showClockTimes" className="enable-checkbox"
+                  checked={!!config.showClockTimes}
+                  onChange={(e) => patch((n) => { n.listConfigs[n.currentList].showClockTimes = e.target.checked; })} />
+                <label className="enable-checkbox-label" htmlFor="showClockTimes"></label>
+              </div>
+            </div>
             <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
               <label htmlFor="compactTasks">Compact task list</label>
               <div className="enable-checkbox-wrapper">
@@ -2876,6 +6621,27 @@ export default function App() {
                 <label className="enable-checkbox-label" htmlFor="autoAdvance"></label>
               </div>
             </div>
+            <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="overtime">Overtime — keep counting past zero until Complete</label>
+              <div className="enable-checkbox-wrapper">
+                <input type="checkbox" id="overtime" className="enable-checkbox"
+                  checked={!!config.overtime}
+                  onChange={(e) => patch((n) => { n.listConfigs[n.currentList].overtime = e.target.checked; })} />
+                <label className="enable-checkbox-label" htmlFor="overtime"></label>
+              </div>
+            </div>
+            <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="overtimeReminder">Overtime reminder every (minutes, 0 = off)</label>
+              <input type="number" id="overtimeReminder" min="0" max="120" step="1"
+                value={config.overtimeReminder ?? 0}
+                onChange={(e) => patch((n) => { n.listConfigs[n.currentList].overtimeReminder = Math.min(120, Math.max(0, Math.floor(Number(e.target.value)) || 0)); })} />
+            </div>
+            <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="listRepeat">Repeat list (rounds)</label>
+              <input type="number" id="listRepeat" min="1" max="99" step="1"
+                value={config.repeat ?? 1}
+                onChange={(e) => patch((n) => { n.listConfigs[n.currentList].repeat = Math.min(99, Math.max(1, Math.floor(Number(e.target.value)) || 1)); })} />
+            </div>
             <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
               <label htmlFor="timerDirection">Timer counts</label>
               <select id="timerDirection" value={config.timerDirection || "countdown"}
@@ -2890,6 +6656,90 @@ export default function App() {
                 value={config.warningThreshold ?? 0}
                 onChange={(e) => patch((n) => { n.listConfigs[n.currentList].warningThreshold = Math.max(0, Number(e.target.value)); })} />
             </div>
+            <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="leadIn">Get ready before starting (seconds, 0 = off)</label>
+              <input type="number" id="leadIn" min="0" max="60" step="1"
+                value={config.leadIn ?? 0}
+                onChange={(e) => patch((n) => { n.listConfigs[n.currentList].leadIn = Math.min(60, Math.max(0, Math.floor(Number(e.target.value)) || 0)); })} />
+            </div>
+            {config.leadIn > 0 && (
+              <>
+                <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+                  <label htmlFor="leadInEachTask">Get ready before every task, and on resuming</label>
+                  <div className="enable-checkbox-wrapper">
+                    <input type="checkbox" id="leadInEachTask" className="enable-checkbox"
+                      checked={!!config.leadInEachTask}
+                      onChange={(e) => patch((n) => { n.listConfigs[n.currentList].leadInEachTask = e.target.checked; })} />
+                    <label className="enable-checkbox-label" htmlFor="leadInEachTask"></label>
+                  </div>
+                </div>
+                <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+                  <label htmlFor="leadInExcluded">Leave get-ready time out of stats</label>
+                  <div className="enable-checkbox-wrapper">
+                    <input type="checkbox" id="leadInExcluded" className="enable-checkbox"
+                      checked={!!config.leadInExcluded}
+                      onChange={(e) => patch((n) => { n.listConfigs[n.currentList].leadInExcluded = e.target.checked; })} />
+                    <label className="enable-checkbox-label" htmlFor="leadInExcluded"></label>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="options-section">
+            <p className="options-section-label">Schedule</p>
+            <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="autoStart">Start this list automatically</label>
+              <div className="enable-checkbox-wrapper">
+                <input type="checkbox" id="autoStart" className="enable-checkbox"
+                  checked={!!config.autoStart}
+                  onChange={(e) => setAutoStart(e.target.checked ? {} : null)} />
+                <label className="enable-checkbox-label" htmlFor="autoStart"></label>
+              </div>
+            </div>
+            {config.autoStart && (
+              <>
+                <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+                  <label htmlFor="autoStartTime">Start at</label>
+                  <input type="time" id="autoStartTime"
+                    value={config.autoStart.time || ""}
+                    onChange={(e) => setAutoStart({ time: e.target.value })} />
+                </div>
+                <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+                  <label id="autoStartDaysLabel">Every</label>
+                  <div className="schedule-days" role="group" aria-labelledby="autoStartDaysLabel">
+                    {WEEKDAYS.map((d, i) => {
+                      const on = (config.autoStart.days || []).includes(i);
+                      return (
+                        <button key={d} className={on ? "is-active" : ""} aria-pressed={on}
+                          onClick={() => setAutoStart({ days: on ? config.autoStart.days.filter((x) => x !== i) : [...(config.autoStart.days || []), i].sort() })}>
+                          {d.slice(0, 2)}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+                {!config.autoStart.days?.length && (
+                  <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+                    <label htmlFor="autoStartDate">Once, on</label>
+                    <input type="date" id="autoStartDate"
+                      value={config.autoStart.date || ""}
+                      onChange={(e) => setAutoStart({ date: e.target.value })} />
+                  </div>
+                )}
+                <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+                  <label htmlFor="autoStartCountdown">Countdown before start (seconds, 0 = off)</label>
+                  <input type="number" id="autoStartCountdown" min="0" max="600" step="5"
+                    value={config.autoStartCountdown ?? 60}
+                    onChange={(e) => patch((n) => { n.listConfigs[n.currentList].autoStartCountdown = Math.min(600, Math.max(0, Math.floor(Number(e.target.value)) || 0)); })} />
+                </div>
+                <p className="options-note">
+                  {nextStart(config.autoStart, Date.now()) != null
+                    ? `Next start: ${startLabel(nextStart(config.autoStart, Date.now()), Date.now())}. Keep TimeTally open (a background tab is fine) for it to start on time.`
+                    : config.autoStart.days?.length ? "Pick a start time." : "Pick a date and time still to come."}
+                </p>
+              </>
+            )}
           </div>
 
           <div className="options-section">
@@ -2926,6 +6776,59 @@ export default function App() {
                 <option value={3}>Triple</option>
               </select>
             </div>
+            <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="beepSound">Beep sound</label>
+              <select id="beepSound" value={config.beepSound || "sine"}
+                onChange={(e) => patch((n) => { n.listConfigs[n.currentList].beepSound = e.target.value; })}>
+                <option value="sine">Soft</option>
+                <option value="triangle">Mellow</option>
+                <option value="square">Buzzy</option>
+              </select>
+            </div>
+            <p className="options-note">Lists can run side by side — give each its own tone or sound to tell their beeps apart.</p>
+          </div>
+
+          <div className="options-section">
+            <p className="options-section-label">Notifications</p>
+            <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+              <label htmlFor="notifyCheckbox">System notifications</label>
+              <div className="enable-checkbox-wrapper">
+                <input type="checkbox" id="notifyCheckbox" className="enable-checkbox"
+                  checked={!!config.notifyEnabled && notifyPermission === "granted"}
+                  disabled={notifyPermission === "unsupported" || notifyPermission === "denied"}
+                  onChange={(e) => setNotificationsEnabled(e.target.checked)} />
+                <label className="enable-checkbox-label" htmlFor="notifyCheckbox"></label>
+              </div>
+            </div>
+            {notifyPermission === "unsupported" && (
+              <p className="options-note">This browser doesn't support notifications.</p>
+            )}
+            {notifyPermission === "denied" && (
+              <p className="options-note">Notifications are blocked for this site. Allow them in your browser's site settings, then come back here.</p>
+            )}
+            {notifyPermission === "default" && !config.notifyEnabled && (
+              <p className="options-note">Your browser will ask for permission when you turn this on.</p>
+            )}
+            {config.notifyEnabled && notifyPermission === "granted" && (
+              <>
+                {[
+                  ["notifyTaskStart", "When a task starts (with Pause / Skip)"],
+                  ["notifyTaskComplete", "When a task completes"],
+                  ["notifyListComplete", "When the list completes"],
+                  ["notifyOnlyHidden", "Only while TimeTally is in the background"],
+                ].map(([key, label]) => (
+                  <div key={key} className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
+                    <label htmlFor={key}>{label}</label>
+                    <div className="enable-checkbox-wrapper">
+                      <input type="checkbox" id={key} className="enable-checkbox"
+                        checked={config[key] !== false}
+                        onChange={(e) => patch((n) => { n.listConfigs[n.currentList][key] = e.target.checked; })} />
+                      <label className="enable-checkbox-label" htmlFor={key}></label>
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
           </div>
 
           <div className="options-section">
@@ -3000,6 +6903,38 @@ export default function App() {
 
           </div>
 
+          <div className="options-section">
+            <p className="options-section-label">Keyboard shortcuts</p>
+            {SHORTCUT_ACTIONS.map((a) => {
+              const combo = shortcutBindings(state.shortcuts)[a.id];
+              const recording = recordingShortcut === a.id;
+              return (
+                <div key={a.id} className={`option-row option-row--field option-row--shortcut${state.dark ? " dark-mode" : ""}`}>
+                  <label htmlFor={`shortcut-${a.id}`}>{a.label}</label>
+                  <button
+                    id={`shortcut-${a.id}`}
+                    className={`shortcut-key${recording ? " is-recording" : ""}`}
+                    onClick={() => setRecordingShortcut(recording ? null : a.id)}
+                    onKeyDown={recording ? (e) => recordShortcut(a.id, e) : undefined}
+                    onBlur={() => { if (recording) setRecordingShortcut(null); }}
+                  >
+                    {recording ? "Press a key…" : formatShortcut(combo)}
+                  </button>
+                </div>
+              );
+            })}
+            <p className="options-note">
+              Click a shortcut and press the new key; Backspace unbinds it, Esc cancels. Shortcuts apply to every list.
+            </p>
+            {Object.keys(state.shortcuts || {}).length > 0 && (
+              <div className={`option-row option-row--field${state.dark ? " dark-mode" : ""}`}>
+                <button className="shortcut-reset" onClick={() => patch((n) => { n.shortcuts = {}; })}>
+                  Reset shortcuts to defaults
+                </button>
+              </div>
+            )}
+          </div>
+
           <div className="options-section">
             <p className="options-section-label">Voice</p>
             <div className={`option-row option-row--toggle${state.dark ? " dark-mode" : ""}`}>
@@ -3052,7 +6987,7 @@ export default function App() {
           >
             <i className="fas fa-database" />
           </button>
-          {/* Hidden file input shared by the Data overlay's Import card */}
+          {/* Hidden file inputs for the Data overlay's Import and Full backup cards */}
           <input
             ref={importFileRef}
             type="file"
@@ -3060,6 +6995,28 @@ export default function App() {
             onChange={onFileLoaded}
             style={{ display: "none" }}
           />
+          <input
+            ref={backupFileRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={onBackupFileLoaded}
+            style={{ display: "none" }}
+          />
+          <input
+            ref={templateFileRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={onTemplateFileLoaded}
+            style={{ display: "none" }}
+          />
+          <button
+            className="stats-button playlists-button"
+            title="Playlists"
+            aria-label="Open playlists"
+            onClick={() => { setMenuOpenTask(null); setMenuOpenTab(null); setShowPlaylists((v) => !v); }}
+          >
+            <i className="fas fa-layer-group" />
+          </button>
           <button
             className="stats-button"
             title="Stats"
@@ -3105,7 +7062,7 @@ export default function App() {
         {state.listOrder.map((name, idx) => {
           const active = name === state.currentList;
           const taskCount = (state.lists[name] || []).length;
-          const cls = `tab${active ? " active" : ""}`;
+          const cls = `tab${active ? " active" : ""}${state.backgroundRuns[name] ? ` tab--background${state.backgroundRuns[name].pausedAt ? " is-paused" : ""}` : ""}`;
           return (
             <div
               key={name}
@@ -3220,23 +7177,260 @@ export default function App() {
             </button>
           </div>
         ) : (
-          <button
-            className="tab-add-btn"
-            title="New list"
-            onClick={() => { setMenuOpenTab(null); patch((n) => { n.isListCreating = true; }); }}
-          >
-            <i className="fas fa-plus" />
-          </button>
+          <>
+            <button
+              className="tab-add-btn"
+              title="New list"
+              onClick={() => { setMenuOpenTab(null); patch((n) => { n.isListCreating = true; }); }}
+            >
+              <i className="fas fa-plus" />
+            </button>
+            <button
+              className="tab-add-btn tab-template-btn"
+              title="New from template"
+              aria-label="New list from template"
+              onClick={() => { setMenuOpenTab(null); setShowTemplates(true); }}
+            >
+              <i className="fas fa-wand-magic-sparkles" />
+            </button>
+          </>
         )}
       </div>
       </div>{/* end tabs-scroll-wrapper */}
 
+      {/* Save failure — stays until a write succeeds */}
+      {saveError && (
+        <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
+          <div className={`save-error${state.dark ? " dark-mode" : ""}`} role="alert">
+            <i className="fas fa-triangle-exclamation save-error-icon" />
+            <div className="save-error-text">
+              <b>Not saved</b>
+              <span>{saveError} Download a backup to keep a copy, then try again.</span>
+            </div>
+            <div className="save-error-actions">
+              <button className="save-error-backup" onClick={exportBackupJSON}>Backup</button>
+              <button className="save-error-retry" onClick={() => saveNow()}>Retry</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Update prompt — a newer build is installed and waiting */}
+      {appUpdate && (
+        <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
+          <div className={`app-update${state.dark ? " dark-mode" : ""}`} role="status">
+            <i className="fas fa-arrows-rotate app-update-icon" />
+            <div className="app-update-text">
+              <b>Update available</b>
+              <span>
+                TimeTally {appUpdate.version ? `v${appUpdate.version}` : "has a new version"} is ready — you're on v{APP_VERSION}.
+                {state.run && " Your session resumes after the reload."}
+              </span>
+            </div>
+            <div className="app-update-actions">
+              <button className="app-update-reload" onClick={applyAppUpdate}>Reload</button>
+              <button className="app-update-dismiss" onClick={() => setAppUpdate(null)} aria-label="Later">
+                <i className="fas fa-xmark" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Restored-session prompt — loadState fast-forwarded a run that was
+          going when the page was closed, reloaded or evicted */}
+      {state.runRecovery && (
+        <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
+          <div className={`run-recovery${state.dark ? " dark-mode" : ""}`} role="status">
+            <i className="fas fa-clock-rotate-left run-recovery-icon" />
+            <div className="run-recovery-text">
+              <b>{state.runRecovery.ended ? "Session finished" : "Session restored"}</b>
+              <span>
+                {state.runRecovery.ended
+                  ? `${state.runRecovery.list} completed while TimeTally was closed.`
+                  : state.runRecovery.finished > 0
+                    ? `${state.runRecovery.finished} ${state.runRecovery.finished === 1 ? "task" : "tasks"} finished while TimeTally was closed.`
+                    : "Picked up where your run left off."}
+              </span>
+            </div>
+            <div className="run-recovery-actions">
+              {!state.runRecovery.ended && state.run && (
+                <button className="run-recovery-resume" onClick={startTimer}>
+                  <i className="fas fa-play" /> Resume
+                </button>
+              )}
+              <button
+                className="run-recovery-dismiss"
+                onClick={() => patch((n) => { n.runRecovery = null; })}
+                aria-label="Dismiss"
+              >
+                <i className="fas fa-xmark" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Playlist playing now — its lists, combined ETA and progress */}
+      {playlistStatus && (() => {
+        const { pl, pr, left, progress } = playlistStatus;
+        const item = pl.items[pr.step];
+        const ends = new Date(Date.now() + left * 1000);
+        return (
+          <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
+            <div className={`playlist-status${state.dark ? " dark-mode" : ""}`}>
+              <div className="playlist-status-head">
+                <i className="fas fa-layer-group" />
+                <b>{pl.name}</b>
+                <span className="playlist-status-meta">
+                  List {pr.step + 1} of {pl.items.length}
+                  {itemRepeat(item) > 1 && ` · pass ${pr.pass} of ${itemRepeat(item)}`}
+                  {left > 0 && ` · ends ${String(ends.getHours()).padStart(2, "0")}:${String(ends.getMinutes()).padStart(2, "0")} · ${formatHMS(left)} left`}
+                </span>
+                <button onClick={nextInPlaylist} title="Go on to the next list" aria-label="Next list">
+                  <i className="fas fa-forward-step" />
+                </button>
+                <button onClick={stopPlaylist} title="Stop the playlist; this list carries on" aria-label="Stop playlist">
+                  <i className="fas fa-xmark" />
+                </button>
+              </div>
+              <ol className="playlist-steps">
+                {pl.items.map((it, i) => (
+                  <li
+                    key={i}
+                    className={i < pr.step ? "is-done" : i === pr.step ? "is-current" : !state.lists[it.list] ? "is-missing" : ""}
+                  >
+                    {it.list}{itemRepeat(it) > 1 ? ` ×${itemRepeat(it)}` : ""}
+                  </li>
+                ))}
+              </ol>
+              <div className="playlist-progress" role="progressbar" aria-valuenow={progress} aria-valuemin={0} aria-valuemax={100} aria-label="Playlist progress">
+                <div style={{ width: `${progress}%` }} />
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Scheduled start — countdown to the next one, or a missed / blocked one to catch up on */}
+      {(schedulePrompt || scheduleCountdown) && (() => {
+        const { list, at } = schedulePrompt || scheduleCountdown;
+        return (
+          <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
+            <div className={`run-recovery schedule-banner${state.dark ? " dark-mode" : ""}`} role={schedulePrompt ? "alert" : "timer"}>
+              <i className={`fas ${schedulePrompt ? "fa-calendar-xmark" : "fa-hourglass-half"} run-recovery-icon`} />
+              <div className="run-recovery-text">
+                {schedulePrompt ? (
+                  <>
+                    <b>{list} was scheduled for {startLabel(at, Date.now())}</b>
+                    <span>{schedulePrompt.reason === "busy" ? "Another list was running then." : "TimeTally was closed then."} Start it now?</span>
+                  </>
+                ) : (
+                  <>
+                    <b>{list} starts in {formatHMS(scheduleCountdown.left)}</b>
+                    <span>Scheduled for {startLabel(at, Date.now())}</span>
+                  </>
+                )}
+              </div>
+              <div className="run-recovery-actions">
+                <button className="run-recovery-resume" onClick={() => startScheduled(list, at)}>
+                  <i className="fas fa-play" /> Start now
+                </button>
+                <button className="schedule-skip" onClick={() => skipScheduled(list, at)}>
+                  Skip
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
       {/* ETA — only render when there is something to show */}
       {config.showEta !== false && etaText && (
         <div className={`section-box${state.dark ? " dark-mode" : ""}`}>
           <div className={`estimated-finish${state.dark ? " dark-mode" : ""}`} id="estimatedFinishTime">
             {etaText}
           </div>
+          <div className="finish-by-row">
+            {finishBy && (
+              <span className={`finish-by-status${finishBy.late ? " is-late" : ""}`} role="status">
+                {finishBy.late >= 60000
+                  ? <><i className="fas fa-triangle-exclamation" /> Ends {formatHMS(finishBy.late / 1000)} past {config.finishBy}</>
+                  : <><i className="fas fa-check" /> On track for {config.finishBy}</>}
+              </span>
+            )}
+            <button className="finish-by-toggle" onClick={() => setFinishByOpen((o) => !o)} aria-expanded={finishByOpen}>
+              <i className="fas fa-flag-checkered" /> {finishByOpen ? "Close" : "Finish by…"}
+            </button>
+          </div>
+          {schedule && Object.keys(schedule.missed).map((i) => (
+            <p key={i} className="pin-warning" role="alert">
+              <i className="fas fa-triangle-exclamation" /> {isYouTubeUrl(tasks[i].name) ? "YouTube video" : tasks[i].name} can't start at {tasks[i].at}
+              {" — "}{schedule.missed[i] > 0 ? `${formatHMS(schedule.missed[i] / 1000)} late` : `${formatHMS(-schedule.missed[i] / 1000)} early, nothing before it can stretch`}
+            </p>
+          ))}
+          {finishByOpen && (
+            <div className={`finish-by-panel${state.dark ? " dark-mode" : ""}`}>
+              <div className="finish-by-target">
+                <label htmlFor="finishByTime">Finish by</label>
+                <input
+                  type="time"
+                  id="finishByTime"
+                  value={config.finishBy || ""}
+                  onChange={(e) => patch((n) => { n.listConfigs[n.currentList].finishBy = e.target.value; })}
+                />
+                {config.finishBy && (
+                  <button className="finish-by-clear" onClick={() => patch((n) => { n.listConfigs[n.currentList].finishBy = ""; })}>
+                    Clear
+                  </button>
+                )}
+              </div>
+              {!config.finishBy ? (
+                <p className="finish-by-note">Pick a time to see every remaining task rescaled to end on it.</p>
+              ) : !finishByFit ? (
+                <p className="finish-by-note">Nothing left to rescale — every remaining task is finished or locked.</p>
+              ) : !finishByFit.tasks ? (
+                <p className="finish-by-note finish-by-note--warn">
+                  Finished and locked tasks alone run until {new Date(Date.now() + finishByFit.fixed * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}. Unlock a task or pick a later time.
+                </p>
+              ) : (
+                <>
+                  <table className="finish-by-preview">
+                    <thead>
+                      <tr><th>Task</th><th>Now</th><th>Fitted</th><th aria-label="Lock" /></tr>
+                    </thead>
+                    <tbody>
+                      {tasks.map((t, i) => (t.enabled && t.remaining > 0 ? (
+                        <tr key={t.id} className={t.locked ? "is-locked" : ""}>
+                          <td className="finish-by-task">{isYouTubeUrl(t.name) ? "YouTube video" : t.name}</td>
+                          <td>{formatHMS(t.remaining)}</td>
+                          <td>{formatHMS(finishByFit.tasks[i].remaining)}</td>
+                          <td>
+                            <button
+                              className="icon-button finish-by-lock"
+                              onClick={() => editTask(i, { locked: !t.locked })}
+                              title={t.locked ? "Locked at this length — click to let it scale" : "Lock at this length"}
+                              aria-pressed={!!t.locked}
+                            >
+                              <i className={`fas ${t.locked ? "fa-lock" : "fa-lock-open"}`} />
+                            </button>
+                          </td>
+                        </tr>
+                      ) : null))}
+                    </tbody>
+                  </table>
+                  <div className="finish-by-actions">
+                    <span className="finish-by-scale">
+                      {Math.abs(finishByFit.scale - 1) < 0.005
+                        ? "Already on time"
+                        : `Unlocked tasks ${finishByFit.scale > 1 ? "grow" : "shrink"} by ${Math.round(Math.abs(finishByFit.scale - 1) * 100)}%`}
+                    </span>
+                    <button className="data-action-btn" onClick={applyFinishBy}>Fit to {config.finishBy}</button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
         </div>
       )}
 
@@ -3256,7 +7450,7 @@ export default function App() {
             type="number"
             id="taskTime"
             ref={taskTimeRef}
-            placeholder="Time"
+            placeholder={addCheckpoint ? "Estimate" : "Time"}
             onKeyDown={(e) => { if (e.key === "Enter") addTaskUI(); }}
           />
           <select key={config.defaultTimeUnit} id="timeUnit" ref={timeUnitRef} aria-label="Time unit" defaultValue={config.defaultTimeUnit || "minutes"}>
@@ -3264,35 +7458,234 @@ export default function App() {
             <option value="minutes">Minutes</option>
             <option value="hours">Hours</option>
           </select>
+          <button
+            className={`task-input-checkpoint-toggle${addCheckpoint ? " is-active" : ""}`}
+            onClick={() => setAddCheckpoint((v) => !v)}
+            title={addCheckpoint ? "Adding checkpoints — they wait for you; the time is an optional estimate" : "Add a checkpoint that waits for you instead of counting down"}
+            aria-label="Add as checkpoint"
+            aria-pressed={addCheckpoint}
+          >
+            <i className="fas fa-hand" />
+          </button>
           <button ref={addBtnRef} onClick={addTaskUI} title="Add task" aria-label="Add task">
             <i className="fas fa-plus" />
           </button>
+          <button
+            className={`task-input-bulk-toggle${bulkText !== null ? " is-active" : ""}`}
+            onClick={() => setBulkText(bulkText === null ? "" : null)}
+            title="Add many tasks from text"
+            aria-label="Bulk add tasks"
+            aria-pressed={bulkText !== null}
+          >
+            <i className="fas fa-paste" />
+          </button>
+          <button
+            className={`task-input-sets-toggle${setsForm ? " is-active" : ""}`}
+            onClick={() => setSetsForm(setsForm ? null : { sets: 3, reps: 10, weight: null, unit: "kg", rest: 90, timed: false })}
+            title="Add an exercise as sets with rests between them"
+            aria-label="Add as sets"
+            aria-pressed={!!setsForm}
+          >
+            <i className="fas fa-dumbbell" />
+          </button>
         </div>
+        {setsForm && (
+          <div className={`sets-form${state.dark ? " dark-mode" : ""}`}>
+            <label>
+              Sets
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={setsForm.sets}
+                onChange={(e) => setSetsForm((f) => ({ ...f, sets: Math.min(20, Math.max(1, Math.floor(Number(e.target.value)) || 1)) }))}
+              />
+            </label>
+            <label>
+              Reps
+              <input
+                type="number"
+                min="0"
+                value={setsForm.reps || ""}
+                onChange={(e) => setSetsForm((f) => ({ ...f, reps: Math.max(0, Math.floor(Number(e.target.value)) || 0) }))}
+              />
+            </label>
+            <label>
+              Weight
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={setsForm.weight ?? ""}
+                placeholder="—"
+                onChange={(e) => setSetsForm((f) => ({ ...f, weight: e.target.value === "" ? null : Math.max(0, Number(e.target.value) || 0) }))}
+              />
+            </label>
+            <label>
+              Unit
+              <input
+                type="text"
+                list="setsUnits"
+                value={setsForm.unit}
+                onChange={(e) => setSetsForm((f) => ({ ...f, unit: e.target.value }))}
+              />
+              <datalist id="setsUnits">
+                <option value="kg" />
+                <option value="lb" />
+                <option value="m" />
+                <option value="cal" />
+              </datalist>
+            </label>
+            <label>
+              Rest (s)
+              <input
+                type="number"
+                min="0"
+                value={setsForm.rest || ""}
+                placeholder="0"
+                onChange={(e) => setSetsForm((f) => ({ ...f, rest: Math.max(0, Math.floor(Number(e.target.value)) || 0) }))}
+              />
+            </label>
+            <label className="sets-form-timed">
+              <input
+                type="checkbox"
+                checked={setsForm.timed}
+                onChange={(e) => setSetsForm((f) => ({ ...f, timed: e.target.checked }))}
+              />
+              Count down each set
+            </label>
+            <p className="sets-form-hint">
+              Uses the name above. {setsForm.timed ? "Each set runs for the time above" : "Each set waits for Done; a time above is its estimate"}, then you log what you did.
+            </p>
+          </div>
+        )}
+        {bulkText !== null && (
+          <div className={`bulk-add${state.dark ? " dark-mode" : ""}`}>
+            <label htmlFor="bulkTasks" className="bulk-add-label">
+              Paste or type one task per line, with its duration at the start or end.
+            </label>
+            <textarea
+              id="bulkTasks"
+              rows={6}
+              value={bulkText}
+              onChange={(e) => setBulkText(e.target.value)}
+              placeholder={"Warm up 5m\nPlank - 45s\nDeep work 1h30\n10:00 Review"}
+              autoFocus
+            />
+            {bulkRows.length > 0 && (
+              <ul className="bulk-add-preview" aria-label="Preview">
+                {bulkRows.map((r) => (
+                  <li key={r.line} className={`bulk-add-row${r.error ? " is-error" : ""}`}>
+                    <span className="bulk-add-line">{r.line}</span>
+                    {r.error ? (
+                      <span className="bulk-add-text">
+                        {r.text}
+                        <span className="bulk-add-error">{r.error}</span>
+                      </span>
+                    ) : (
+                      <>
+                        <span className="bulk-add-text">
+                          {isYouTubeUrl(r.name) && <i className="fab fa-youtube bulk-add-yt" aria-label="YouTube video" />}
+                          {r.name}
+                        </span>
+                        <span className="bulk-add-time">{formatHMS(r.time)}</span>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="bulk-add-actions">
+              <span className="bulk-add-summary">
+                {bulkValid.length
+                  ? `${bulkValid.length} ${bulkValid.length === 1 ? "task" : "tasks"} · ${formatHMS(bulkValid.reduce((acc, r) => acc + r.time, 0))}`
+                  : "Nothing to add yet"}
+                {bulkRows.length > bulkValid.length && ` · ${bulkRows.length - bulkValid.length} to fix`}
+              </span>
+              <button className="bulk-add-cancel" onClick={() => setBulkText(null)}>Cancel</button>
+              <button className="bulk-add-submit" onClick={addBulkTasks} disabled={!bulkValid.length}>
+                Add {bulkValid.length || ""} {bulkValid.length === 1 ? "task" : "tasks"}
+              </button>
+            </div>
+          </div>
+        )}
       </div>
 
+      {upcomingStarts.length > 0 && (
+        <div className={`schedule-upcoming${state.dark ? " dark-mode" : ""}`} aria-label="Upcoming scheduled starts">
+          <p className="schedule-upcoming-title"><i className="fas fa-calendar-days" /> Upcoming starts</p>
+          <ul>
+            {upcomingStarts.map((u) => (
+              <li key={`${u.list}-${u.at}`}>
+                <span className="schedule-upcoming-when">{startLabel(u.at, Date.now())}</span>
+                <span className="schedule-upcoming-list">{u.list}</span>
+                {u.next && (
+                  <button className="schedule-skip" onClick={() => skipScheduled(u.list, u.at)} title="Skip this start">
+                    Skip
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {tasks.length > 0 && (
+        <div className={`task-view-toggle${state.dark ? " dark-mode" : ""}`} role="group" aria-label="Task view">
+          {[["list", "fa-list", "List"], ["timeline", "fa-timeline", "Timeline"]].map(([view, icon, label]) => (
+            <button
+              key={view}
+              className={(config.taskView || "list") === view ? "is-active" : ""}
+              aria-pressed={(config.taskView || "list") === view}
+              onClick={() => { if ((config.taskView || "list") !== view) toggleTaskView(); }}
+            >
+              <i className={`fas ${icon}`} /> {label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Task list — Fix #9: extracted to TaskList component (React.memo) */}
-      <TaskList
-        tasks={tasks}
-        config={config}
-        dark={state.dark}
-        isRunning={isRunning}
-        currentTaskIndex={state.currentTaskIndex}
-        currentList={state.currentList}
-        editValues={editValues}
-        menuOpenTask={menuOpenTask}
-        listRef={listRef}
-        newTaskId={newTaskId}
-        skipAnim={skipAnim}
-        droppedIndex={droppedIndex}
-        editTask={editTask}
-        removeTask={removeTask}
-        patch={patch}
-        setEditValues={setEditValues}
-        setMenuOpenTask={setMenuOpenTask}
-        onTaskPointerDown={onTaskPointerDown}
-        onTaskPointerMove={onTaskPointerMove}
-        onTaskPointerUp={onTaskPointerUp}
-      />
+      {timeline && tasks.length > 0 ? (
+        <Timeline
+          listName={state.currentList}
+          rows={timeline}
+          dark={state.dark}
+          running={state.run?.list === state.currentList}
+          startAt={timelineStart}
+          onStartAtChange={setTimelineStart}
+          onStatus={showIoStatus}
+        />
+      ) : (
+        <TaskList
+          tasks={tasks}
+          config={config}
+          dark={state.dark}
+          isRunning={isRunning}
+          currentTaskIndex={state.currentTaskIndex}
+          currentList={state.currentList}
+          editValues={editValues}
+          menuOpenTask={menuOpenTask}
+          listRef={listRef}
+          newTaskId={newTaskId}
+          skipAnim={skipAnim}
+          droppedIndex={droppedIndex}
+          groupRound={state.run?.list === state.currentList ? roundPos.groupRound : null}
+          schedule={schedule}
+          editTask={editTask}
+          removeTask={removeTask}
+          editBlock={editBlock}
+          setBlockRepeat={setBlockRepeat}
+          editSection={editSection}
+          patch={patch}
+          setEditValues={setEditValues}
+          setMenuOpenTask={setMenuOpenTask}
+          onTaskPointerDown={onTaskPointerDown}
+          onTaskPointerMove={onTaskPointerMove}
+          onTaskPointerUp={onTaskPointerUp}
+          onSectionPointerDown={onSectionPointerDown}
+        />
+      )}
       {tasks.length === 0 && (
         <div className="empty-state">
           <i className={`fas ${emptyState.icon}`} />
@@ -3312,8 +7705,12 @@ export default function App() {
         currentTask={currentTask}
         progress={progress}
         timerDisplayTime={timerDisplayTime}
+        overtime={overtimeSeconds}
+        waiting={!!currentTask?.checkpoint}
+        ready={readySeconds}
         enabledTaskCount={enabledTaskCount}
         currentEnabledPos={currentEnabledPos}
+        roundLabel={roundLabel}
         startTimer={startTimer}
         pauseTimer={pauseTimer}
         skipTask={skipTask}
@@ -3323,6 +7720,11 @@ export default function App() {
         isPiPActive={isPiPActive}
         openVideoPiP={openVideoPiP}
         isPiPVideoActive={isPiPVideoActive}
+        backgroundRuns={backgroundRows}
+        onBackgroundOpen={setCurrentList}
+        onBackgroundToggle={toggleBackgroundRun}
+        onBackgroundSkip={skipBackgroundRun}
+        onBackgroundStop={stopBackgroundRun}
       />
 
       {/* Always-present aria-live region so screen readers announce IO status changes */}
@@ -3345,6 +7747,10 @@ export default function App() {
       </div>
     )}
 
+    {showPalette && (
+      <CommandPalette commands={paletteCommandList} dark={state.dark} onClose={closePalette} />
+    )}
+
     {/* PiP error toast (user-gesture denials, unsupported browsers, etc.) */}
     {pipError && (
       <div
@@ -0,0 +1,125 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+
+/* Ctrl/Cmd+K command palette. App.jsx builds the command list — actions,
+   "Switch to <list>", "Go to <task>" — each { id, label, group, icon, hint, run };
+   this component only filters, highlights and runs them. */
+
+const MAX_RESULTS = 50;
+
+/* Fuzzy match: every query character must appear in order. Runs of
+   consecutive characters and matches at word starts score higher. Returns
+   -1 for no match. Spaces in the query are ignored. */
+function _fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, "");
+  if (!q) return 0;
+  const t = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return -1;
+    score += at === prev + 1 ? 3 : 1;
+    if (at === 0 || /[\s\-–—:/·]/.test(t[at - 1])) score += 2;
+    prev = at;
+    from = at + 1;
+  }
+  return score - t.length * 0.01; // shorter labels win ties
+}
+
+const CommandPalette = React.memo(function CommandPalette({ commands, dark, onClose }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    if (!query.trim()) return commands.slice(0, MAX_RESULTS);
+    return commands
+      .map((c) => ({ c, score: _fuzzyScore(query, `${c.group} ${c.label}`) }))
+      .filter((r) => r.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map((r) => r.c);
+  }, [commands, query]);
+
+  // Keep the highlighted row in view while arrowing through the results
+  useEffect(() => {
+    listRef.current?.children[active]?.scrollIntoView?.({ block: "nearest" });
+  }, [active]);
+
+  const run = (cmd) => {
+    if (!cmd) return;
+    onClose();
+    cmd.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((i) => Math.min(results.length - 1, i + 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((i) => Math.max(0, i - 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      run(results[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+    // Keep the app's global shortcuts from firing while typing here
+    e.stopPropagation();
+  };
+
+  return (
+    <div className="command-palette-backdrop" onMouseDown={onClose}>
+      <div
+        className={`command-palette${dark ? " dark-mode" : ""}`}
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="command-palette-search">
+          <i className="fas fa-magnifying-glass" />
+          <input
+            type="text"
+            autoFocus
+            value={query}
+            onChange={(e) => { setQuery(e.target.value); setActive(0); }}
+            onKeyDown={onKeyDown}
+            placeholder="Search lists, tasks and actions…"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="commandPaletteResults"
+            aria-activedescendant={results[active] ? `cmd-${active}` : undefined}
+          />
+        </div>
+        {results.length ? (
+          <ul className="command-palette-results" id="commandPaletteResults" role="listbox" ref={listRef}>
+            {results.map((c, i) => (
+              <li
+                key={c.id}
+                id={`cmd-${i}`}
+                role="option"
+                aria-selected={i === active}
+                className={`command-palette-item${i === active ? " is-active" : ""}`}
+                onMouseMove={() => { if (i !== active) setActive(i); }}
+                onClick={() => run(c)}
+              >
+                <i className={`fas ${c.icon} command-palette-icon`} />
+                <span className="command-palette-label">{c.label}</span>
+                <span className="command-palette-group">{c.group}</span>
+                {c.hint && <span className="kbd command-palette-hint">{c.hint}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="command-palette-empty">No matches for “{query}”.</p>
+        )}
+      </div>
+    </div>
+  );
+});
+
+export default CommandPalette;
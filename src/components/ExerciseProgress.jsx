@@ -0,0 +1,81 @@
+import React from "react";
+
+/* Progression chart for one exercise in the Stats overlay. App.jsx builds
+   the points from logged sets — one per session, oldest first, each
+   { at, sets, reps, top, volume, unit }; see exerciseProgress(). The line
+   follows the heaviest weight, or total reps for an exercise logged
+   without weights. */
+
+const MAX_POINTS = 20;
+const W = 320, H = 120, PAD = 12;
+
+function _day(ts) {
+  return new Date(ts).toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+function _num(n) {
+  return Number.isInteger(n) ? String(n) : n.toFixed(1);
+}
+
+const ExerciseProgress = React.memo(function ExerciseProgress({ points, dark }) {
+  const shown = points.slice(-MAX_POINTS);
+  const weighted = shown.some((p) => p.top != null);
+  const value = (p) => (weighted ? p.top ?? 0 : p.reps);
+  const unit = shown[shown.length - 1]?.unit || "";
+  const label = weighted ? `Heaviest${unit ? ` (${unit})` : ""}` : "Total reps";
+
+  const values = shown.map(value);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const x = (i) => (shown.length === 1 ? W / 2 : PAD + (i * (W - 2 * PAD)) / (shown.length - 1));
+  const y = (v) => (hi === lo ? H / 2 : H - PAD - ((v - lo) * (H - 2 * PAD)) / (hi - lo));
+  const first = shown[0];
+  const last = shown[shown.length - 1];
+  const change = values[values.length - 1] - values[0];
+
+  return (
+    <div className={`exercise-progress${dark ? " dark-mode" : ""}`}>
+      <p className="exercise-progress-head">
+        <span>{label}</span>
+        <span className="exercise-progress-value">
+          {_num(value(last))}
+          {shown.length > 1 && change !== 0 && (
+            <span className={`exercise-progress-change${change > 0 ? " is-up" : " is-down"}`}>
+              {change > 0 ? "+" : "−"}{_num(Math.abs(change))}
+            </span>
+          )}
+        </span>
+      </p>
+      <svg className="exercise-progress-chart" viewBox={`0 0 ${W} ${H}`} role="img" aria-label={`${label} over ${shown.length} sessions`}>
+        <polyline points={shown.map((p, i) => `${x(i)},${y(value(p))}`).join(" ")} />
+        {shown.map((p, i) => (
+          <circle key={p.at} cx={x(i)} cy={y(value(p))} r="3.5">
+            <title>{`${_day(p.at)}: ${_num(value(p))}`}</title>
+          </circle>
+        ))}
+      </svg>
+      <p className="exercise-progress-range">
+        <span>{_day(first.at)}</span>
+        {shown.length > 1 && <span>{_day(last.at)}</span>}
+      </p>
+      <table className="exercise-progress-table">
+        <thead>
+          <tr><th>Session</th><th>Sets</th><th>Reps</th>{weighted && <th>Heaviest</th>}{weighted && <th>Volume</th>}</tr>
+        </thead>
+        <tbody>
+          {[...shown].reverse().slice(0, 5).map((p) => (
+            <tr key={p.at}>
+              <td>{_day(p.at)}</td>
+              <td>{p.sets}</td>
+              <td>{p.reps}</td>
+              {weighted && <td>{p.top != null ? `${_num(p.top)} ${p.unit}`.trim() : "—"}</td>}
+              {weighted && <td>{_num(p.volume)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+});
+
+export default ExerciseProgress;
@@ -0,0 +1,128 @@
+import React, { useMemo, useState } from "react";
+
+/* "New from template" overlay body. App.jsx owns the generators — Tabata,
+   EMOM, HIIT, Pomodoro; see "List generators" there — and this component
+   only picks one, edits its numbers, previews what it will build and hands
+   the result back through `onCreate`. */
+
+/* ---------- helpers needed locally ---------- */
+// formatHMS is a pure function duplicated from App.jsx.
+function _formatHMS(total) {
+  const s = Math.max(0, Math.floor(total));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+/* Consecutive tasks sharing a groupId as one row: { tasks, repeat }. */
+function _rows(built) {
+  const rows = [];
+  for (const t of built.tasks) {
+    const last = rows[rows.length - 1];
+    if (t.groupId && last?.groupId === t.groupId) last.tasks.push(t);
+    else rows.push({ groupId: t.groupId, tasks: [t], repeat: t.groupId ? built.config.groups?.[t.groupId]?.repeat || 1 : 1 });
+  }
+  return rows;
+}
+
+function _uniqueName(base, taken) {
+  if (!taken.includes(base)) return base;
+  let k = 2;
+  while (taken.includes(`${base} (${k})`)) k++;
+  return `${base} (${k})`;
+}
+
+const NO_VALUES = {};
+
+const NewFromTemplate = React.memo(function NewFromTemplate({
+  generators,
+  build,          // (generator, values) => { tasks, config }
+  listNames,      // names already taken
+  dark,
+  onCreate,       // (name, { tasks, config }) => void
+}) {
+  const [pickId, setPickId] = useState(generators[0].id);
+  const [values, setValues] = useState({}); // { [generatorId]: { [field]: string } } as typed
+  const [name, setName] = useState("");
+
+  const gen = generators.find((g) => g.id === pickId) || generators[0];
+  const typed = values[gen.id] || NO_VALUES;
+  const built = useMemo(() => build(gen, typed), [build, gen, typed]);
+  const rows = _rows(built);
+  const total = rows.reduce((acc, r) => acc + r.tasks.reduce((a, t) => a + t.time, 0) * r.repeat, 0);
+  const listName = name.trim() || _uniqueName(gen.name, listNames);
+  const clash = !!name.trim() && listNames.includes(name.trim());
+
+  const setField = (key, v) => setValues((prev) => ({ ...prev, [gen.id]: { ...(prev[gen.id] || {}), [key]: v } }));
+
+  return (
+    <div className="new-from-template">
+      <div className="template-picker" role="radiogroup" aria-label="Template">
+        {generators.map((g) => (
+          <button
+            key={g.id}
+            role="radio"
+            aria-checked={g.id === gen.id}
+            className={`template-card${g.id === gen.id ? " is-active" : ""}${dark ? " dark-mode" : ""}`}
+            onClick={() => setPickId(g.id)}
+          >
+            <i className={`fas ${g.icon}`} />
+            <span className="template-card-name">{g.name}</span>
+            <span className="template-card-blurb">{g.blurb}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className={`template-form${dark ? " dark-mode" : ""}`}>
+        {gen.fields.map((f) => (
+          <label key={f.key}>
+            <span>{f.label}</span>
+            <span className="template-field">
+              <input
+                type="number"
+                min={f.min}
+                max={f.max}
+                value={typed[f.key] ?? gen.defaults[f.key]}
+                onChange={(e) => setField(f.key, e.target.value)}
+              />
+              {f.unit && <span className="template-unit">{f.unit}</span>}
+            </span>
+          </label>
+        ))}
+        <label className="template-name">
+          <span>List name</span>
+          <input type="text" value={name} placeholder={listName} onChange={(e) => setName(e.target.value)} />
+        </label>
+      </div>
+
+      <ol className={`template-preview${dark ? " dark-mode" : ""}`} aria-label="Preview">
+        {rows.map((r, i) => (
+          <li key={i} className={r.repeat > 1 ? "is-block" : ""}>
+            <span className="template-preview-tasks">
+              {r.tasks.map((t) => `${t.name} ${_formatHMS(t.time)}`).join(" · ")}
+            </span>
+            {r.repeat > 1 && <span className="template-preview-repeat">× {r.repeat}</span>}
+          </li>
+        ))}
+      </ol>
+
+      <div className="template-actions">
+        <span className="template-total">
+          {built.tasks.length} {built.tasks.length === 1 ? "task" : "tasks"} · {_formatHMS(total)}
+          {clash && <span className="template-clash"> · a list called {name.trim()} already exists</span>}
+        </span>
+        <button
+          className="template-create"
+          onClick={() => onCreate(listName, built)}
+          disabled={clash || !built.tasks.length}
+        >
+          <i className="fas fa-plus" /> Create list
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default NewFromTemplate;
@@ -33,6 +33,9 @@ function isYouTubeUrl(value = "") {
      .progress-container   bg: #ddd    / #333
      .progress-bar         bg: #4caf50 / #76c7c0   (the teal/mint in dark mode)
      .timer-remaining      color: #2196f3 / #90caf9, font: 'Courier New'
+     .timer-remaining--over color: #e53935 / #ef9a9a (overtime)
+     .timer-remaining--ready color: #8e24aa / #ce93d8 ("Get ready" lead-in)
+     .timer-remaining--waiting color: #ff8f00 / #ffca28 (checkpoint)
      .timer-task-name      color: #333 / #eee, bold 13px
      .btn-start            bg: #4caf50 (hover #43a047)
      .btn-pause            bg: #757575 (hover #616161)
@@ -42,6 +45,9 @@ export default function PipOverlay({
   isRunning,
   currentTask,
   timerDisplayTime,
+  overtime,          // seconds the task has run past zero, 0 otherwise
+  waiting,           // the task is a checkpoint — `overtime` is how long it has waited
+  ready,             // seconds of "Get ready" left before the task starts, 0 otherwise
   progress,
   dark,
   startTimer,
@@ -61,6 +67,9 @@ export default function PipOverlay({
   const labelCol   = dark ? "#eee"    : "#333";
   const subtleCol  = dark ? "#aaa"    : "#777";
   const timerCol   = dark ? "#90caf9" : "#2196f3";
+  const overCol    = dark ? "#ef9a9a" : "#e53935";
+  const readyCol   = dark ? "#ce93d8" : "#8e24aa";
+  const waitCol    = dark ? "#ffca28" : "#ff8f00";
   const btnStart   = "#4caf50";
   const btnPause   = "#757575";
   const ytBadge    = dark ? "#ff5252" : "#c62828";
@@ -141,7 +150,7 @@ export default function PipOverlay({
               style={{
                 fontSize: 13,
                 fontWeight: 700,
-                color: labelCol,
+                color: ready > 0 ? readyCol : labelCol,
                 overflow: "hidden",
                 textOverflow: "ellipsis",
                 whiteSpace: "nowrap",
@@ -149,7 +158,7 @@ export default function PipOverlay({
                 minWidth: 0,
               }}
             >
-              {taskLabel}
+              {ready > 0 ? `Get ready · ${taskLabel}` : taskLabel}
             </div>
           )}
           <div
@@ -174,16 +183,16 @@ export default function PipOverlay({
             alignItems: "center",
             justifyContent: "flex-start",
             fontFamily: "'Courier New', Courier, monospace",
-            fontSize: 40,
+            fontSize: waiting && !(ready > 0) ? 28 : 40,
             fontWeight: 700,
-            color: isRunning ? timerCol : subtleCol,
+            color: ready > 0 ? readyCol : waiting ? waitCol : overtime > 0 ? overCol : isRunning ? timerCol : subtleCol,
             letterSpacing: "0.04em",
             lineHeight: 1,
             minHeight: 0,
             textShadow: dark ? "0 1px 0 rgba(0,0,0,0.4)" : "none",
           }}
         >
-          {formatHMS(timerDisplayTime)}
+          {ready > 0 ? formatHMS(ready) : waiting ? `Waiting ${formatHMS(overtime)}` : overtime > 0 ? `+${formatHMS(overtime)}` : formatHMS(timerDisplayTime)}
         </div>
 
         {/* Play / Pause — mirrors .btn-start / .btn-pause */}
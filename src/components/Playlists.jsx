@@ -0,0 +1,148 @@
+import React from "react";
+
+/* Playlist editor for the Playlists overlay. A playlist chains existing lists
+   into one run — { id, name, items: [{ list, repeat }], stats } — and App.jsx
+   plays it; see "Playlists" there. Every edit goes straight back through
+   `onSave` as a whole playlist, so each one lands in the undo history. */
+
+/* ---------- helpers needed locally ---------- */
+// formatHMS is a pure function duplicated from App.jsx.
+function _formatHMS(total) {
+  const s = Math.max(0, Math.floor(total));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+function _repeat(item) {
+  return Math.max(1, Math.floor(item?.repeat || 1));
+}
+
+const Playlists = React.memo(function Playlists({
+  playlists,
+  listOrder,
+  durations,      // { [list]: seconds } for one full run of each list
+  playingId,      // id of the playlist playing now, or null
+  dark,
+  onSave,
+  onDelete,
+  onPlay,
+}) {
+  const addPlaylist = () => {
+    const taken = new Set(playlists.map((p) => p.name));
+    let n = playlists.length + 1;
+    while (taken.has(`Playlist ${n}`)) n++;
+    onSave({ id: crypto.randomUUID(), name: `Playlist ${n}`, items: [] });
+  };
+
+  const setItems = (pl, items) => onSave({ ...pl, items });
+
+  return (
+    <div className="playlists">
+      {!playlists.length && (
+        <p className="playlists-empty">
+          No playlists yet. A playlist plays lists back to back — a warm-up, then the workout, then a cool-down — as one run.
+        </p>
+      )}
+      {playlists.map((pl) => {
+        const total = pl.items.reduce((acc, it) => acc + (durations[it.list] ?? 0) * _repeat(it), 0);
+        const playable = pl.items.some((it) => listOrder.includes(it.list));
+        const runs = pl.stats?.runsCompleted || 0;
+        return (
+          <div key={pl.id} className={`playlist-card${dark ? " dark-mode" : ""}${pl.id === playingId ? " is-playing" : ""}`}>
+            <div className="playlist-card-head">
+              <input
+                type="text"
+                className="playlist-name"
+                value={pl.name}
+                onChange={(e) => onSave({ ...pl, name: e.target.value })}
+                aria-label="Playlist name"
+              />
+              <span className="playlist-total">{_formatHMS(total)}</span>
+              <button
+                className="playlist-play"
+                onClick={() => onPlay(pl.id)}
+                disabled={!playable}
+                title={pl.id === playingId ? "Start this playlist over" : "Play this playlist"}
+              >
+                <i className="fas fa-play" /> {pl.id === playingId ? "Restart" : "Play"}
+              </button>
+            </div>
+            {pl.items.length > 0 && (
+              <ol className="playlist-items">
+                {pl.items.map((it, i) => {
+                  const missing = !listOrder.includes(it.list);
+                  return (
+                    <li key={i} className={missing ? "is-missing" : ""}>
+                      <span className="playlist-item-pos">{i + 1}</span>
+                      <select
+                        value={it.list}
+                        onChange={(e) => setItems(pl, pl.items.map((x, k) => (k === i ? { ...x, list: e.target.value } : x)))}
+                        aria-label={`List ${i + 1}`}
+                      >
+                        {missing && <option value={it.list}>{it.list} (deleted)</option>}
+                        {listOrder.map((name) => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                      <label className="playlist-item-repeat">
+                        ×
+                        <input
+                          type="number"
+                          min="1"
+                          max="99"
+                          value={_repeat(it)}
+                          onChange={(e) => setItems(pl, pl.items.map((x, k) => (k === i ? { ...x, repeat: Math.min(99, Math.max(1, Math.floor(Number(e.target.value)) || 1)) } : x)))}
+                          aria-label={`Times to play ${it.list}`}
+                        />
+                      </label>
+                      <span className="playlist-item-time">{missing ? "—" : _formatHMS((durations[it.list] ?? 0) * _repeat(it))}</span>
+                      <button
+                        onClick={() => setItems(pl, pl.items.map((x, k) => (k === i - 1 ? pl.items[i] : k === i ? pl.items[i - 1] : x)))}
+                        disabled={i === 0}
+                        aria-label="Move up"
+                      >
+                        <i className="fas fa-arrow-up" />
+                      </button>
+                      <button
+                        onClick={() => setItems(pl, pl.items.map((x, k) => (k === i + 1 ? pl.items[i] : k === i ? pl.items[i + 1] : x)))}
+                        disabled={i === pl.items.length - 1}
+                        aria-label="Move down"
+                      >
+                        <i className="fas fa-arrow-down" />
+                      </button>
+                      <button onClick={() => setItems(pl, pl.items.filter((_, k) => k !== i))} aria-label={`Remove ${it.list}`}>
+                        <i className="fas fa-xmark" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+            <div className="playlist-card-foot">
+              <select
+                value=""
+                onChange={(e) => { if (e.target.value) setItems(pl, [...pl.items, { list: e.target.value, repeat: 1 }]); }}
+                aria-label="Add a list"
+              >
+                <option value="">+ Add a list…</option>
+                {listOrder.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+              {runs > 0 && (
+                <span className="playlist-stats">
+                  Played {runs} {runs === 1 ? "time" : "times"} · {_formatHMS(pl.stats.timeWorked || 0)}
+                </span>
+              )}
+              <button className="stats-reset-btn" onClick={() => onDelete(pl.id)}>Delete playlist</button>
+            </div>
+          </div>
+        );
+      })}
+      <button className="playlists-add" onClick={addPlaylist}>
+        <i className="fas fa-plus" /> New playlist
+      </button>
+    </div>
+  );
+});
+
+export default Playlists;
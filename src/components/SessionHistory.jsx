@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+
+/* Browsable per-session history for the Stats overlay. Each entry is a record
+   written by App.jsx when a run finishes or is abandoned; see sessionRecord().
+   Memoised so the 200ms timer tick doesn't re-render the whole history. */
+
+/* ---------- helpers needed locally ---------- */
+// formatHMS is a pure function duplicated from App.jsx.
+function _formatHMS(total) {
+  const s = Math.max(0, Math.floor(total));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+// formatSetAmount, likewise — a logged set's "10 reps × 40 kg".
+function _setAmount({ reps, weight, unit }) {
+  return [reps ? `${reps} reps` : null, weight != null ? `${weight} ${unit || ""}`.trim() : null].filter(Boolean).join(" × ");
+}
+
+function _clock(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+function _dayLabel(ts) {
+  const d = new Date(ts);
+  const today = new Date();
+  const yesterday = new Date(today);
+  yesterday.setDate(today.getDate() - 1);
+  if (d.toDateString() === today.toDateString()) return "Today";
+  if (d.toDateString() === yesterday.toDateString()) return "Yesterday";
+  return d.toLocaleDateString([], { weekday: "short", month: "short", day: "numeric", year: d.getFullYear() === today.getFullYear() ? undefined : "numeric" });
+}
+
+const OUTCOMES = {
+  completed: { icon: "fa-check-circle", label: "Completed" },
+  early:     { icon: "fa-check-double", label: "Completed early" },
+  skipped:   { icon: "fa-forward",      label: "Skipped" },
+};
+const UNFINISHED = { icon: "fa-circle-half-stroke", label: "Not finished" };
+
+const PAGE_SIZE = 20;
+
+const SessionHistory = React.memo(function SessionHistory({ sessions, dark, onDelete }) {
+  const [openId, setOpenId] = useState(null);
+  const [confirmId, setConfirmId] = useState(null);
+  const [shown, setShown] = useState(PAGE_SIZE);
+
+  if (!sessions.length) {
+    return <p className="session-history-empty">No sessions yet — finished and stopped runs will appear here.</p>;
+  }
+
+  // Most recent first, grouped under the day each session started — sorted
+  // on the same field so a run past midnight can't split a day in two.
+  const visible = [...sessions].sort((a, b) => b.startedAt - a.startedAt).slice(0, shown);
+  const byDay = new Map();
+  for (const s of visible) {
+    const label = _dayLabel(s.startedAt);
+    if (!byDay.has(label)) byDay.set(label, { label, items: [] });
+    byDay.get(label).items.push(s);
+  }
+  const days = [...byDay.values()];
+
+  return (
+    <div className="session-history">
+      {days.map((day) => (
+        <div key={day.label} className="session-history-day">
+          <p className="session-history-day-label">{day.label}</p>
+          <div className="stats-accordion">
+            {day.items.map((s) => {
+              const isOpen = openId === s.id;
+              const pausedFor = s.pauses.reduce((acc, p) => acc + (p.end - p.start), 0) / 1000;
+              const done = s.tasks.filter((t) => t.outcome === "completed" || t.outcome === "early").length;
+              // Label rows by round only when the session actually repeated
+              const multiRound = s.tasks.some((t) => (t.round ?? 1) > 1);
+              const multiBlock = s.tasks.some((t) => (t.groupRound ?? 1) > 1);
+              return (
+                <div key={s.id} className={`stats-accordion-item${dark ? " dark-mode" : ""}`}>
+                  <button
+                    className={`stats-accordion-header${isOpen ? " is-open" : ""}`}
+                    onClick={() => { setOpenId(isOpen ? null : s.id); setConfirmId(null); }}
+                    aria-expanded={isOpen}
+                  >
+                    <i
+                      className={`fas ${s.completed ? "fa-flag-checkered" : "fa-stop-circle"} session-history-status${s.completed ? " is-complete" : ""}`}
+                      title={s.completed ? "Finished" : "Stopped early"}
+                    />
+                    <span className="stats-accordion-name">{s.list}</span>
+                    <span className="stats-accordion-meta">{_clock(s.startedAt)} · {_formatHMS(s.worked)}</span>
+                    <i className="fas fa-chevron-down stats-accordion-chevron" />
+                  </button>
+                  <div className={`stats-accordion-body${isOpen ? " is-open" : ""}`}>
+                    <div className="stats-accordion-body-inner">
+                      <dl className="session-history-summary">
+                        <div><dt>Time</dt><dd>{_clock(s.startedAt)} – {_clock(s.endedAt)}</dd></div>
+                        <div><dt>Worked</dt><dd>{_formatHMS(s.worked)}</dd></div>
+                        <div><dt>Tasks</dt><dd>{done} of {s.tasks.length}</dd></div>
+                        <div>
+                          <dt>Pauses</dt>
+                          <dd>{s.pauses.length ? `${s.pauses.length} · ${_formatHMS(pausedFor)}` : "None"}</dd>
+                        </div>
+                      </dl>
+                      <table className="session-history-tasks">
+                        <thead>
+                          <tr><th>Task</th><th>Planned</th><th>Actual</th><th aria-label="Outcome" /></tr>
+                        </thead>
+                        <tbody>
+                          {s.tasks.map((t) => {
+                            const o = OUTCOMES[t.outcome] || UNFINISHED;
+                            const rounds = [
+                              multiRound ? `R${t.round ?? 1}` : null,
+                              multiBlock && t.groupRound != null ? `B${t.groupRound}` : null,
+                            ].filter(Boolean).join(" · ");
+                            return (
+                              <tr key={`${t.id}-${t.round ?? 1}-${t.groupRound ?? 0}`}>
+                                <td className="session-history-task-name">
+                                  {t.name}
+                                  {rounds && <span className="session-history-round">{rounds}</span>}
+                                  {t.result && <span className="session-history-result"><i className="fas fa-dumbbell" /> {_setAmount(t.result) || "Logged"}</span>}
+                                </td>
+                                <td>{_formatHMS(t.planned)}</td>
+                                <td>
+                                  {_formatHMS(t.actual)}
+                                  {t.actual >= t.planned + 1 && <span className="session-history-over">+{_formatHMS(t.actual - t.planned)}</span>}
+                                </td>
+                                <td><i className={`fas ${o.icon} session-history-outcome is-${t.outcome || "unfinished"}`} title={o.label} /></td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                      <div className="stats-accordion-footer">
+                        {confirmId === s.id ? (
+                          <span className="session-history-confirm">
+                            Delete this session?
+                            <button className="stats-reset-btn" onClick={() => { onDelete(s.id); setOpenId(null); setConfirmId(null); }}>Delete</button>
+                            <button className="stats-reset-btn" onClick={() => setConfirmId(null)}>Cancel</button>
+                          </span>
+                        ) : (
+                          <button className="stats-reset-btn" onClick={() => setConfirmId(s.id)}>Delete session</button>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+      {sessions.length > shown && (
+        <button className="session-history-more" onClick={() => setShown((n) => n + PAGE_SIZE)}>
+          Show more ({sessions.length - shown} older)
+        </button>
+      )}
+    </div>
+  );
+});
+
+export default SessionHistory;
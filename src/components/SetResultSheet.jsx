@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+
+/* Quick entry sheet shown when a set finishes: what was actually done,
+   filled in with the set's target so a set that went to plan is one tap.
+   App.jsx stores the answer on the set's session log entry; see "Sets"
+   there. Keyed by the set, so the fields start over for each one. */
+
+const SetResultSheet = React.memo(function SetResultSheet({
+  exercise,       // the set's target — { name, set, sets, reps, weight, unit }
+  dark,
+  onSave,         // ({ reps, weight, unit }) => void
+  onSkip,
+}) {
+  const [reps, setReps] = useState(exercise.reps ? String(exercise.reps) : "");
+  const [weight, setWeight] = useState(exercise.weight != null ? String(exercise.weight) : "");
+
+  const save = () => {
+    const r = Math.max(0, Math.floor(Number(reps)) || 0);
+    const w = weight.trim() === "" ? null : Math.max(0, Number(weight) || 0);
+    onSave({ reps: r, weight: w, unit: exercise.unit || "" });
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") { e.preventDefault(); save(); }
+    else if (e.key === "Escape") { e.preventDefault(); onSkip(); }
+  };
+
+  return (
+    <div className={`set-result${dark ? " dark-mode" : ""}`} role="dialog" aria-label={`Log ${exercise.name} set ${exercise.set}`}>
+      <p className="set-result-title">
+        <i className="fas fa-dumbbell" /> {exercise.name}
+        <span className="set-result-set">Set {exercise.set} of {exercise.sets} done</span>
+      </p>
+      <div className="set-result-fields">
+        <label>
+          Reps
+          <input
+            type="number"
+            min="0"
+            inputMode="numeric"
+            value={reps}
+            onChange={(e) => setReps(e.target.value)}
+            onKeyDown={onKeyDown}
+            autoFocus
+          />
+        </label>
+        <label>
+          {exercise.unit ? `Weight (${exercise.unit})` : "Weight"}
+          <input
+            type="number"
+            min="0"
+            step="any"
+            inputMode="decimal"
+            value={weight}
+            onChange={(e) => setWeight(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder="—"
+          />
+        </label>
+        <button className="set-result-skip" onClick={onSkip}>Skip</button>
+        <button className="set-result-save" onClick={save}>Log set</button>
+      </div>
+    </div>
+  );
+});
+
+export default SetResultSheet;
@@ -49,6 +49,10 @@ function ytIframeSrc(id) {
   return `https://www.youtube.com/embed/${id}?enablejsapi=1&autoplay=1&rel=0&modestbranding=1&playsinline=1`;
 }
 
+function formatSetAmount({ reps, weight, unit }) {
+  return [reps ? `${reps} reps` : null, weight != null ? `${weight} ${unit || ""}`.trim() : null].filter(Boolean).join(" × ");
+}
+
 function formatHMS(total) {
   const s = Math.max(0, Math.floor(total));
   const h = Math.floor(s / 3600);
@@ -58,6 +62,17 @@ function formatHMS(total) {
   return `${m}:${String(r).padStart(2, "0")}`;
 }
 
+function clockHM(ms) {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+/* "HH:MM" plus `seconds`, as "HH:MM" — the end of a pinned task. */
+function addClock(hhmm, seconds) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return clockHM(new Date(2000, 0, 1, h, m).getTime() + seconds * 1000);
+}
+
 function bestUnit(totalSeconds) {
   if (totalSeconds >= 3600 && totalSeconds % 3600 === 0) return "hours";
   if (totalSeconds >= 60 && totalSeconds % 60 === 0) return "minutes";
@@ -91,19 +106,26 @@ const TaskList = React.memo(function TaskList({
   newTaskId,
   skipAnim,
   droppedIndex,
+  groupRound,       // current block round while a session runs on this list, else null
+  schedule,         // { starts: { [i]: ms }, missed: { [i]: ms } } for clock times, or null
   // callbacks
   editTask,
   removeTask,
+  editBlock,
+  setBlockRepeat,
+  editSection,
   patch,
   setEditValues,
   setMenuOpenTask,
   onTaskPointerDown,
   onTaskPointerMove,
   onTaskPointerUp,
+  onSectionPointerDown,
 }) {
   const [removingId, setRemovingId] = React.useState(null);
   const [closingEditId, setClosingEditId] = React.useState(null);
   const [confirmDeleteId, setConfirmDeleteId] = React.useState(null);
+  const [renaming, setRenaming] = React.useState(null); // { id, value } while a section name is edited
   React.useEffect(() => { setConfirmDeleteId(null); }, [menuOpenTask]);
 
   const removeTaskAnimated = React.useCallback((taskId, idx) => {
@@ -125,11 +147,96 @@ const TaskList = React.memo(function TaskList({
     }, 180);
   }, [editTask, setEditValues, setMenuOpenTask]);
 
+  /* Header row above the first task of a section: drag handle, collapse
+     toggle, name, task count and subtotal, and a checkbox for the lot. */
+  const renderSectionHeader = (t, i) => {
+    let end = i;
+    while (tasks[end + 1]?.sectionId === t.sectionId) end++;
+    const members = tasks.slice(i, end + 1);
+    const section = config.sections?.[t.sectionId] || {};
+    const name = section.name || "Section";
+    const enabledCount = members.filter((x) => x.enabled).length;
+    // Subtotal of one pass, blocks counted at their repeat
+    const subtotal = members.reduce(
+      (a, x) => a + (x.enabled ? x.time * Math.max(1, (x.groupId && config.groups?.[x.groupId]?.repeat) || 1) : 0),
+      0
+    );
+    const isRenaming = renaming?.id === t.sectionId;
+    const finishRename = (save) => {
+      if (save) editSection(i, "rename", renaming.value);
+      setRenaming(null);
+    };
+    return (
+      <li
+        key={`section-${t.sectionId}`}
+        className={`task-section-header${section.collapsed ? " is-collapsed" : ""}${!enabledCount ? " disabled" : ""}${dark ? " dark-mode" : ""}`}
+        onPointerDown={(e) => onSectionPointerDown(t.sectionId, e)}
+        onPointerMove={onTaskPointerMove}
+        onPointerUp={onTaskPointerUp}
+        onPointerCancel={onTaskPointerUp}
+      >
+        <div className="drag-handle" data-drag-handle="true" title="Drag to move section">
+          <i className="fas fa-grip-vertical" />
+        </div>
+        <button
+          className="task-section-toggle"
+          onClick={() => editSection(i, section.collapsed ? "expand" : "collapse")}
+          aria-expanded={!section.collapsed}
+          aria-label={section.collapsed ? `Expand ${name}` : `Collapse ${name}`}
+        >
+          <i className="fas fa-chevron-down" />
+        </button>
+        {isRenaming ? (
+          <input
+            type="text"
+            className="task-section-rename"
+            value={renaming.value}
+            onChange={(e) => setRenaming({ id: t.sectionId, value: e.target.value })}
+            onKeyDown={(e) => { if (e.key === "Enter") finishRename(true); else if (e.key === "Escape") finishRename(false); }}
+            onBlur={() => finishRename(true)}
+            autoFocus
+          />
+        ) : (
+          <span className="task-section-name" onDoubleClick={() => setRenaming({ id: t.sectionId, value: name })}>{name}</span>
+        )}
+        <span className="task-section-meta">
+          {members.length} {members.length === 1 ? "task" : "tasks"} · {formatHMS(subtotal)}
+        </span>
+        <div className="task-section-actions">
+          <div className="enable-checkbox-wrapper" title="Enable/disable every task in this section">
+            <input
+              type="checkbox"
+              id={`sectionEnabledCheckbox${i}`}
+              className="enable-checkbox"
+              checked={enabledCount > 0}
+              ref={(el) => { if (el) el.indeterminate = enabledCount > 0 && enabledCount < members.length; }}
+              onChange={(e) => editSection(i, e.target.checked ? "enable" : "disable")}
+            />
+            <label className="enable-checkbox-label" htmlFor={`sectionEnabledCheckbox${i}`}></label>
+          </div>
+          <button className="icon-button" title="Rename section" onClick={() => setRenaming({ id: t.sectionId, value: name })}>
+            <i className="fas fa-pen" />
+          </button>
+          <button className="icon-button" title="Remove header (tasks are kept)" onClick={() => editSection(i, "remove")}>
+            <i className="fas fa-xmark" />
+          </button>
+        </div>
+      </li>
+    );
+  };
+
   return (
     <ul id="taskList" ref={listRef} className={config.compactTasks ? "compact" : ""}>
       {tasks.map((t, i) => {
         const isCurrent = i === currentTaskIndex;
+        const sectionStart = !!t.sectionId && tasks[i - 1]?.sectionId !== t.sectionId;
+        const header = sectionStart ? renderSectionHeader(t, i) : null;
+        // A collapsed section still shows the task the timer is on
+        if (t.sectionId && config.sections?.[t.sectionId]?.collapsed && !isCurrent) return header;
         const isCompleted = t.remaining === 0 && t.time > 0;
+        // Blocks: consecutive tasks sharing a groupId, repeated as a unit
+        const blockStart = !!t.groupId && tasks[i - 1]?.groupId !== t.groupId;
+        const blockEnd = !!t.groupId && tasks[i + 1]?.groupId !== t.groupId;
         const itemCls = [
           "task-item",
           isCurrent ? "current" : "",
@@ -145,6 +252,10 @@ const TaskList = React.memo(function TaskList({
           t.id === removingId ? "task-item--removing" : "",
           t.id === closingEditId ? "task-item--edit-closing" : "",
           menuOpenTask === i ? "task-item--menu-open" : "",
+          t.groupId ? "task-item--block" : "",
+          t.sectionId ? "task-item--sectioned" : "",
+          blockStart ? "task-item--block-start" : "",
+          blockEnd ? "task-item--block-end" : "",
         ].filter(Boolean).join(" ");
         // Validate ytId against the strict 11-char regex before embedding
         const ytId = safeYtId(t?.meta?.ytId || (isYouTubeUrl(t.name) ? parseYouTubeId(t.name) : null));
@@ -158,7 +269,12 @@ const TaskList = React.memo(function TaskList({
           const ev = editValues[t.id] || {};
           const newName = String(ev.name ?? t.name).trim();
           const newTime = fromDisplayTime(ev.time ?? t.time, ev.unit || "seconds");
-          const saveFields = (newName && newTime > 0) ? { name: newName, time: newTime } : null;
+          const checkpoint = ev.checkpoint ?? !!t.checkpoint;
+          // A checkpoint's time is only an estimate, so none at all is fine
+          const saveFields = (newName && (newTime > 0 || (checkpoint && newTime === 0))) ? { name: newName, time: newTime } : null;
+          if (saveFields && checkpoint !== !!t.checkpoint) saveFields.checkpoint = checkpoint || undefined;
+          // Only a changed pin goes through, since saving one refits the schedule
+          if (saveFields && (ev.at ?? t.at ?? "") !== (t.at ?? "")) saveFields.at = ev.at || undefined;
           closeEditAnimated(t.id, i, !!saveFields, saveFields);
         };
         const cancelEdit = (e) => {
@@ -167,173 +283,303 @@ const TaskList = React.memo(function TaskList({
         };
 
         return (
-          <li
-            key={t.id}
-            data-task-id={t.id}
-            className={itemCls}
-            style={{ position: "relative" }}
-            onPointerDown={(e) => onTaskPointerDown(i, e)}
-            onPointerMove={onTaskPointerMove}
-            onPointerUp={onTaskPointerUp}
-            onPointerCancel={onTaskPointerUp}
-            onClick={(e) => {
-              if (e.target.closest(".task-actions")) return;
-              if (!t.enabled) return;
-              setMenuOpenTask(null);
-              patch((n) => { n.currentTaskIndex = i; });
-            }}
-          >
-            <div
-              className="drag-handle"
-              data-drag-handle="true"
-              title="Drag to reorder"
-              onClick={(e) => e.stopPropagation()}
+          <React.Fragment key={t.id}>
+            {header}
+            <li
+              data-task-id={t.id}
+              data-task-index={i}
+              className={itemCls}
+              style={{ position: "relative" }}
+              onPointerDown={(e) => onTaskPointerDown(i, e)}
+              onPointerMove={onTaskPointerMove}
+              onPointerUp={onTaskPointerUp}
+              onPointerCancel={onTaskPointerUp}
+              onClick={(e) => {
+                if (e.target.closest(".task-actions")) return;
+                if (!t.enabled) return;
+                setMenuOpenTask(null);
+                patch((n) => { n.currentTaskIndex = i; });
+              }}
             >
-              <i className="fas fa-grip-vertical" />
-            </div>
-            <div className="task-details">
-              {t.editing ? (
-                <div className="task-edit-inline" onClick={(e) => e.stopPropagation()}>
-                  <input
-                    type="text"
-                    value={editValues[t.id]?.name ?? t.name}
-                    onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), name: e.target.value } }))}
-                    placeholder="Task name or YouTube URL"
-                    onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); saveEdit(e); } else if (e.key === "Escape") cancelEdit(e); }}
-                    autoFocus
-                  />
-                  <div className="task-edit-time-row">
+              <div
+                className="drag-handle"
+                data-drag-handle="true"
+                title="Drag to reorder"
+                onClick={(e) => e.stopPropagation()}
+              >
+                <i className="fas fa-grip-vertical" />
+              </div>
+              <div className="task-details">
+                {t.editing ? (
+                  <div className="task-edit-inline" onClick={(e) => e.stopPropagation()}>
                     <input
-                      type="number"
-                      value={editValues[t.id]?.time ?? t.time}
-                      onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), time: e.target.value } }))}
+                      type="text"
+                      value={editValues[t.id]?.name ?? t.name}
+                      onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), name: e.target.value } }))}
+                      placeholder="Task name or YouTube URL"
                       onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); saveEdit(e); } else if (e.key === "Escape") cancelEdit(e); }}
-                      min="1"
+                      autoFocus
                     />
-                    <select
-                      className="task-edit-unit-select"
-                      value={editValues[t.id]?.unit ?? "seconds"}
-                      onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), unit: e.target.value } }))}
-                      onClick={(ev) => ev.stopPropagation()}
-                    >
-                      <option value="seconds">Seconds</option>
-                      <option value="minutes">Minutes</option>
-                      <option value="hours">Hours</option>
-                    </select>
-                  </div>
-                  <div className="task-edit-actions">
-                    <button className="task-edit-save" onClick={saveEdit}>
-                      <i className="fas fa-check" /> Save
-                    </button>
-                    <button className="task-edit-cancel" onClick={cancelEdit}>
-                      <i className="fas fa-times" /> Cancel
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <>
-                  <div className="task-name">
-                    {isYouTubeUrl(t.name) ? "YouTube video" : t.name}
-                  </div>
-                  {config.showTaskRowRemaining !== false && (
-                    <div className="task-time">
-                      ({formatHMS(config.timerDirection === "countup" ? t.time - t.remaining : t.remaining)} {config.timerDirection === "countup" ? "elapsed" : "remaining"})
+                    <div className="task-edit-time-row">
+                      <input
+                        type="number"
+                        value={editValues[t.id]?.time ?? t.time}
+                        onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), time: e.target.value } }))}
+                        onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); saveEdit(e); } else if (e.key === "Escape") cancelEdit(e); }}
+                        min={(editValues[t.id]?.checkpoint ?? t.checkpoint) ? "0" : "1"}
+                      />
+                      <select
+                        className="task-edit-unit-select"
+                        value={editValues[t.id]?.unit ?? "seconds"}
+                        onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), unit: e.target.value } }))}
+                        onClick={(ev) => ev.stopPropagation()}
+                      >
+                        <option value="seconds">Seconds</option>
+                        <option value="minutes">Minutes</option>
+                        <option value="hours">Hours</option>
+                      </select>
                     </div>
-                  )}
-
-                  {/* Embedded YouTube player — only rendered for the current task so the
-                      iframe ID (`yt-iframe-${currentList}__${i}`) matches exactly what
-                      playYouTubeIfAny() looks up.  Rendering all tasks' iframes would
-                      produce duplicate / wrong IDs and waste resources. */}
-                  {ytId && isCurrent && (
-                    <div className="yt-embed-wrapper">
-                      <iframe
-                        id={`yt-iframe-${currentList}__${i}`}
-                        data-yt-frame="1"
-                        src={ytIframeSrc(ytId)}
-                        title="YouTube video"
-                        style={{ width: "100%", aspectRatio: "16 / 9", border: 0 }}
-                        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
-                        allowFullScreen
+                    <label className="task-edit-checkpoint">
+                      <input
+                        type="checkbox"
+                        checked={editValues[t.id]?.checkpoint ?? !!t.checkpoint}
+                        onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), checkpoint: e.target.checked } }))}
+                      />
+                      <i className="fas fa-hand" /> Checkpoint
+                      <span className="task-edit-pin-hint">waits for you to tap Done; the time is an optional estimate</span>
+                    </label>
+                    <label className="task-edit-pin">
+                      <i className="fas fa-thumbtack" /> Starts at
+                      <input
+                        type="time"
+                        value={editValues[t.id]?.at ?? t.at ?? ""}
+                        onChange={(e) => setEditValues((prev) => ({ ...prev, [t.id]: { ...(prev[t.id] || {}), at: e.target.value } }))}
+                        onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); saveEdit(e); } else if (e.key === "Escape") cancelEdit(e); }}
                       />
+                      <span className="task-edit-pin-hint">optional — pins the task to the clock</span>
+                    </label>
+                    <div className="task-edit-actions">
+                      <button className="task-edit-save" onClick={saveEdit}>
+                        <i className="fas fa-check" /> Save
+                      </button>
+                      <button className="task-edit-cancel" onClick={cancelEdit}>
+                        <i className="fas fa-times" /> Cancel
+                      </button>
                     </div>
-                  )}
-                </>
-              )}
-            </div>
+                  </div>
+                ) : (
+                  <>
+                    {blockStart && (() => {
+                      const members = tasks.filter((x) => x.groupId === t.groupId);
+                      const repeat = Math.max(1, config.groups?.[t.groupId]?.repeat || 1);
+                      const blockTime = members.reduce((a, x) => a + (x.enabled ? x.time : 0), 0);
+                      const active = groupRound != null && tasks[currentTaskIndex]?.groupId === t.groupId;
+                      return (
+                        <div className="task-block-badge" onClick={(e) => e.stopPropagation()}>
+                          <i className="fas fa-repeat" aria-hidden="true" />
+                          <button
+                            className="task-block-step"
+                            onClick={() => setBlockRepeat(t.groupId, repeat - 1)}
+                            disabled={repeat <= 1}
+                            aria-label="Fewer rounds"
+                          >
+                            <i className="fas fa-minus" />
+                          </button>
+                          <span className="task-block-repeat">×{repeat}</span>
+                          <button
+                            className="task-block-step"
+                            onClick={() => setBlockRepeat(t.groupId, repeat + 1)}
+                            disabled={repeat >= 99}
+                            aria-label="More rounds"
+                          >
+                            <i className="fas fa-plus" />
+                          </button>
+                          <span className="task-block-meta">
+                            {active ? `Round ${groupRound} of ${repeat} · ` : ""}{formatHMS(blockTime * repeat)}
+                          </span>
+                        </div>
+                      );
+                    })()}
+                    {schedule && (t.at || schedule.starts[i] != null) && (() => {
+                      const start = schedule.starts[i];
+                      const missed = schedule.missed[i];
+                      const drifting = !!t.at && start != null && clockHM(start) !== t.at;
+                      const cls = [
+                        "task-clock",
+                        t.at ? "task-clock--pinned" : "",
+                        missed != null ? "task-clock--missed" : drifting ? "task-clock--drift" : "",
+                      ].filter(Boolean).join(" ");
+                      const title = missed != null
+                        ? `Can't start at ${t.at}: ${formatHMS(Math.abs(missed) / 1000)} ${missed > 0 ? "late" : "early"}`
+                        : drifting ? `Would start at ${clockHM(start)}; the tasks before it are refitted when the timer starts or moves on` : undefined;
+                      return (
+                        <div className={cls} title={title}>
+                          {t.at && <i className="fas fa-thumbtack" aria-label="Pinned" />}
+                          {t.at ? `${t.at}–${addClock(t.at, t.time)}` : clockHM(start)}
+                          {drifting && missed == null && <span className="task-clock-now"> (now {clockHM(start)})</span>}
+                        </div>
+                      );
+                    })()}
+                    <div className="task-name">
+                      {t.checkpoint && !t.exercise && <i className="fas fa-hand task-checkpoint-icon" title="Checkpoint — waits for you" />}
+                      {isYouTubeUrl(t.name) ? "YouTube video" : t.name}
+                    </div>
+                    {t.exercise && formatSetAmount(t.exercise) && (
+                      <div className="task-exercise">
+                        <i className="fas fa-dumbbell" /> {formatSetAmount(t.exercise)}
+                      </div>
+                    )}
+                    {config.showTaskRowRemaining !== false && (t.checkpoint ? (
+                      <div className={`task-time task-time--checkpoint${t.remaining < 0 ? " is-waiting" : ""}`}>
+                        ({t.remaining < 0 ? `waiting ${formatHMS(-t.remaining)}` : t.time > 0 ? `checkpoint · about ${formatHMS(t.time)}` : "checkpoint"})
+                      </div>
+                    ) : t.remaining < 0 ? (
+                      <div className="task-time task-time--over">(+{formatHMS(-t.remaining)} overtime)</div>
+                    ) : (
+                      <div className="task-time">
+                        ({formatHMS(config.timerDirection === "countup" ? t.time - t.remaining : t.remaining)} {config.timerDirection === "countup" ? "elapsed" : "remaining"})
+                      </div>
+                    ))}
 
-            {/* Thumbnail for non-current YouTube tasks */}
-            {ytId && !isCurrent && !t.editing && (
-              <div className="yt-thumb-wrapper" onClick={(e) => e.stopPropagation()}>
-                <img
-                  src={`https://img.youtube.com/vi/${ytId}/mqdefault.jpg`}
-                  alt="Video thumbnail"
-                  className="yt-thumb"
-                  loading="lazy"
-                />
-                <i className="fas fa-play yt-thumb-play" aria-hidden="true" />
+                    {/* Embedded YouTube player — only rendered for the current task so the
+                        iframe ID (`yt-iframe-${currentList}__${i}`) matches exactly what
+                        playYouTubeIfAny() looks up.  Rendering all tasks' iframes would
+                        produce duplicate / wrong IDs and waste resources. */}
+                    {ytId && isCurrent && (
+                      <div className="yt-embed-wrapper">
+                        <iframe
+                          id={`yt-iframe-${currentList}__${i}`}
+                          data-yt-frame="1"
+                          src={ytIframeSrc(ytId)}
+                          title="YouTube video"
+                          style={{ width: "100%", aspectRatio: "16 / 9", border: 0 }}
+                          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+                          allowFullScreen
+                        />
+                      </div>
+                    )}
+                  </>
+                )}
               </div>
-            )}
 
-            <div className="task-actions">
-              <div className="enable-checkbox-wrapper" title="Enable/disable this task">
-                <input
-                  type="checkbox"
-                  id={`taskEnabledCheckbox${i}`}
-                  className="enable-checkbox"
-                  checked={t.enabled}
-                  onChange={(e) => editTask(i, { enabled: e.target.checked })}
-                />
-                <label className="enable-checkbox-label" htmlFor={`taskEnabledCheckbox${i}`}></label>
-              </div>
+              {/* Thumbnail for non-current YouTube tasks */}
+              {ytId && !isCurrent && !t.editing && (
+                <div className="yt-thumb-wrapper" onClick={(e) => e.stopPropagation()}>
+                  <img
+                    src={`https://img.youtube.com/vi/${ytId}/mqdefault.jpg`}
+                    alt="Video thumbnail"
+                    className="yt-thumb"
+                    loading="lazy"
+                  />
+                  <i className="fas fa-play yt-thumb-play" aria-hidden="true" />
+                </div>
+              )}
 
-              <button
-                className="icon-button ellipsis-button"
-                title="More actions"
-                data-menu-button="true"
-                onClick={(e) => { e.stopPropagation(); setMenuOpenTask(menuOpenTask === i ? null : i); }}
-              >
-                <i className="fa fa-ellipsis-h" />
-              </button>
+              <div className="task-actions">
+                <div className="enable-checkbox-wrapper" title="Enable/disable this task">
+                  <input
+                    type="checkbox"
+                    id={`taskEnabledCheckbox${i}`}
+                    className="enable-checkbox"
+                    checked={t.enabled}
+                    onChange={(e) => editTask(i, { enabled: e.target.checked })}
+                  />
+                  <label className="enable-checkbox-label" htmlFor={`taskEnabledCheckbox${i}`}></label>
+                </div>
 
-              {menuOpenTask === i && (
-                <div
-                  data-menu-root="true"
-                  className={`menu-popover${dark ? " dark-mode" : ""}`}
-                  style={{ right: 0, top: "calc(100% + 6px)" }}
-                  onClick={(e) => e.stopPropagation()}
+                <button
+                  className="icon-button ellipsis-button"
+                  title="More actions"
+                  data-menu-button="true"
+                  onClick={(e) => { e.stopPropagation(); setMenuOpenTask(menuOpenTask === i ? null : i); }}
                 >
-                  <button
-                    className="menu-item"
-                    onClick={() => {
-                      const unit = bestUnit(t.time);
-                      setEditValues((prev) => ({ ...prev, [t.id]: { name: t.name, time: toDisplayTime(t.time, unit), unit } }));
-                      editTask(i, { editing: true });
-                      setMenuOpenTask(null);
-                    }}
+                  <i className="fa fa-ellipsis-h" />
+                </button>
+
+                {menuOpenTask === i && (
+                  <div
+                    data-menu-root="true"
+                    className={`menu-popover${dark ? " dark-mode" : ""}`}
+                    style={{ right: 0, top: "calc(100% + 6px)" }}
+                    onClick={(e) => e.stopPropagation()}
                   >
-                    <i className="fas fa-pen" /> Edit
-                  </button>
-                  {confirmDeleteId === t.id ? (
-                    <button
-                      className="menu-item menu-danger menu-danger--confirm"
-                      onClick={() => { setMenuOpenTask(null); removeTaskAnimated(t.id, i); }}
-                    >
-                      <i className="fas fa-exclamation-triangle" /> Confirm delete?
-                    </button>
-                  ) : (
                     <button
-                      className="menu-item menu-danger"
-                      onClick={() => setConfirmDeleteId(t.id)}
+                      className="menu-item"
+                      onClick={() => {
+                        const unit = bestUnit(t.time);
+                        setEditValues((prev) => ({ ...prev, [t.id]: { name: t.name, time: toDisplayTime(t.time, unit), unit, at: t.at || "" } }));
+                        editTask(i, { editing: true });
+                        setMenuOpenTask(null);
+                      }}
                     >
-                      <i className="fas fa-trash" /> Delete
+                      <i className="fas fa-pen" /> Edit
                     </button>
-                  )}
-                </div>
-              )}
+                    {!t.groupId && (
+                      <button className="menu-item" onClick={() => { editBlock(i, "create"); setMenuOpenTask(null); }}>
+                        <i className="fas fa-repeat" /> Repeat as block
+                      </button>
+                    )}
+                    {blockEnd && tasks[i + 1] && !tasks[i + 1].groupId && tasks[i + 1].sectionId === t.sectionId && (
+                      <button className="menu-item" onClick={() => { editBlock(i, "extend"); setMenuOpenTask(null); }}>
+                        <i className="fas fa-object-group" /> Add next task to block
+                      </button>
+                    )}
+                    {t.groupId && (blockStart || blockEnd) && !(blockStart && blockEnd) && (
+                      <button className="menu-item" onClick={() => { editBlock(i, "leave"); setMenuOpenTask(null); }}>
+                        <i className="fas fa-right-from-bracket" /> Remove from block
+                      </button>
+                    )}
+                    {t.groupId && (
+                      <button className="menu-item" onClick={() => { editBlock(i, "ungroup"); setMenuOpenTask(null); }}>
+                        <i className="fas fa-object-ungroup" /> Ungroup block
+                      </button>
+                    )}
+                    {(t.time > 0 || !t.checkpoint) && (
+                      <button
+                        className="menu-item"
+                        onClick={() => { editTask(i, { checkpoint: t.checkpoint ? undefined : true, remaining: t.time }); setMenuOpenTask(null); }}
+                      >
+                        <i className={`fas ${t.checkpoint ? "fa-hourglass-half" : "fa-hand"}`} /> {t.checkpoint ? "Count down instead" : "Wait for me (checkpoint)"}
+                      </button>
+                    )}
+                    {!t.checkpoint && (() => {
+                      // Per-task override; dropped again when it matches the list setting
+                      const over = !(t.overtime ?? config.overtime);
+                      return (
+                        <button
+                          className="menu-item"
+                          onClick={() => { editTask(i, { overtime: over === !!config.overtime ? undefined : over }); setMenuOpenTask(null); }}
+                        >
+                          <i className={`fas ${over ? "fa-stopwatch" : "fa-hourglass-end"}`} /> {over ? "Count overtime" : "Stop at zero"}
+                        </button>
+                      );
+                    })()}
+                    {!sectionStart && (
+                      <button className="menu-item" onClick={() => { editSection(i, "create"); setMenuOpenTask(null); }}>
+                        <i className="fas fa-heading" /> Start section here
+                      </button>
+                    )}
+                    {confirmDeleteId === t.id ? (
+                      <button
+                        className="menu-item menu-danger menu-danger--confirm"
+                        onClick={() => { setMenuOpenTask(null); removeTaskAnimated(t.id, i); }}
+                      >
+                        <i className="fas fa-exclamation-triangle" /> Confirm delete?
+                      </button>
+                    ) : (
+                      <button
+                        className="menu-item menu-danger"
+                        onClick={() => setConfirmDeleteId(t.id)}
+                      >
+                        <i className="fas fa-trash" /> Delete
+                      </button>
+                    )}
+                  </div>
+                )}
 
-            </div>
-          </li>
+              </div>
+            </li>
+          </React.Fragment>
         );
       })}
     </ul>
@@ -0,0 +1,89 @@
+import React from "react";
+
+/* Template gallery for the New from template overlay: the bundled templates
+   and the user's own, each turned into a new list with Use. App.jsx keeps
+   the templates and makes the lists; see "Templates" there. */
+
+/* ---------- helpers needed locally ---------- */
+// formatHMS is a pure function duplicated from App.jsx.
+function _formatHMS(total) {
+  const s = Math.max(0, Math.floor(total));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+/* One pass through the template, blocks counted at their repeat. */
+function _seconds(tpl) {
+  return tpl.tasks.reduce((acc, t) => {
+    if (t.enabled === false) return acc;
+    const repeat = t.groupId ? Math.max(1, Math.floor(tpl.config?.groups?.[t.groupId]?.repeat || 1)) : 1;
+    return acc + t.time * repeat;
+  }, 0);
+}
+
+function _summary(tpl) {
+  return `${tpl.tasks.length} ${tpl.tasks.length === 1 ? "task" : "tasks"} · ${_formatHMS(_seconds(tpl))}`;
+}
+
+const TemplateGallery = React.memo(function TemplateGallery({
+  bundled,
+  mine,
+  dark,
+  onUse,          // (template) => void
+  onRename,       // (id, name) => void
+  onDelete,       // (id) => void
+  onImport,
+  onExport,
+}) {
+  return (
+    <div className="template-gallery">
+      <p className="template-section-label">Starter templates</p>
+      <div className="template-picker">
+        {bundled.map((tpl) => (
+          <div key={tpl.id} className={`template-card${dark ? " dark-mode" : ""}`}>
+            <i className={`fas ${tpl.icon}`} />
+            <span className="template-card-name">{tpl.name}</span>
+            <span className="template-card-blurb">{tpl.blurb}</span>
+            <span className="template-card-meta">{_summary(tpl)}</span>
+            <button className="template-use" onClick={() => onUse(tpl)}>Use</button>
+          </div>
+        ))}
+      </div>
+
+      <p className="template-section-label">Your templates</p>
+      {mine.length ? (
+        <ul className={`template-mine${dark ? " dark-mode" : ""}`}>
+          {[...mine].sort((a, b) => a.name.localeCompare(b.name)).map((tpl) => (
+            <li key={tpl.id}>
+              <input
+                type="text"
+                className="template-mine-name"
+                value={tpl.name}
+                onChange={(e) => onRename(tpl.id, e.target.value)}
+                aria-label="Template name"
+              />
+              <span className="template-card-meta">{_summary(tpl)}</span>
+              <button className="template-use" onClick={() => onUse(tpl)}>Use</button>
+              <button className="template-delete" onClick={() => onDelete(tpl.id)} aria-label={`Delete ${tpl.name}`}>
+                <i className="fas fa-trash" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="template-empty">
+          None yet. Choose Save as template in a list tab's <span className="dots">…</span> menu to keep a list — tasks, blocks, sections and settings — to start new ones from.
+        </p>
+      )}
+      <div className="template-file-actions">
+        <button onClick={onImport}><i className="fas fa-file-import" /> Import templates</button>
+        <button onClick={onExport} disabled={!mine.length}><i className="fas fa-file-export" /> Export yours</button>
+      </div>
+    </div>
+  );
+});
+
+export default TemplateGallery;
@@ -0,0 +1,221 @@
+import React from "react";
+
+/* Timeline view of the current list — the alternative to TaskList. App.jsx
+   builds the rows, each { key, name, start, end, status, outcome, round,
+   groupRound, section, at, over }: finished tasks from the run's log with
+   their actual times ("done"), the task in progress ("current") and the rest
+   of the run projected from now or the chosen start ("next"). This component
+   lays them out, prints them and draws them to a PNG for the wall. */
+
+/* ---------- helpers needed locally ---------- */
+// formatHMS is a pure function duplicated from App.jsx.
+function _formatHMS(total) {
+  const s = Math.max(0, Math.floor(total));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const r = s % 60;
+  if (h > 0) return `${h}:${String(m).padStart(2, "0")}:${String(r).padStart(2, "0")}`;
+  return `${m}:${String(r).padStart(2, "0")}`;
+}
+
+function _clock(ms) {
+  const d = new Date(ms);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+const OUTCOMES = {
+  completed: { icon: "fa-check-circle", label: "Completed" },
+  early:     { icon: "fa-check-double", label: "Completed early" },
+  skipped:   { icon: "fa-forward",      label: "Skipped" },
+};
+
+const MAX_IMAGE_ROWS = 60;
+
+/* "R2 · B1" for lists that repeat, else "". */
+function _rounds(row, multiRound, multiBlock) {
+  return [
+    multiRound ? `R${row.round ?? 1}` : null,
+    multiBlock && row.groupRound != null ? `B${row.groupRound}` : null,
+  ].filter(Boolean).join(" · ");
+}
+
+/* Draw the agenda as a tall card — same palette as the stats share card. */
+function _drawTimeline(canvas, { listName, rows, dark }) {
+  const shown = rows.slice(0, MAX_IMAGE_ROWS);
+  const W = 1080, ROW = 72, TOP = 230, BOTTOM = 140;
+  const H = TOP + shown.length * ROW + (rows.length > shown.length ? ROW : 0) + BOTTOM;
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext("2d");
+  const font = (w, px) => `${w} ${px}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+  const bg      = dark ? "#121212" : "#ffffff";
+  const text    = dark ? "#f0f0f0" : "#212121";
+  const textSub = dark ? "#bbbbbb" : "#666666";
+  const rule    = dark ? "#2f2f2f" : "#e0e0e0";
+  const accent  = "#2196f3";
+  const done    = dark ? "#66bb6a" : "#43a047";
+
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, W, H);
+
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "left";
+  ctx.fillStyle = accent;
+  ctx.font = font(700, 24);
+  ctx.fillText("TIMELINE", 80, 90);
+  ctx.fillStyle = text;
+  let size = 60;
+  ctx.font = font(800, size);
+  while (ctx.measureText(listName).width > W - 160 && size > 30) {
+    size -= 4;
+    ctx.font = font(800, size);
+  }
+  ctx.fillText(listName, 80, 160);
+  ctx.fillStyle = textSub;
+  ctx.font = font(500, 26);
+  const span = rows.length ? `${_clock(rows[0].start)} – ${_clock(rows[rows.length - 1].end)}` : "";
+  ctx.fillText([new Date().toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric" }), span].filter(Boolean).join(" · "), 80, 205);
+
+  shown.forEach((row, i) => {
+    const y = TOP + i * ROW;
+    ctx.strokeStyle = rule;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(80, y);
+    ctx.lineTo(W - 80, y);
+    ctx.stroke();
+    ctx.fillStyle = row.status === "done" ? done : row.status === "current" ? accent : rule;
+    ctx.beginPath();
+    ctx.arc(96, y + ROW / 2, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = row.status === "done" ? textSub : text;
+    ctx.font = font(600, 28);
+    ctx.fillText(`${_clock(row.start)}–${_clock(row.end)}`, 130, y + ROW / 2);
+    ctx.font = font(row.status === "current" ? 700 : 500, 28);
+    let name = row.name;
+    while (ctx.measureText(name).width > W - 500 && name.length > 2) name = `${name.slice(0, -2)}…`;
+    ctx.fillText(name, 330, y + ROW / 2);
+    ctx.textAlign = "right";
+    ctx.fillStyle = textSub;
+    ctx.font = font(500, 26);
+    ctx.fillText(_formatHMS((row.end - row.start) / 1000), W - 80, y + ROW / 2);
+    ctx.textAlign = "left";
+  });
+  if (rows.length > shown.length) {
+    ctx.fillStyle = textSub;
+    ctx.font = font(500, 26);
+    ctx.fillText(`+ ${rows.length - shown.length} more`, 130, TOP + shown.length * ROW + ROW / 2);
+  }
+
+  ctx.textBaseline = "alphabetic";
+  ctx.textAlign = "center";
+  ctx.fillStyle = textSub;
+  ctx.font = font(500, 24);
+  ctx.fillText("timetally.ca", W / 2, H - 60);
+}
+
+const Timeline = React.memo(function Timeline({
+  listName,
+  rows,
+  dark,
+  running,        // a session is under way on this list, so the plan starts now
+  startAt,        // chosen "HH:MM" start while nothing runs, "" for now
+  onStartAtChange,
+  onStatus,       // (type, msg) — App's showIoStatus
+}) {
+  const multiRound = rows.some((r) => (r.round ?? 1) > 1);
+  const multiBlock = rows.some((r) => (r.groupRound ?? 1) > 1);
+
+  // Only the timeline is printed; the class is dropped again once the dialog closes
+  const print = () => {
+    document.body.classList.add("print-timeline");
+    const done = () => {
+      document.body.classList.remove("print-timeline");
+      window.removeEventListener("afterprint", done);
+    };
+    window.addEventListener("afterprint", done);
+    window.print();
+  };
+
+  const saveImage = () => {
+    const canvas = document.createElement("canvas");
+    _drawTimeline(canvas, { listName, rows, dark });
+    const fileName = `timetally-timeline-${listName.replace(/[^\w-]+/g, "-")}-${new Date().toISOString().slice(0, 10)}.png`;
+    canvas.toBlob((blob) => {
+      if (!blob) { onStatus("error", "Could not create image."); return; }
+      const url = URL.createObjectURL(blob);
+      const a = Object.assign(document.createElement("a"), { href: url, download: fileName });
+      document.body.appendChild(a); a.click(); a.remove();
+      URL.revokeObjectURL(url);
+      onStatus("success", "Image saved.");
+    }, "image/png");
+  };
+
+  let lastSection = null;
+  return (
+    <div className={`timeline-view${dark ? " dark-mode" : ""}`}>
+      <div className="timeline-toolbar">
+        {running ? (
+          <span className="timeline-start">Session in progress — times follow the timer as it runs or pauses</span>
+        ) : (
+          <label className="timeline-start">
+            Start
+            <input type="time" value={startAt} onChange={(e) => onStartAtChange(e.target.value)} aria-label="Start time" />
+            {startAt
+              ? <button className="timeline-now" onClick={() => onStartAtChange("")}>Now</button>
+              : <span className="timeline-hint">from now</span>}
+          </label>
+        )}
+        <span className="timeline-actions">
+          <button onClick={print} title="Print timeline" aria-label="Print timeline" disabled={!rows.length}>
+            <i className="fas fa-print" />
+          </button>
+          <button onClick={saveImage} title="Save as image" aria-label="Save timeline as image" disabled={!rows.length}>
+            <i className="fas fa-image" />
+          </button>
+        </span>
+      </div>
+      <h2 className="timeline-print-title">
+        {listName} · {new Date().toLocaleDateString(undefined, { weekday: "long", month: "long", day: "numeric" })}
+      </h2>
+      {rows.length ? (
+        <ol className="timeline-list">
+          {rows.map((row) => {
+            const rounds = _rounds(row, multiRound, multiBlock);
+            const heading = row.section && row.section !== lastSection ? row.section : null;
+            lastSection = row.section;
+            const o = OUTCOMES[row.outcome];
+            return (
+              <React.Fragment key={row.key}>
+                {heading && <li className="timeline-section">{heading}</li>}
+                <li className={`timeline-row is-${row.status}${row.over ? " is-over" : ""}`}>
+                  <span className="timeline-time">
+                    {_clock(row.start)}–{_clock(row.end)}
+                  </span>
+                  <span className="timeline-dot" aria-hidden="true" />
+                  <span className="timeline-name">
+                    {row.at && <i className="fas fa-thumbtack timeline-pin" title={`Pinned to ${row.at}`} />}
+                    {row.name}
+                    {rounds && <span className="timeline-rounds">{rounds}</span>}
+                  </span>
+                  <span className="timeline-length">
+                    {_formatHMS((row.end - row.start) / 1000)}
+                  </span>
+                  <span className="timeline-outcome">
+                    {o ? <i className={`fas ${o.icon} session-history-outcome is-${row.outcome}`} title={o.label} />
+                      : row.status === "current" ? <i className="fas fa-play" title="In progress" /> : null}
+                  </span>
+                </li>
+              </React.Fragment>
+            );
+          })}
+        </ol>
+      ) : (
+        <p className="timeline-empty">Nothing left to run — add tasks or reset the list to plan a timeline.</p>
+      )}
+    </div>
+  );
+});
+
+export default Timeline;
@@ -48,8 +48,12 @@ const TimerFooter = React.memo(function TimerFooter({
   currentTask,
   progress,
   timerDisplayTime,
+  overtime,          // seconds the task has run past zero, 0 otherwise
+  waiting,           // the task is a checkpoint — `overtime` is how long it has waited
+  ready,             // seconds of "Get ready" left before the task starts, 0 otherwise
   enabledTaskCount,
   currentEnabledPos,
+  roundLabel,
   startTimer,
   pauseTimer,
   skipTask,
@@ -59,11 +63,43 @@ const TimerFooter = React.memo(function TimerFooter({
   isPiPActive,
   openVideoPiP,
   isPiPVideoActive,
+  backgroundRuns,    // [{ list, task, remaining, progress, paused, waiting, canSkip }] for lists running elsewhere
+  onBackgroundOpen,
+  onBackgroundToggle,
+  onBackgroundSkip,
+  onBackgroundStop,
 }) {
   return (
     <div
-      className={`controls-footer${dark ? " dark-mode" : ""}${isRunning ? " running" : ""}${isWarning ? " warning" : ""}`}
+      className={`controls-footer${dark ? " dark-mode" : ""}${isRunning ? " running" : ""}${isWarning ? " warning" : ""}${ready > 0 ? " ready" : ""}`}
     >
+      {/* Lists running in the background — one compact row each */}
+      {backgroundRuns.length > 0 && (
+        <ul className={`run-stack${dark ? " dark-mode" : ""}`} aria-label="Other lists running">
+          {backgroundRuns.map((r) => (
+            <li key={r.list} className={`run-stack-item${r.paused ? " is-paused" : ""}`}>
+              <div className="run-stack-bar" style={{ width: `${r.progress}%` }} />
+              <button className="run-stack-open" onClick={() => onBackgroundOpen(r.list)} title={`Go to ${r.list}`}>
+                <b>{r.list}</b>
+                <span>{r.task}</span>
+              </button>
+              <span className={`run-stack-time${r.waiting ? " is-waiting" : r.remaining < 0 ? " is-over" : ""}`}>
+                {r.waiting ? `Waiting ${_formatHMS(-Math.min(0, r.remaining))}` : r.remaining < 0 ? `+${_formatHMS(-r.remaining)}` : _formatHMS(r.remaining)}
+              </span>
+              <button onClick={() => onBackgroundToggle(r.list)} aria-label={`${r.paused ? "Resume" : "Pause"} ${r.list}`} title={r.paused ? "Resume" : "Pause"}>
+                <i className={`fas fa-${r.paused ? "play" : "pause"}`} />
+              </button>
+              <button onClick={() => onBackgroundSkip(r.list)} disabled={!r.canSkip} aria-label={`Skip ${r.task} in ${r.list}`} title="Skip task">
+                <i className="fas fa-forward" />
+              </button>
+              <button onClick={() => onBackgroundStop(r.list)} aria-label={`Stop ${r.list}`} title="Stop this list">
+                <i className="fas fa-xmark" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
       {/* Timer */}
       <div className={`timer-section${dark ? " dark-mode" : ""}`}>
         <div className={`progress-container${dark ? " dark-mode" : ""}`}>
@@ -72,15 +108,19 @@ const TimerFooter = React.memo(function TimerFooter({
         <div className={`timer-info${dark ? " dark-mode" : ""}`}>
           {config.timerShowTaskName && (
             <div id="timerText" className="timer-task-name">
+              {ready > 0 && <span className="timer-ready">Get ready</span>}
               {currentTask ? (_isYouTubeUrl(currentTask.name) ? "YouTube video" : currentTask.name) : "Ready"}
             </div>
           )}
           {config.timerShowCount && enabledTaskCount > 0 && (
             <div className="timer-count">{currentEnabledPos} / {enabledTaskCount}</div>
           )}
+          {roundLabel && (
+            <div className="timer-round">{roundLabel}</div>
+          )}
           {config.timerShowRemaining && (
-            <div className={`timer-remaining${isWarning ? " timer-remaining--warn" : ""}${isLastFive && !isWarning ? " timer-remaining--countdown" : ""}`}>
-              {_formatHMS(timerDisplayTime)}
+            <div className={`timer-remaining${ready > 0 ? " timer-remaining--ready" : `${isWarning ? " timer-remaining--warn" : ""}${isLastFive && !isWarning ? " timer-remaining--countdown" : ""}${waiting ? " timer-remaining--waiting" : overtime > 0 ? " timer-remaining--over" : ""}`}`}>
+              {ready > 0 ? _formatHMS(ready) : waiting ? `Waiting ${_formatHMS(overtime)}` : overtime > 0 ? `+${_formatHMS(overtime)}` : _formatHMS(timerDisplayTime)}
             </div>
           )}
           {config.timerShowPercent && (
@@ -103,8 +143,13 @@ const TimerFooter = React.memo(function TimerFooter({
         <button className="btn-skip" onClick={skipTask} title="Skip current task" aria-label="Skip current task">
           <i className="fas fa-forward" /> Skip
         </button>
-        <button className="btn-complete" onClick={completeEarly} title="Complete current task early" aria-label="Complete current task early">
-          <i className="fas fa-check" /> Complete
+        <button
+          className={`btn-complete${waiting ? " btn-complete--done" : ""}`}
+          onClick={completeEarly}
+          title={waiting ? "Done — move on from this checkpoint" : "Complete current task early"}
+          aria-label={waiting ? "Done" : "Complete current task early"}
+        >
+          <i className="fas fa-check" /> {waiting ? "Done" : "Complete"}
         </button>
         <button className="btn-red" onClick={restartList} title="Restart all tasks" aria-label="Restart all tasks">
           <i className="fas fa-undo-alt" /> Restart
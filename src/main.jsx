@@ -1,5 +1,15 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { loadStored } from "./storage";
+// Self-hosted so icons still render offline (bundled and precached by the service worker)
+import "@fortawesome/fontawesome-free/css/all.min.css";
 
-createRoot(document.getElementById("root")).render(<App />);
+// Saved state is read from IndexedDB before the first render. If storage
+// won't open, the app still starts and says that changes can't be saved.
+loadStored()
+  .then((stored) => ({ stored, loadError: null }))
+  .catch((loadError) => ({ stored: null, loadError }))
+  .then(({ stored, loadError }) => {
+    createRoot(document.getElementById("root")).render(<App stored={stored} loadError={loadError} />);
+  });
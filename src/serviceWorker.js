@@ -0,0 +1,103 @@
+/* Service worker template. Not imported by the app: the `timetally-sw` plugin
+   in vite.config.js fills in VERSION and PRECACHE at build time and emits the
+   result as /sw.js. Registered from App.jsx in production builds only.
+
+   - Precaches the app shell (index, hashed JS/CSS, self-hosted icon fonts,
+     public styles and manifest) so TimeTally opens with no network.
+   - A new version installs alongside the old one and waits; the page asks
+     for its VERSION, shows an update prompt, and sends SKIP_WAITING when the
+     user accepts.
+   - Serves /manifest.json with shortcuts for the user's lists, which the page
+     reports via SET_SHORTCUTS.
+   - Forwards Pause / Skip presses on run notifications to the open windows
+     as NOTIFICATION_ACTION; a plain click focuses (or opens) the app. */
+
+const VERSION = /* version */ "dev";
+const PRECACHE = /* precache */ [];
+
+const CACHE = `timetally-${VERSION}`;
+const META_CACHE = "timetally-meta";       // survives updates; holds the shortcut list
+const SHORTCUTS_KEY = "/__shortcuts.json";
+const MAX_SHORTCUTS = 4;                    // Android shows at most four
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((k) => k.startsWith("timetally-") && k !== CACHE && k !== META_CACHE)
+          .map((k) => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (msg.type === "GET_VERSION") {
+    event.ports[0]?.postMessage({ version: VERSION });
+  } else if (msg.type === "SET_SHORTCUTS" && Array.isArray(msg.lists)) {
+    const lists = msg.lists.filter((x) => typeof x === "string").slice(0, MAX_SHORTCUTS);
+    event.waitUntil(
+      caches.open(META_CACHE).then((cache) =>
+        cache.put(SHORTCUTS_KEY, new Response(JSON.stringify(lists), { headers: { "Content-Type": "application/json" } }))
+      )
+    );
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  // YouTube embeds, TTS voices, etc. go straight to the network
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === "/manifest.json") {
+    event.respondWith(manifestWithShortcuts());
+    return;
+  }
+  // Every navigation is the single-page app; "/?list=Workout" included
+  const key = req.mode === "navigate" ? "/" : req;
+  event.respondWith(
+    caches.match(key, { cacheName: CACHE }).then((hit) => hit || fetch(req))
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (event.action) {
+      windows.forEach((w) => w.postMessage({ type: "NOTIFICATION_ACTION", action: event.action }));
+      return;
+    }
+    if (windows.length) await windows[0].focus();
+    else await self.clients.openWindow("/");
+  })());
+});
+
+/* The static manifest plus one shortcut per list, opening /?list=<name>. */
+async function manifestWithShortcuts() {
+  const base = (await caches.match("/manifest.json", { cacheName: CACHE })) || (await fetch("/manifest.json"));
+  const manifest = await base.json();
+  const stored = await (await caches.open(META_CACHE)).match(SHORTCUTS_KEY);
+  const lists = stored ? await stored.json() : [];
+  if (lists.length) {
+    manifest.shortcuts = lists.map((name) => ({
+      name,
+      short_name: name,
+      url: `/?list=${encodeURIComponent(name)}`,
+      icons: manifest.icons,
+    }));
+  }
+  return new Response(JSON.stringify(manifest), {
+    headers: { "Content-Type": "application/manifest+json" },
+  });
+}
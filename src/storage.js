@@ -0,0 +1,102 @@
+/* IndexedDB persistence. App.jsx decides what the records contain; this
+   module only reads and writes them.
+
+   - "meta"      one record under "app": list order, current list and task,
+                 preferences, the active run and the data `schema` version
+   - "lists"     one task array per list, keyed by list name
+   - "configs"   one settings object per list, keyed by list name
+   - "stats"     one stats object per list, keyed by list name
+   - "sessions"  session history, keyed by record id
+
+   Writes are diffs: a list, config or stats record is only put when its
+   object changed identity since the last write, so a tick on one list never
+   rewrites the others. */
+
+const DB_NAME = "timetally";
+const KEYED = ["lists", "configs", "stats", "sessions"];
+const STORES = ["meta", ...KEYED];
+
+/* UPGRADES[n] takes the database from version n to n + 1. Append a step and
+   the version follows; never edit a step that has shipped. */
+const UPGRADES = [
+  // 0 → 1: one store per kind of record
+  (db) => STORES.forEach((name) => db.createObjectStore(name)),
+];
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available.");
+      const req = indexedDB.open(DB_NAME, UPGRADES.length);
+      req.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion; v < UPGRADES.length; v++) UPGRADES[v](req.result);
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // A newer version of the app opened in another tab; let it upgrade
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    // A failed open can be retried on the next read or write
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Storage write was aborted."));
+  });
+}
+
+/* Read every store. Resolves to { meta, lists, configs, stats, sessions },
+   or null when nothing has been saved yet. */
+export async function loadStored() {
+  const db = await openDB();
+  const tx = db.transaction(STORES, "readonly");
+  const out = {};
+  const meta = tx.objectStore("meta").get("app");
+  meta.onsuccess = () => { out.meta = meta.result; };
+  for (const name of KEYED) {
+    const store = tx.objectStore(name);
+    const keys = store.getAllKeys();
+    const values = store.getAll();
+    values.onsuccess = () => {
+      out[name] = Object.fromEntries(keys.result.map((k, i) => [k, values.result[i]]));
+    };
+  }
+  await done(tx);
+  if (!out.meta) return null;
+  return { ...out, sessions: Object.values(out.sessions) };
+}
+
+/* Write `next` — { meta, lists, configs, stats, sessions } — given `prev`,
+   the snapshot passed to the last write. With no `prev` every store is
+   replaced. Rejects with the IndexedDB error (e.g. QuotaExceededError). */
+export async function saveStored(prev, next) {
+  const db = await openDB();
+  const tx = db.transaction(STORES, "readwrite");
+  if (!prev || JSON.stringify(prev.meta) !== JSON.stringify(next.meta)) {
+    tx.objectStore("meta").put(next.meta, "app");
+  }
+  const byId = (sessions) => Object.fromEntries((sessions || []).map((s) => [s.id, s]));
+  for (const name of KEYED) {
+    const before = name === "sessions" ? prev && byId(prev.sessions) : prev?.[name];
+    const after = name === "sessions" ? byId(next.sessions) : next[name];
+    const store = tx.objectStore(name);
+    if (!before) store.clear();
+    for (const [k, v] of Object.entries(after)) {
+      if (!before || before[k] !== v) store.put(v, k);
+    }
+    if (before) {
+      for (const k of Object.keys(before)) if (!(k in after)) store.delete(k);
+    }
+  }
+  return done(tx);
+}
@@ -7,9 +7,31 @@ import { dirname, resolve } from 'path'
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const pkg = JSON.parse(readFileSync(resolve(__dirname, 'package.json'), 'utf-8'))
 
+// Files from public/ the app shell needs offline (everything in the bundle is added automatically)
+const PUBLIC_PRECACHE = ['/', '/styles.css', '/manifest.json', '/img/playstore.png']
+
+// Emit /sw.js from src/serviceWorker.js with this build's version and asset list.
+// Only .woff2 icon fonts are precached — every browser with service workers reads them.
+function serviceWorker() {
+  return {
+    name: 'timetally-sw',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const assets = Object.keys(bundle)
+        .filter((f) => !/\.(html|map|ttf)$/.test(f))
+        .map((f) => `/${f}`)
+      const source = readFileSync(resolve(__dirname, 'src/serviceWorker.js'), 'utf-8')
+        .replace('/* version */ "dev"', JSON.stringify(pkg.version))
+        .replace('/* precache */ []', JSON.stringify([...PUBLIC_PRECACHE, ...assets]))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   // Custom domain timetally.ca serves from the root, so base must be "/".
   // GitHub redirects woodtho.github.io/TimeTallyToo/* to the custom domain.
   base: "/",